@@ -2,18 +2,28 @@
  * AI Agent for querying financial data using Claude Agent SDK
  */
 
-import { query } from '@anthropic-ai/claude-agent-sdk';
-import { createFinanceServer, FINANCE_TOOL_NAMES } from './tools.js';
-import { hasPlaidConnection, getChatHistory, appendChatHistory } from './storage.js';
+import { query } from './agentQuery.js';
+import { createFinanceServer, FINANCE_TOOL_NAMES, toolProgress } from './tools.js';
+import { hasPlaidConnection, hasStoredData, appendChatHistory, recordConversationTurn, getCategoryTree } from './storage.js';
+import { formatCategoryTree } from './categories.js';
+import { prepareConversation, rollOverConversation, formatToolResult } from './conversation.js';
+import { recordResultUsage } from './usage.js';
 
 const SYSTEM_PROMPT = `You are a helpful personal finance assistant with access to the user's bank account and credit card transaction data.
 
 Your capabilities:
 - View account balances and net worth
 - Analyze spending by category
+- Compare spending between periods and show month-by-month or week-by-week trends
+- Draw charts (spending breakdowns, trends, net worth, income vs spending) that are sent as images
 - Search for specific transactions
+- Export transactions as CSV, XLSX or a PDF monthly statement, sent as a file
 - Provide insights on spending patterns
 - Show income summaries
+- Set monthly category budgets and track spending against them
+- Detect subscriptions and recurring charges, including price increases
+- Fix categories: rules for whole groups of transactions, or one-off recategorization
+- Manage custom categories and subcategories
 - Sync latest transactions from connected banks
 - Create Venmo payment links to request or split money
 
@@ -25,33 +35,25 @@ Guidelines:
 - Provide helpful insights when showing data
 - If the user asks a vague question, clarify or make reasonable assumptions
 - If the user asks to refresh or sync data, use the sync_transactions tool
-
-Available categories: groceries, food, shopping, transport, utilities, entertainment, health, housing, travel, income, transfer, other`;
+- For "how much" and "how many" questions about matching transactions, use the totals search_transactions reports over all matches, not the listed page
+- When the user wants their data in a file (for an accountant, a spreadsheet, their records) use export_transactions; the file is sent for you, so just say what's in it
+- When a picture would help (a spending breakdown, a trend over several months) use render_chart, and keep the text reply short since the user sees the chart
+- For relative periods ("last month", "last 3 months") pass names like last_month or last_3_months to compare_spending and spending_trend rather than working out dates yourself
+- Subcategories roll up into their parent: food spending includes coffee, restaurants and so on`;
 
 /**
- * Process a user message and return the agent's response
+ * Run one agent turn, resuming `sessionId` when given. Returns the reply,
+ * the session it ran in and the tool results it fetched (for the chat
+ * history). `attempt.started` records whether the SDK sent anything at
+ * all, so a session that could not be resumed can be told apart from a
+ * failure mid-turn. `onProgress` gets `{ text, status }` as the reply
+ * streams in: the assistant's text so far and the running tool, if any.
+ * The tokens and cost of the run are recorded against the user.
  */
-export async function processMessage(userId, userMessage) {
-    // Create finance server with user-specific data
-    const financeServer = createFinanceServer(userId);
-
-    // Get chat history and format it
-    const history = getChatHistory(userId);
-    const historyContext = history.length > 0
-        ? '\n\nRECENT CONVERSATION HISTORY:\n' + history.map(msg => `${msg.role.toUpperCase()}: ${msg.content}`).join('\n')
-        : '';
-
-    // Add context about data source
-    const hasPlaid = hasPlaidConnection(userId);
-    const systemWithContext = SYSTEM_PROMPT +
-        (hasPlaid
-            ? '\n\nThis user has connected their bank account via Plaid. Data is real.'
-            : '\n\nThis user is using demo data. Suggest using /connect to link a real bank account.') +
-        historyContext;
-
+async function runAgent(userId, userMessage, { systemPrompt, financeServer, sessionId, attempt, onProgress }) {
     // Create streaming input generator (required for MCP tools)
     async function* generateMessages() {
-        // Only yield the current message
+        // Only yield the current message; earlier turns come from the session
         yield {
             type: 'user',
             message: {
@@ -61,50 +63,156 @@ export async function processMessage(userId, userMessage) {
         };
     }
 
-    try {
-        let result = '';
-
-        // Run the agent query with custom MCP tools
-        for await (const message of query({
-            prompt: generateMessages(),
-            options: {
-                systemPrompt: systemWithContext,
-                mcpServers: {
-                    'finance-tools': financeServer
-                },
-                allowedTools: FINANCE_TOOL_NAMES,
-                maxTurns: 5
+    const toolNames = new Map();
+    const toolResults = [];
+    let result = '';
+    let runSessionId = sessionId;
+    let draft = '';
+    let status = null;
+
+    // Run the agent query with custom MCP tools
+    for await (const message of query({
+        prompt: generateMessages(),
+        options: {
+            systemPrompt,
+            mcpServers: {
+                'finance-tools': financeServer
+            },
+            allowedTools: FINANCE_TOOL_NAMES,
+            maxTurns: 5,
+            includePartialMessages: true,
+            ...(sessionId ? { resume: sessionId } : {})
+        }
+    })) {
+        attempt.started = true;
+        runSessionId = message.session_id || runSessionId;
+
+        // Each model call streams its text; a new call starts a new draft
+        if (message.type === 'stream_event') {
+            const { event } = message;
+            if (event.type === 'message_start') {
+                draft = '';
+            } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                draft += event.delta.text;
+                status = null;
+                onProgress({ text: draft, status });
             }
-        })) {
-            // Capture the final result
-            if (message.type === 'result' && message.subtype === 'success') {
+        }
+
+        // Capture the final result
+        if (message.type === 'result') {
+            recordResultUsage(userId, 'chat', message);
+            if (message.subtype === 'success') {
                 result = message.result;
             }
+        }
+
+        // Log tool usage for debugging
+        if (message.type === 'assistant' && message.message?.content) {
+            for (const block of message.message.content) {
+                if (block.type === 'tool_use') {
+                    console.log(`Tool called: ${block.name}`, block.input);
+                    toolNames.set(block.id, block.name);
+                    status = toolProgress(block.name);
+                    onProgress({ text: draft, status });
+                }
+            }
+        }
 
-            // Log tool usage for debugging
-            if (message.type === 'assistant' && message.message?.content) {
-                for (const block of message.message.content) {
-                    if (block.type === 'tool_use') {
-                        console.log(`Tool called: ${block.name}`, block.input);
-                    }
+        // Keep what the tools returned so a later summary can refer to it
+        if (message.type === 'user' && Array.isArray(message.message?.content)) {
+            for (const block of message.message.content) {
+                if (block.type === 'tool_result' && toolNames.has(block.tool_use_id)) {
+                    toolResults.push(formatToolResult(toolNames.get(block.tool_use_id), block.content));
                 }
             }
         }
+    }
+
+    return { result, sessionId: runSessionId, toolResults };
+}
+
+/**
+ * Process a user message and return the agent's response:
+ * `{ text, charts, documents, search }`, where charts are PNGs
+ * ({ png, caption }) drawn by render_chart, documents are files built by
+ * export_transactions, and search is the last page of transactions a
+ * search tool showed this turn (or null).
+ * The chat continues the user's SDK session, see conversation.js.
+ * `onProgress` is called with `{ text, status }` while the agent works.
+ */
+export async function processMessage(userId, userMessage, { onProgress = () => {} } = {}) {
+    // Create finance server with user-specific data
+    const charts = [];
+    const documents = [];
+    let search = null;
+    const financeServer = createFinanceServer(userId, {
+        onChart: chart => charts.push(chart),
+        onDocument: document => documents.push(document),
+        onSearch: page => { search = page; }
+    });
+
+    // Add context about data source
+    const dataSource = hasPlaidConnection(userId)
+        ? '\n\nThis user has connected their bank account via Plaid. Data is real.'
+        : hasStoredData(userId)
+            ? '\n\nThis user imported bank statements (CSV/OFX/QFX files). Data is real but only as recent as their last import; they can send a newer statement file to update it.'
+            : '\n\nThis user is using demo data. Suggest using /connect to link a real bank account, or sending a CSV, OFX or QFX statement file if their bank is not supported.';
+    const buildSystemPrompt = summary => SYSTEM_PROMPT +
+        dataSource +
+        `\n\nThis user's categories (parent: subcategories, * = custom):\n${formatCategoryTree(getCategoryTree(userId))}` +
+        (summary ? `\n\nSUMMARY OF THE CONVERSATION BEFORE THE MESSAGES BELOW:\n${summary}` : '');
+
+    try {
+        const conversation = await prepareConversation(userId);
+        const attempt = { started: false };
+        let turn;
+
+        try {
+            turn = await runAgent(userId, userMessage, {
+                systemPrompt: buildSystemPrompt(conversation.summary),
+                financeServer,
+                sessionId: conversation.sessionId,
+                attempt,
+                onProgress
+            });
+        } catch (error) {
+            // A session the SDK no longer has fails before sending anything;
+            // summarize what we stored of it and start over
+            if (!conversation.sessionId || attempt.started) {
+                throw error;
+            }
+            console.warn(`⚠️ Could not resume session for user ${userId}, starting a new one`);
+            const summary = await rollOverConversation(userId);
+            turn = await runAgent(userId, userMessage, {
+                systemPrompt: buildSystemPrompt(summary),
+                financeServer,
+                sessionId: null,
+                attempt,
+                onProgress
+            });
+        }
 
         // Save new turn to history
+        const finalResponse = turn.result || 'I processed your request.';
         appendChatHistory(userId, 'user', userMessage);
-        const finalResponse = result || 'I processed your request.';
+        for (const toolResult of turn.toolResults) {
+            appendChatHistory(userId, 'tool', toolResult);
+        }
         appendChatHistory(userId, 'assistant', finalResponse);
+        if (turn.sessionId) {
+            recordConversationTurn(userId, turn.sessionId);
+        }
 
-        return finalResponse;
+        return { text: finalResponse, charts, documents, search };
 
     } catch (error) {
         console.error('Agent error:', error);
 
         if (error.message?.includes('API key')) {
-            return '❌ Anthropic API key is invalid. Please check your ANTHROPIC_API_KEY.';
+            return { text: '❌ Anthropic API key is invalid. Please check your ANTHROPIC_API_KEY.', charts: [], documents: [], search: null };
         }
 
-        return `❌ Sorry, I encountered an error: ${error.message}`;
+        return { text: `❌ Sorry, I encountered an error: ${error.message}`, charts: [], documents: [], search: null };
     }
 }
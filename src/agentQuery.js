@@ -0,0 +1,22 @@
+/**
+ * The Agent SDK's query(), behind a seam
+ *
+ * agent.js and conversation.js call the SDK through here so the tests can
+ * swap in a scripted agent that calls the finance tools itself and never
+ * reaches the API.
+ */
+
+import { query as sdkQuery } from '@anthropic-ai/claude-agent-sdk';
+
+let queryImpl = sdkQuery;
+
+export function query(args) {
+    return queryImpl(args);
+}
+
+/**
+ * Replace query() with `impl` (same signature); no argument restores the SDK's
+ */
+export function setQuery(impl = sdkQuery) {
+    queryImpl = impl;
+}
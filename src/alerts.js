@@ -0,0 +1,80 @@
+/**
+ * Post-sync anomaly alerts
+ *
+ * Newly synced transactions are scored against the user's history (see
+ * scoreTransactions in storage.js) and anything suspicious is pushed to
+ * Telegram with "Looks fine" / "Not me" buttons. The answer is stored and
+ * tunes what gets flagged next time.
+ */
+
+import { scoreTransactions, recordAnomalyAlert, setAnomalyFeedback } from './storage.js';
+import { sendTelegramNotification } from './notify.js';
+import { userTimezone } from './digests.js';
+
+// New transactions at or above this size (either direction) always alert
+export const LARGE_TRANSACTION_THRESHOLD = Number(process.env.LARGE_TRANSACTION_THRESHOLD) || 500;
+// A first charge from a merchant alerts from this size up
+export const NEW_MERCHANT_ALERT_THRESHOLD = Number(process.env.NEW_MERCHANT_ALERT_THRESHOLD) || 100;
+
+// Only recent transactions count, so the 24-month backfill doesn't flood anyone
+const RECENT_DAYS = 3;
+
+function formatAlert(transaction, reasons, institution) {
+    const sign = transaction.amount >= 0 ? '+' : '-';
+    const lines = [
+        `🔎 Unusual transaction at ${institution}:`,
+        '',
+        `${transaction.date} | ${sign}$${Math.abs(transaction.amount).toFixed(2)} | ${transaction.merchant}`,
+        '',
+        ...reasons.map(reason => `• ${reason.text}`),
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * Score a sync's new transactions and send one alert per suspicious one.
+ * Each transaction alerts at most once, however many syncs see it.
+ */
+export async function sendAnomalyAlerts(userId, transactions, institution) {
+    const cutoff = new Date(Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const recent = transactions.filter(t => t.date >= cutoff);
+
+    const flagged = scoreTransactions(userId, recent, {
+        largeThreshold: LARGE_TRANSACTION_THRESHOLD,
+        newMerchantThreshold: NEW_MERCHANT_ALERT_THRESHOLD,
+        timezone: userTimezone(userId),
+    });
+
+    for (const { transaction, reasons } of flagged) {
+        const alertId = recordAnomalyAlert(userId, transaction, reasons.map(reason => reason.code));
+        if (alertId === null) {
+            continue;
+        }
+
+        await sendTelegramNotification(userId, formatAlert(transaction, reasons, institution), {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '👍 Looks fine', callback_data: `an:fine:${alertId}` },
+                    { text: '🚫 Not me', callback_data: `an:not_me:${alertId}` },
+                ]],
+            },
+        });
+    }
+}
+
+/**
+ * Store the user's answer to an alert and return the reply to show, or
+ * null if the alert doesn't exist (or isn't theirs)
+ */
+export function handleAnomalyFeedback(userId, alertId, feedback) {
+    const alert = setAnomalyFeedback(userId, Number(alertId), feedback);
+    if (!alert) {
+        return null;
+    }
+
+    if (feedback === 'fine') {
+        return `👍 Got it. Similar charges from ${alert.merchant} won't be flagged for the same reason again.`;
+    }
+    return `🚫 Marked as not you. If you don't recognize this charge, contact your bank or card issuer right away ` +
+        `to dispute it and secure your card.\n\nEvery future charge from ${alert.merchant} will be flagged.`;
+}
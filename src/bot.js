@@ -3,10 +3,37 @@
  */
 
 import 'dotenv/config';
+import { fileURLToPath } from 'url';
 import TelegramBot from 'node-telegram-bot-api';
 import { processMessage } from './agent.js';
-import { hasPlaidConnection, getUserConnection, cacheTransactions, saveUserConnection } from './storage.js';
-import { getTransactions, getAccounts } from './plaid.js';
+import {
+    hasPlaidConnection, getUserItems, getUserItem, clearChatHistory, setBudget,
+    addCategoryRule, getCategoryRules, deleteCategoryRule,
+    getCategoryTree, getCategoryNames, normalizeCategoryName, addCategory, deleteCategory,
+    getDigests, removeDigest, setUserTimezone
+} from './storage.js';
+import { syncUserTransactions, formatSyncResult, findUserItems, itemLabel } from './sync.js';
+import { disconnectItem, deleteEverything } from './disconnect.js';
+import { getBudgetStatus, formatBudgetLine, sendBudgetAlerts } from './budgets.js';
+import { detectRecurring, formatRecurring } from './recurring.js';
+import { parseRuleCommand, describeRule } from './rules.js';
+import { formatCategoryTree, CATEGORY_USAGE } from './categories.js';
+import { handleAnomalyFeedback } from './alerts.js';
+import {
+    isStatementFile, decodeStatement, importStatement, formatImportResult,
+    StatementError, MAX_STATEMENT_BYTES, IMPORT_USAGE
+} from './statements.js';
+import { parseExportCommand, buildExport, ExportError } from './exports.js';
+import { rememberSearch, browseSearch, formatSearchPage, moreKeyboard, browseKeyboard, accountLabel } from './search.js';
+import {
+    DIGEST_KINDS, DIGEST_USAGE, isValidTimezone, userTimezone, scheduleDigest, startDigestScheduler
+} from './digests.js';
+import { createLiveReply } from './liveReply.js';
+import { enqueue, queuedMessages, MAX_QUEUED_MESSAGES } from './userQueue.js';
+import { checkQuota, formatUserUsage, formatUsageTotals, isAdmin } from './usage.js';
+import { sendFormatted, editFormatted, escapeMarkdown } from './telegramFormat.js';
+import { assertEncryptionConfigured } from './encryption.js';
+import { assertLinkSigningConfigured, buildLinkUrl } from './linkTokens.js';
 
 // Validate environment variables
 if (!process.env.TELEGRAM_BOT_TOKEN) {
@@ -21,11 +48,22 @@ if (!process.env.ANTHROPIC_API_KEY) {
     process.exit(1);
 }
 
-// Create bot instance with polling
-const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
-const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3000';
+try {
+    assertEncryptionConfigured();
+    assertLinkSigningConfigured();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('   Generate one with: openssl rand -base64 32');
+    process.exit(1);
+}
+
+// Create bot instance; polling starts in startBot(). TELEGRAM_API_URL
+// points it at another Bot API server (the tests' fake Telegram)
+export const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { baseApiUrl: process.env.TELEGRAM_API_URL });
 
-console.log('OpenSpend is starting...');
+// Every message is Markdown rendered by telegramFormat.js, so stray `_` or
+// `*` in merchant names can't break it, and long ones are split
+const reply = (chatId, text, options) => sendFormatted(bot, chatId, text, options);
 
 // Handle /start command
 bot.onText(/\/start/, (msg) => {
@@ -42,72 +80,425 @@ I can help you understand your finances. Try asking me:
 💵 "How much income this month?"`;
 
     if (!hasPlaid) {
-        welcomeMessage += `\n\n🔗 **Connect your accounts:** /connect`;
+        welcomeMessage += `\n\n🔗 **Connect your accounts:** /connect\n📥 Bank not supported? Send me a CSV, OFX or QFX statement file.`;
     } else {
         welcomeMessage += `\n\n✅ Bank connected! Use /sync to refresh data.`;
     }
 
-    bot.sendMessage(chatId, welcomeMessage, { parse_mode: 'Markdown' });
+    reply(chatId, welcomeMessage);
 });
 
 // Handle /connect command - sends link to Plaid connection page
 bot.onText(/\/connect/, (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id.toString();
+    const items = findUserItems(userId);
 
-    if (hasPlaidConnection(userId)) {
-        bot.sendMessage(chatId, '✅ You already have a bank connected!\n\nUse /sync to refresh your transactions, or /disconnect to remove the connection.');
-        return;
-    }
+    const linkUrl = buildLinkUrl(userId);
+
+    const alreadyLinked = items.length > 0
+        ? `\n\nAlready connected: ${items.map(itemLabel).join(', ')}. Linking another institution adds it alongside them.`
+        : '';
 
-    const linkUrl = `${SERVER_URL}/link/${userId}`;
+    // Broken items get an update-mode link so re-linking doesn't duplicate them
+    const repairs = items
+        .filter(item => item.status !== 'ok')
+        .map(item => `\n\n🔑 ${itemLabel(item)} needs you to log in again. Reconnect it here instead of linking it twice:\n${buildLinkUrl(userId, item.itemId)}`)
+        .join('');
 
     // Send URL as text (Telegram requires HTTPS for inline buttons, localhost won't work)
-    bot.sendMessage(chatId,
-        `🏦 Connect Your Bank Account\n\nOpen this link in your browser to connect:\n\n${linkUrl}\n\nThis uses Plaid for secure bank login. We never see your credentials.`
+    reply(chatId,
+        `🏦 Connect Your Bank Account\n\nOpen this link in your browser to connect:\n\n${linkUrl}\n\nThis uses Plaid for secure bank login. We never see your credentials. The link works once and expires in 15 minutes.${alreadyLinked}${repairs}`
     );
 });
 
 // Handle /sync command - refresh transactions from Plaid
-bot.onText(/\/sync/, async (msg) => {
+// Optional argument picks a single institution, e.g. "/sync chase"
+bot.onText(/\/sync(?:\s+(.+))?/, async (msg, match) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id.toString();
 
-    const connection = getUserConnection(userId);
+    if (!hasPlaidConnection(userId)) {
+        reply(chatId, '❌ No bank connected. Use /connect to link your bank account.');
+        return;
+    }
 
-    if (!connection) {
-        bot.sendMessage(chatId, '❌ No bank connected. Use /connect to link your bank account.');
+    const items = findUserItems(userId, match[1]?.trim());
+
+    if (items.length === 0) {
+        reply(chatId, `❌ No connected institution matches "${match[1].trim()}". Use /banks to see your connections.`);
         return;
     }
 
     bot.sendChatAction(chatId, 'typing');
 
     try {
-        const transactions = await getTransactions(connection.accessToken);
-        const accounts = await getAccounts(connection.accessToken);
-
-        cacheTransactions(userId, transactions);
-        saveUserConnection(userId, { ...connection, accounts });
+        const results = await syncUserTransactions(userId, items);
 
-        bot.sendMessage(chatId, `✅ Synced ${transactions.length} transactions from ${accounts.length} account(s).\n\nAsk me anything about your finances!`);
+        reply(chatId, `${formatSyncResult(results)}\n\nAsk me anything about your finances!`);
     } catch (error) {
         console.error('Sync error:', error);
-        bot.sendMessage(chatId, `❌ Sync failed: ${error.message}`);
+        reply(chatId, `❌ Sync failed: ${error.message}`);
     }
 });
 
-// Handle /disconnect command
+// Handle /banks command - list linked institutions
+bot.onText(/\/banks/, (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const items = getUserItems(userId);
+
+    if (items.length === 0) {
+        reply(chatId, 'No bank accounts connected. Use /connect to link one.');
+        return;
+    }
+
+    const list = items.map(item => {
+        const accounts = (item.accounts || []).map(a => accountLabel(a.name, a.mask)).join(', ') || 'no accounts yet';
+        const synced = item.lastSyncedAt ? item.lastSyncedAt.split('T')[0] : 'never';
+        if (item.source === 'manual') {
+            return `📥 ${itemLabel(item)}\n   Last import: ${synced}`;
+        }
+        const status = item.status === 'ok' ? '' : '\n   ⚠️ Needs re-login - use /connect to fix';
+        return `🏦 ${itemLabel(item)}\n   ${accounts}\n   Last synced: ${synced}${status}`;
+    }).join('\n\n');
+
+    reply(chatId, `Connected institutions:\n\n${list}\n\nUse /sync <name> to refresh one, or /connect to add another.`);
+});
+
+// Handle /disconnect command - pick an institution, confirm, then revoke it
 bot.onText(/\/disconnect/, (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id.toString();
+    const items = getUserItems(userId);
 
-    if (!hasPlaidConnection(userId)) {
-        bot.sendMessage(chatId, 'No bank account connected.');
+    if (items.length === 0) {
+        reply(chatId, 'No bank account connected.');
+        return;
+    }
+
+    const keyboard = items.map(item => [{ text: `🏦 ${itemLabel(item)}`, callback_data: `dc:pick:${item.itemId}` }]);
+    keyboard.push([{ text: 'Cancel', callback_data: 'dc:cancel' }]);
+
+    reply(chatId, 'Which institution do you want to disconnect?', {
+        reply_markup: { inline_keyboard: keyboard }
+    });
+});
+
+// Handle /deleteme command - wipe everything we hold about the user
+bot.onText(/\/deleteme/, (msg) => {
+    const chatId = msg.chat.id;
+
+    reply(chatId,
+        '⚠️ This revokes all your bank connections and permanently deletes your transactions and conversation history. Continue?',
+        {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '🗑️ Delete everything', callback_data: 'del:yes' },
+                    { text: 'Cancel', callback_data: 'del:cancel' }
+                ]]
+            }
+        }
+    );
+});
+
+// Handle inline keyboard presses for /disconnect and /deleteme
+bot.on('callback_query', async (query) => {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const userId = query.from.id.toString();
+    // scope:action:id, where the id is an item or an anomaly alert
+    const [scope, action, id] = query.data.split(':');
+
+    const edit = (text, replyMarkup) => editFormatted(bot, chatId, messageId, text, { reply_markup: replyMarkup });
+
+    // An expired query id ("query is too old") shouldn't stop the action itself
+    await bot.answerCallbackQuery(query.id)
+        .catch(error => console.error('Callback answer error:', error.message));
+
+    try {
+        if (action === 'cancel') {
+            await edit('Cancelled. Nothing was changed.');
+            return;
+        }
+
+        if (scope === 'dc') {
+            const item = getUserItem(userId, id);
+            if (!item) {
+                await edit('That institution is no longer connected.');
+                return;
+            }
+
+            if (action === 'pick') {
+                const effect = item.source === 'manual'
+                    ? 'This deletes every imported transaction and your conversation history.'
+                    : 'This revokes access at Plaid and deletes its transactions and your conversation history.';
+                await edit(
+                    `Disconnect ${itemLabel(item)}? ${effect}`,
+                    {
+                        inline_keyboard: [[
+                            { text: '✅ Yes, disconnect', callback_data: `dc:yes:${id}` },
+                            { text: 'Cancel', callback_data: 'dc:cancel' }
+                        ]]
+                    }
+                );
+            } else if (action === 'yes') {
+                const { revoked } = await disconnectItem(userId, id);
+                await edit(revoked
+                    ? `✅ ${itemLabel(item)} disconnected and its data deleted.`
+                    : `✅ ${itemLabel(item)} data deleted. Plaid could not confirm the revocation, so you may also want to remove access from your bank's website.`);
+            }
+        } else if (scope === 'tx') {
+            // "more" comes from the agent's reply and opens a new page
+            // message; the page's own buttons then flip it in place
+            const page = browseSearch(id, userId, action === 'more' ? null : Number(action));
+            if (!page) {
+                await reply(chatId, 'That search has expired. Ask me again to browse it.');
+            } else if (action === 'more') {
+                await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+                await reply(chatId, formatSearchPage(page), { reply_markup: browseKeyboard(id, page) });
+            } else {
+                await edit(formatSearchPage(page), browseKeyboard(id, page));
+            }
+        } else if (scope === 'an') {
+            const answer = handleAnomalyFeedback(userId, id, action === 'fine' ? 'fine' : 'not_me');
+            // Keep the alert itself (as Telegram shows it) and swap its buttons for the answer
+            await edit(answer ? `${escapeMarkdown(query.message.text)}\n\n${answer}` : 'That alert is no longer available.');
+        } else if (scope === 'del' && action === 'yes') {
+            const { itemCount, revoked } = await deleteEverything(userId);
+            await edit(revoked
+                ? `✅ Deleted all your data and revoked ${itemCount} bank connection(s).`
+                : '✅ Deleted all your data. Plaid could not confirm every revocation, so you may also want to remove access from your bank\'s website.');
+        }
+    } catch (error) {
+        console.error('Callback error:', error);
+        await reply(chatId, `❌ Something went wrong: ${error.message}`);
+    }
+});
+
+// Handle /budget command
+// "/budget" shows this month's status, "/budget groceries 400" sets one,
+// "/budget groceries off" removes it
+bot.onText(/\/budget(?:\s+(\S+))?(?:\s+(\S+))?/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const [, rawCategory, rawAmount] = match;
+
+    if (!rawCategory) {
+        const statuses = getBudgetStatus(userId);
+        reply(chatId, statuses.length > 0
+            ? `📊 Budgets this month:\n\n${statuses.map(formatBudgetLine).join('\n')}`
+            : 'No budgets yet. Set one with /budget groceries 400'
+        );
+        return;
+    }
+
+    const category = normalizeCategoryName(rawCategory);
+    if (!getCategoryNames(userId).includes(category)) {
+        reply(chatId, `❌ Unknown category "${rawCategory}". See /categories for yours.`);
+        return;
+    }
+
+    const amount = rawAmount?.toLowerCase() === 'off' ? 0 : Number(rawAmount?.replace(/^\$/, ''));
+    if (!Number.isFinite(amount) || amount < 0) {
+        reply(chatId, `Usage: /budget ${category} 400 (or /budget ${category} off to remove it)`);
+        return;
+    }
+
+    setBudget(userId, category, amount);
+    reply(chatId, amount > 0
+        ? `✅ Monthly ${category} budget set to $${amount.toFixed(2)}. I'll warn you at 80% and 100%.`
+        : `✅ Removed your ${category} budget.`
+    );
+});
+
+// Handle /subscriptions command - recurring charges found in the user's history
+bot.onText(/\/subscriptions/, (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    reply(chatId, `🔁 Subscriptions & recurring charges\n\n${formatRecurring(detectRecurring(userId))}`);
+});
+
+/**
+ * Send a file built by buildExport as a Telegram document
+ */
+function sendExport(chatId, file) {
+    return bot.sendDocument(chatId, file.buffer, { caption: file.caption }, { filename: file.filename, contentType: file.contentType });
+}
+
+// Handle /export command
+// "/export pdf last_month", "/export csv category:food from:2026-01-01"
+bot.onText(/\/export(?:\s+([\s\S]+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    try {
+        const { format, filters } = parseExportCommand(match[1]?.trim(), getCategoryNames(userId));
+
+        bot.sendChatAction(chatId, 'upload_document');
+        const file = await buildExport(userId, format, filters);
+
+        if (!file) {
+            reply(chatId, 'No transactions match those filters, so there is nothing to export.');
+            return;
+        }
+        await sendExport(chatId, file);
+    } catch (error) {
+        if (error instanceof ExportError) {
+            reply(chatId, `❌ ${error.message}`);
+            return;
+        }
+        console.error('Export error:', error);
+        reply(chatId, `❌ Export failed: ${error.message}`);
+    }
+});
+
+// Handle /rule command
+// "/rule merchant:Costco -> groceries" adds a rule, "/rule delete 3" removes one
+bot.onText(/\/rule(?!s)(?:\s+([\s\S]+))?/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const text = match[1]?.trim() || '';
+
+    const deletion = text.match(/^delete\s+#?(\d+)$/i);
+    if (deletion) {
+        const result = deleteCategoryRule(userId, Number(deletion[1]));
+        reply(chatId, result
+            ? `🗑️ Deleted rule #${deletion[1]}. ${result.updated} transaction(s) recategorized.`
+            : `❌ No rule #${deletion[1]}. See /rules for your rules.`
+        );
         return;
     }
 
-    // For MVP, we just tell them - in production would actually disconnect
-    bot.sendMessage(chatId, '⚠️ To disconnect your bank, please restart the bot. (Full disconnect coming soon)');
+    try {
+        const rule = parseRuleCommand(text, getCategoryNames(userId));
+        const { id, updated } = addCategoryRule(userId, rule);
+        reply(chatId, `✅ Added rule ${describeRule({ ...rule, id })}\n\n${updated} existing transaction(s) recategorized. New transactions will follow it too.`);
+    } catch (error) {
+        reply(chatId, `❌ ${error.message}`);
+    }
+});
+
+// Handle /rules command - list categorization rules
+bot.onText(/\/rules/, (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const rules = getCategoryRules(userId);
+
+    reply(chatId, rules.length > 0
+        ? `🏷️ Your categorization rules (newest match wins):\n\n${rules.map(describeRule).join('\n')}\n\nRemove one with /rule delete <number>.`
+        : 'No rules yet. Add one with /rule merchant:Costco -> groceries'
+    );
+});
+
+// Handle /categories command - the user's category tree
+bot.onText(/\/categories/, (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    reply(chatId, `🗂️ Your categories (* = added by you):\n\n${formatCategoryTree(getCategoryTree(userId))}\n\n` +
+        'Add your own with /category add <name> [parent].');
+});
+
+// Handle /category command
+// "/category add coffee food" adds a subcategory, "/category delete coffee" removes it
+bot.onText(/\/category(?!ies)(?:\s+([\s\S]+))?/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const [action, name, parent, ...extra] = (match[1] || '').trim().split(/\s+/);
+
+    try {
+        if (action?.toLowerCase() === 'add' && name && extra.length === 0) {
+            const category = addCategory(userId, name, parent);
+            reply(chatId, `✅ Added ${category.parent ? `${category.parent} > ` : ''}${category.name}. ` +
+                `Send transactions there with /rule, e.g. /rule merchant:Starbucks -> ${category.name}`);
+        } else if (action?.toLowerCase() === 'delete' && name && !parent) {
+            const result = deleteCategory(userId, name);
+            reply(chatId, result
+                ? `🗑️ Deleted ${result.name}. Its rules and fixes now point to ${result.fallback}; ${result.updated} transaction(s) recategorized.`
+                : `❌ No custom category "${normalizeCategoryName(name)}". Built-in and bank categories can't be deleted.`
+            );
+        } else {
+            reply(chatId, CATEGORY_USAGE);
+        }
+    } catch (error) {
+        reply(chatId, `❌ ${error.message}`);
+    }
+});
+
+// Handle /digest command - scheduled daily/weekly/monthly summaries
+// "/digest daily 08:00", "/digest weekly off", "/digest timezone Europe/Berlin"
+bot.onText(/\/digest(?:\s+([\s\S]+))?/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const [rawAction, value] = (match[1] || '').trim().split(/\s+/);
+    const action = rawAction?.toLowerCase();
+
+    if (!action) {
+        const digests = getDigests(userId);
+        const schedule = { daily: 'every day', weekly: 'Mondays', monthly: 'on the 1st' };
+        reply(chatId, digests.length > 0
+            ? `⏰ Your digests (${userTimezone(userId)}):\n\n` +
+                `${digests.map(d => `• ${d.kind}: ${d.sendAt}, ${schedule[d.kind]}`).join('\n')}\n\n${DIGEST_USAGE}`
+            : `No digests scheduled.\n\n${DIGEST_USAGE}`
+        );
+        return;
+    }
+
+    if (action === 'off') {
+        const removed = removeDigest(userId);
+        reply(chatId, removed > 0 ? '✅ All digests turned off.' : 'No digests were scheduled.');
+        return;
+    }
+
+    if (action === 'timezone' || action === 'tz') {
+        if (!value || !isValidTimezone(value)) {
+            reply(chatId, '❌ Give a timezone name like America/New_York or Europe/London.');
+            return;
+        }
+        setUserTimezone(userId, value);
+        reply(chatId, `✅ Timezone set to ${value}. Digest times now follow it.`);
+        return;
+    }
+
+    if (!DIGEST_KINDS.includes(action)) {
+        reply(chatId, DIGEST_USAGE);
+        return;
+    }
+
+    if (value?.toLowerCase() === 'off') {
+        reply(chatId, removeDigest(userId, action) > 0
+            ? `✅ ${action} digest turned off.`
+            : `No ${action} digest was scheduled.`
+        );
+        return;
+    }
+
+    const time = value?.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    if (!time) {
+        reply(chatId, DIGEST_USAGE);
+        return;
+    }
+
+    const sendAt = `${time[1].padStart(2, '0')}:${time[2]}`;
+    scheduleDigest(userId, action, sendAt);
+    const when = { daily: 'every day', weekly: 'every Monday', monthly: 'on the 1st of each month' }[action];
+    reply(chatId, `✅ ${action} digest scheduled ${when} at ${sendAt} (${userTimezone(userId)}).` +
+        (getDigests(userId).length === 1 ? '\nWrong timezone? Change it with /digest timezone America/New_York' : ''));
+});
+
+// Handle /usage command - the user's agent usage against their limits;
+// admins can add "all" for everyone's totals
+bot.onText(/\/usage(?:\s+(\S+))?/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+
+    if (match[1] === 'all' && isAdmin(userId)) {
+        reply(chatId, formatUsageTotals());
+        return;
+    }
+    reply(chatId, formatUserUsage(userId));
 });
 
 // Handle /clear command - clear conversation history
@@ -115,10 +506,9 @@ bot.onText(/\/clear/, (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id.toString();
 
-    const { clearChatHistory } = require('./storage.js');
     clearChatHistory(userId);
 
-    bot.sendMessage(chatId, '🧹 Conversation history cleared! Starting fresh.');
+    reply(chatId, '🧹 Conversation history cleared! Starting fresh.');
 });
 
 // Handle /help command
@@ -130,9 +520,23 @@ bot.onText(/\/help/, (msg) => {
 • /start - Welcome message
 • /connect - Link your bank account
 • /sync - Refresh transaction data
+• /banks - List connected institutions
+• /budget - Budget status, or /budget groceries 400 to set one
+• /subscriptions - Recurring charges and subscriptions
+• /export - Download transactions, e.g. /export pdf last\\_month
+• /rule - Add a category rule, e.g. /rule merchant:Costco -> groceries
+• /rules - List your category rules
+• /categories - Your categories and subcategories
+• /category - Add or delete a custom category
+• /digest - Scheduled summaries, e.g. /digest daily 08:00
+• /disconnect - Remove a connected institution or imported statements
+• /deleteme - Delete all your data
 • /clear - Clear conversation history
+• /usage - How many questions and tokens you've used
 • /help - This help message
 
+📥 Send a CSV, OFX or QFX statement file to import transactions from a bank Plaid doesn't cover.
+
 **Ask me things like:**
 • "What's my balance?"
 • "Show spending summary"
@@ -140,10 +544,48 @@ bot.onText(/\/help/, (msg) => {
 • "Find Uber transactions"
 • "Recent transactions"
 
-**Categories:**
-groceries, food, shopping, transport, utilities, entertainment, health, housing, travel`;
+See /categories for the categories you can use.`;
 
-    bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+    reply(chatId, helpMessage);
+});
+
+// Handle statement files sent as documents - import CSV/OFX/QFX rows
+// into the user's "Imported statements" account. A "flip" caption inverts
+// the detected sign convention.
+bot.on('document', async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const { file_id: fileId, file_name: fileName, file_size: fileSize } = msg.document;
+
+    if (!isStatementFile(fileName)) {
+        reply(chatId, `❌ I can't read that file. ${IMPORT_USAGE}`);
+        return;
+    }
+    if (fileSize > MAX_STATEMENT_BYTES) {
+        reply(chatId, `❌ That file is too large. Statements up to ${MAX_STATEMENT_BYTES / 1024 / 1024} MB can be imported.`);
+        return;
+    }
+
+    bot.sendChatAction(chatId, 'typing');
+
+    try {
+        const chunks = [];
+        for await (const chunk of bot.getFileStream(fileId)) {
+            chunks.push(chunk);
+        }
+        const flip = /\bflip\b/i.test(msg.caption || '');
+        const result = importStatement(userId, fileName, decodeStatement(Buffer.concat(chunks)), { flip });
+
+        await reply(chatId, formatImportResult(result));
+        await sendBudgetAlerts(userId);
+    } catch (error) {
+        if (error instanceof StatementError) {
+            reply(chatId, `❌ ${error.message} ${IMPORT_USAGE}`);
+            return;
+        }
+        console.error('Import error:', error);
+        reply(chatId, `❌ Import failed: ${error.message}`);
+    }
 });
 
 // Handle all other messages
@@ -163,31 +605,90 @@ bot.on('message', async (msg) => {
 
     console.log(`📨 Message from ${msg.from.first_name} (${userId}): ${userMessage}`);
 
-    // Send typing indicator
-    bot.sendChatAction(chatId, 'typing');
+    // One agent run per user at a time, in the order messages arrived
+    const waiting = queuedMessages(userId);
+    if (waiting >= MAX_QUEUED_MESSAGES) {
+        reply(chatId, '⏳ I\'m still working on your earlier messages. Send this one again once they are answered.');
+        return;
+    }
+    if (waiting > 0) {
+        reply(chatId, '⏳ Got it, I\'ll answer this after your previous message.');
+    }
+
+    enqueue(userId, () => answerMessage(msg)).catch(error => console.error('Error processing message:', error));
+});
+
+/**
+ * Run one message through the agent and send its reply, unless the user
+ * is over their quota
+ */
+async function answerMessage(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id.toString();
+    const userMessage = msg.text;
+
+    const overQuota = checkQuota(userId);
+    if (overQuota) {
+        await reply(chatId, overQuota);
+        return;
+    }
+
+    // Typing indicator, then the agent's progress edited into one message
+    const live = createLiveReply(bot, chatId);
 
     try {
         // Process message through Claude AI agent
-        const response = await processMessage(userId, userMessage);
+        const { text: response, charts, documents, search } = await processMessage(userId, userMessage, {
+            onProgress: live.update
+        });
 
-        // Send response (try Markdown, fall back to plain text)
-        try {
-            await bot.sendMessage(chatId, response, { parse_mode: 'Markdown' });
-        } catch (e) {
-            await bot.sendMessage(chatId, response);
+        // Charts and files first, so the reply reads as commentary on them
+        if (charts.length > 0 || documents.length > 0) {
+            await live.discard();
+        }
+        for (const chart of charts) {
+            await bot.sendPhoto(chatId, chart.png, { caption: chart.caption }, { filename: 'chart.png', contentType: 'image/png' });
+        }
+        for (const document of documents) {
+            await sendExport(chatId, document);
         }
 
+        // A search with more matches than it showed gets a "Next page" button
+        const replyMarkup = search && search.offset + search.limit < search.stats.count
+            ? moreKeyboard(rememberSearch(userId, search))
+            : undefined;
+
+        await live.finish(response, { replyMarkup });
+
         console.log(`📤 Response sent to ${msg.from.first_name}`);
     } catch (error) {
         console.error('Error processing message:', error);
-        await bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+        await live.discard();
+        await reply(chatId, '❌ Sorry, something went wrong. Please try again.');
     }
-});
+}
 
 // Handle polling errors
 bot.on('polling_error', (error) => {
     console.error('Polling error:', error.code, error.message);
 });
 
-console.log('✅ Bot is running! Send a message to your bot on Telegram.');
-console.log(`📡 Make sure to also run the Plaid server: npm run server`);
+/**
+ * Start polling Telegram for updates and the digest scheduler. Importing
+ * this file only registers the handlers, so tests can feed the bot
+ * updates themselves.
+ */
+export function startBot() {
+    console.log('OpenSpend is starting...');
+
+    bot.startPolling();
+    startDigestScheduler();
+
+    console.log('✅ Bot is running! Send a message to your bot on Telegram.');
+    console.log(`📡 Make sure to also run the Plaid server: npm run server`);
+}
+
+// `npm run bot` runs this file directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    startBot();
+}
@@ -0,0 +1,99 @@
+/**
+ * Monthly category budgets and threshold alerts
+ */
+
+import { getBudgets, getSpendingSummary, markBudgetAlertSent } from './storage.js';
+import { sendTelegramNotification } from './notify.js';
+
+// Percent-of-budget levels that trigger a one-off alert each month
+const ALERT_THRESHOLDS = [80, 100];
+
+/**
+ * Amount spent in a category, whether it is top-level (its total includes
+ * subcategories) or a subcategory inside a getSpendingSummary result
+ */
+function categoryTotal(spending, category) {
+    if (spending[category]) {
+        return spending[category].total;
+    }
+    for (const parent of Object.values(spending)) {
+        if (parent.subcategories[category]) {
+            return parent.subcategories[category].total;
+        }
+    }
+    return 0;
+}
+
+function monthRange(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+    return { start: `${month}-01`, end: `${month}-${String(lastDay).padStart(2, '0')}` };
+}
+
+export function currentMonth() {
+    return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * Spent vs budget for every budgeted category in a month (YYYY-MM)
+ */
+export function getBudgetStatus(userId, month = currentMonth()) {
+    const budgets = getBudgets(userId);
+    const { start, end } = monthRange(month);
+    const spending = getSpendingSummary(userId, start, end);
+
+    return Object.entries(budgets)
+        .map(([category, budget]) => {
+            const spent = categoryTotal(spending, category);
+            return {
+                category,
+                budget,
+                spent,
+                remaining: budget - spent,
+                percent: Math.round((spent / budget) * 100),
+            };
+        })
+        .sort((a, b) => b.percent - a.percent);
+}
+
+/**
+ * Number of calendar months a date range touches, for scaling monthly
+ * budgets to multi-month summaries
+ */
+export function monthsSpanned(startDate, endDate) {
+    const start = startDate.slice(0, 7).split('-').map(Number);
+    const end = endDate.slice(0, 7).split('-').map(Number);
+    return Math.max(1, (end[0] - start[0]) * 12 + (end[1] - start[1]) + 1);
+}
+
+export function formatBudgetLine(status) {
+    const icon = status.percent >= 100 ? '🔴' : status.percent >= 80 ? '🟡' : '🟢';
+    const left = status.remaining >= 0
+        ? `$${status.remaining.toFixed(2)} left`
+        : `$${Math.abs(status.remaining).toFixed(2)} over`;
+    return `${icon} ${status.category}: $${status.spent.toFixed(2)} of $${status.budget.toFixed(2)} (${status.percent}%, ${left})`;
+}
+
+/**
+ * Push an alert for each category that crossed 80% or 100% of its budget
+ * this month, once per threshold. Called after every successful sync.
+ */
+export async function sendBudgetAlerts(userId) {
+    const month = currentMonth();
+
+    for (const status of getBudgetStatus(userId, month)) {
+        // Record every crossed threshold but send one message about the highest
+        const crossed = ALERT_THRESHOLDS.filter(threshold => status.percent >= threshold);
+        const newlySent = crossed.filter(threshold => markBudgetAlertSent(userId, status.category, month, threshold));
+
+        if (newlySent.length === 0) {
+            continue;
+        }
+
+        const headline = Math.max(...newlySent) >= 100
+            ? `🚨 You've gone over your ${status.category} budget this month.`
+            : `⚠️ You've used ${status.percent}% of your ${status.category} budget this month.`;
+
+        await sendTelegramNotification(userId, `${headline}\n\n${formatBudgetLine(status)}`);
+    }
+}
@@ -0,0 +1,23 @@
+/**
+ * Display helpers for a user's category taxonomy
+ * The taxonomy itself lives in storage.js (getCategoryTree).
+ */
+
+export const CATEGORY_USAGE = 'Usage: /category add <name> [parent], e.g. /category add coffee food\n' +
+    'Remove a custom category with /category delete <name>. Use underscores instead of spaces.';
+
+/**
+ * One line per top-level category with its subcategories, e.g.
+ * `food: coffee, restaurant` — custom entries are marked with *
+ */
+export function formatCategoryTree(tree) {
+    const mark = c => (c.source === 'user' ? `${c.name}*` : c.name);
+
+    return tree
+        .filter(c => !c.parent)
+        .map(top => {
+            const children = tree.filter(c => c.parent === top.name).map(mark);
+            return children.length > 0 ? `${mark(top)}: ${children.join(', ')}` : mark(top);
+        })
+        .join('\n');
+}
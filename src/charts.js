@@ -0,0 +1,389 @@
+/**
+ * Server-side chart rendering for Telegram photos
+ *
+ * Charts are drawn as SVG and rasterized to PNG with resvg using locally
+ * installed fonts, so rendering never touches the network. The data comes
+ * from the same storage aggregations the text tools use.
+ */
+
+import { Resvg } from '@resvg/resvg-js';
+import * as storage from './storage.js';
+import { resolvePeriod, describePeriod, bucketLabel } from './periods.js';
+
+const WIDTH = 800;
+const HEIGHT = 500;
+const FONT = 'DejaVu Sans, Helvetica, Arial, sans-serif';
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+const INCOME_COLOR = '#2e7d32';
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Plot area for charts with axes; the legend sits to the right of it
+const PLOT = { left: 80, right: WIDTH - 180, top: 60, bottom: HEIGHT - 60 };
+
+// Beyond this many slices or stacked series the smallest are merged
+const MAX_PARTS = 8;
+const MAX_LINES = 5;
+
+export const CHART_TYPES = ['spending_by_category', 'spending_trend', 'balance', 'income_vs_spending'];
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Compact axis/label money: $850, $1.2k, -$3.4k
+ */
+function money(value) {
+    const sign = value < 0 ? '-' : '';
+    const abs = Math.abs(value);
+    return abs >= 1000 ? `${sign}$${(abs / 1000).toFixed(1)}k` : `${sign}$${Math.round(abs)}`;
+}
+
+/**
+ * X axis label for a bucket; weeks shorten to "Jul 27" so they fit
+ */
+function axisLabel(key, interval) {
+    if (interval !== 'week') {
+        return bucketLabel(key, interval);
+    }
+    const [, month, day] = key.split('-').map(Number);
+    return `${MONTH_NAMES[month - 1]} ${day}`;
+}
+
+/**
+ * Full-precision money for the text summary: $1234.50, -$80.00
+ */
+function dollars(value) {
+    return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+function sum(values) {
+    return values.reduce((total, v) => total + v, 0);
+}
+
+function label(x, y, content, { size = 13, anchor = 'start', weight = 'normal', fill = '#333' } = {}) {
+    return `<text x="${x}" y="${y}" font-size="${size}" text-anchor="${anchor}" font-weight="${weight}" fill="${fill}">${escapeXml(content)}</text>`;
+}
+
+function svgDocument(title, body) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="${FONT}">` +
+        '<rect width="100%" height="100%" fill="#ffffff"/>' +
+        label(WIDTH / 2, 34, title, { size: 20, anchor: 'middle', weight: 'bold' }) +
+        body +
+        '</svg>';
+}
+
+function legend(entries, x, y) {
+    return entries.map((entry, i) =>
+        `<rect x="${x}" y="${y + i * 24}" width="14" height="14" rx="2" fill="${entry.color}"/>` +
+        label(x + 22, y + i * 24 + 12, entry.label)
+    ).join('');
+}
+
+/**
+ * Round axis bounds and a tick step, e.g. 0..1250 -> 0..1500 step 250
+ */
+function niceScale(low, high) {
+    if (high === low) {
+        high = low + 1;
+    }
+    const rawStep = (high - low) / 5;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const step = [1, 2, 2.5, 5, 10].find(m => m * magnitude >= rawStep) * magnitude;
+    return { min: Math.floor(low / step) * step, max: Math.ceil(high / step) * step, step };
+}
+
+/**
+ * Y axis with gridlines and x labels (thinned out when there are many),
+ * plus a function mapping values to y coordinates
+ */
+function axes(xLabels, low, high) {
+    const scale = niceScale(low, high);
+    const y = value => PLOT.bottom - ((value - scale.min) / (scale.max - scale.min)) * (PLOT.bottom - PLOT.top);
+    const slot = (PLOT.right - PLOT.left) / xLabels.length;
+    const every = Math.ceil(xLabels.length / 8);
+
+    let svg = '';
+    for (let tick = scale.min; tick <= scale.max + scale.step / 2; tick += scale.step) {
+        svg += `<line x1="${PLOT.left}" x2="${PLOT.right}" y1="${y(tick)}" y2="${y(tick)}" stroke="${tick === 0 ? '#999' : '#e5e5e5'}"/>`;
+        svg += label(PLOT.left - 8, y(tick) + 4, money(tick), { size: 12, anchor: 'end', fill: '#666' });
+    }
+    xLabels.forEach((text, i) => {
+        if (i % every === 0) {
+            svg += label(PLOT.left + slot * (i + 0.5), PLOT.bottom + 20, text, { size: 12, anchor: 'middle', fill: '#666' });
+        }
+    });
+
+    return { svg, y, slot };
+}
+
+/**
+ * Keep the largest parts and fold the rest into one "N more" entry
+ */
+function topParts(parts) {
+    const sorted = [...parts].sort((a, b) => b.value - a.value);
+    if (sorted.length <= MAX_PARTS) {
+        return sorted;
+    }
+    const rest = sorted.slice(MAX_PARTS - 1);
+    return [...sorted.slice(0, MAX_PARTS - 1), { label: `${rest.length} more`, value: sum(rest.map(p => p.value)) }];
+}
+
+/**
+ * Same as topParts for series of values, ranked by their totals
+ */
+function topSeries(series) {
+    const sorted = [...series].sort((a, b) => sum(b.values) - sum(a.values));
+    if (sorted.length <= MAX_PARTS) {
+        return sorted;
+    }
+    const rest = sorted.slice(MAX_PARTS - 1);
+    const merged = rest[0].values.map((_, i) => sum(rest.map(s => s.values[i])));
+    return [...sorted.slice(0, MAX_PARTS - 1), { name: `${rest.length} more`, values: merged }];
+}
+
+/**
+ * Donut chart of `slices` ({ label, value }) with a legend
+ */
+export function pieChart(title, slices) {
+    const parts = topParts(slices).filter(p => p.value > 0);
+    const total = sum(parts.map(p => p.value));
+    const cx = 250;
+    const cy = 270;
+    const outer = 180;
+    const inner = 95;
+
+    const point = (radius, angle) => `${(cx + radius * Math.cos(angle)).toFixed(2)} ${(cy + radius * Math.sin(angle)).toFixed(2)}`;
+
+    let angle = -Math.PI / 2;
+    const paths = parts.map((part, i) => {
+        const color = PALETTE[i % PALETTE.length];
+        const sweep = (part.value / total) * Math.PI * 2;
+
+        // A full circle can't be drawn as a single arc
+        if (sweep >= Math.PI * 2 - 1e-6) {
+            return `<circle cx="${cx}" cy="${cy}" r="${(outer + inner) / 2}" fill="none" stroke="${color}" stroke-width="${outer - inner}"/>`;
+        }
+
+        const end = angle + sweep;
+        const large = sweep > Math.PI ? 1 : 0;
+        const path = `M ${point(outer, angle)} A ${outer} ${outer} 0 ${large} 1 ${point(outer, end)} ` +
+            `L ${point(inner, end)} A ${inner} ${inner} 0 ${large} 0 ${point(inner, angle)} Z`;
+        angle = end;
+        return `<path d="${path}" fill="${color}" stroke="#fff" stroke-width="2"/>`;
+    }).join('');
+
+    const entries = parts.map((part, i) => ({
+        label: `${part.label}  ${money(part.value)} (${Math.round((part.value / total) * 100)}%)`,
+        color: PALETTE[i % PALETTE.length],
+    }));
+
+    return svgDocument(title,
+        paths +
+        label(cx, cy - 4, 'Total', { size: 14, anchor: 'middle', fill: '#666' }) +
+        label(cx, cy + 20, money(total), { size: 20, anchor: 'middle', weight: 'bold' }) +
+        legend(entries, 470, Math.max(70, cy - entries.length * 12))
+    );
+}
+
+/**
+ * Horizontal bar chart of `bars` ({ label, value }), largest first
+ */
+export function barChart(title, bars) {
+    const parts = topParts(bars);
+    const max = Math.max(...parts.map(p => p.value), 1);
+    const labelWidth = 170;
+    const barArea = WIDTH - labelWidth - 110;
+    const rowHeight = Math.min(48, (HEIGHT - 80) / parts.length);
+
+    const rows = parts.map((part, i) => {
+        const y = 60 + i * rowHeight;
+        const width = Math.max(2, (part.value / max) * barArea);
+        return label(labelWidth - 10, y + rowHeight / 2 + 5, part.label, { anchor: 'end' }) +
+            `<rect x="${labelWidth}" y="${y + rowHeight * 0.15}" width="${width.toFixed(1)}" height="${(rowHeight * 0.7).toFixed(1)}" rx="3" fill="${PALETTE[i % PALETTE.length]}"/>` +
+            label(labelWidth + width + 8, y + rowHeight / 2 + 5, money(part.value), { size: 12, fill: '#666' });
+    }).join('');
+
+    return svgDocument(title, rows);
+}
+
+/**
+ * Line chart with one line per series ({ name, values }) over `xLabels`
+ */
+export function lineChart(title, xLabels, series) {
+    const all = series.flatMap(s => s.values);
+    const { svg, y, slot } = axes(xLabels, Math.min(0, ...all), Math.max(...all));
+    const x = i => PLOT.left + slot * (i + 0.5);
+
+    const lines = series.map((s, n) => {
+        const color = PALETTE[n % PALETTE.length];
+        const points = s.values.map((value, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+        const dots = s.values.length <= 16
+            ? s.values.map((value, i) => `<circle cx="${x(i).toFixed(1)}" cy="${y(value).toFixed(1)}" r="3.5" fill="${color}"/>`).join('')
+            : '';
+        return `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="2.5"/>${dots}`;
+    }).join('');
+
+    const entries = series.length > 1
+        ? legend(series.map((s, n) => ({ label: s.name, color: PALETTE[n % PALETTE.length] })), PLOT.right + 20, PLOT.top)
+        : '';
+
+    return svgDocument(title, svg + lines + entries);
+}
+
+/**
+ * Stacked bars of `stacks` ({ name, values }) per x label, with an optional
+ * `line` ({ name, values }) drawn over them, e.g. spending by category
+ * against income
+ */
+export function stackedBarChart(title, xLabels, stacks, line = null) {
+    const totals = xLabels.map((_, i) => sum(stacks.map(s => s.values[i])));
+    const { svg, y, slot } = axes(xLabels, 0, Math.max(...totals, ...(line ? line.values : []), 1));
+    const barWidth = Math.min(60, slot * 0.6);
+
+    let bars = '';
+    xLabels.forEach((_, i) => {
+        let base = 0;
+        stacks.forEach((s, n) => {
+            const value = s.values[i];
+            if (value <= 0) return;
+            const top = y(base + value);
+            bars += `<rect x="${(PLOT.left + slot * (i + 0.5) - barWidth / 2).toFixed(1)}" y="${top.toFixed(1)}" ` +
+                `width="${barWidth.toFixed(1)}" height="${(y(base) - top).toFixed(1)}" fill="${PALETTE[n % PALETTE.length]}"/>`;
+            base += value;
+        });
+    });
+
+    let overlay = '';
+    const entries = stacks.map((s, n) => ({ label: s.name, color: PALETTE[n % PALETTE.length] }));
+    if (line) {
+        const points = line.values.map((value, i) => `${(PLOT.left + slot * (i + 0.5)).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+        overlay = `<polyline points="${points}" fill="none" stroke="${INCOME_COLOR}" stroke-width="3" stroke-dasharray="8 4"/>` +
+            line.values.map((value, i) => `<circle cx="${(PLOT.left + slot * (i + 0.5)).toFixed(1)}" cy="${y(value).toFixed(1)}" r="4" fill="${INCOME_COLOR}"/>`).join('');
+        entries.unshift({ label: line.name, color: INCOME_COLOR });
+    }
+
+    return svgDocument(title, svg + bars + overlay + legend(entries, PLOT.right + 20, PLOT.top));
+}
+
+/**
+ * Rasterize an SVG document to a PNG buffer
+ */
+export function renderPng(svg) {
+    const resvg = new Resvg(svg, {
+        font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' },
+        fitTo: { mode: 'width', value: WIDTH * 1.5 },
+    });
+    return resvg.render().asPng();
+}
+
+function spendingByCategory(userId, { style, period, category }) {
+    const summary = storage.getSpendingSummary(userId, period.start, period.end);
+    // A subcategory has nothing to break down; show it among its siblings
+    const shown = category && (storage.getCategoryParents(userId).get(category) || category);
+
+    let parts;
+    if (shown) {
+        // One category broken down into its subcategories
+        const entry = summary[shown];
+        if (!entry) {
+            return null;
+        }
+        parts = Object.entries(entry.subcategories).map(([name, data]) => ({ label: name, value: data.total }));
+        const direct = entry.total - sum(parts.map(p => p.value));
+        if (direct > 0.005) {
+            parts.push({ label: `${shown} (general)`, value: direct });
+        }
+    } else {
+        parts = Object.entries(summary).map(([name, data]) => ({ label: name, value: data.total }));
+    }
+
+    if (parts.length === 0) {
+        return null;
+    }
+
+    const title = `${shown ? `${shown} spending` : 'Spending by category'}, ${period.label}`;
+    return {
+        svg: style === 'bar' ? barChart(title, parts) : pieChart(title, parts),
+        caption: title,
+        summary: topParts(parts).map(p => `${p.label}: ${dollars(p.value)}`).join(', '),
+    };
+}
+
+function spendingTrend(userId, { period, interval, category, groupBy }) {
+    const trend = storage.getSpendingTrend(userId, {
+        startDate: period.start,
+        endDate: period.end,
+        interval,
+        groupBy,
+        category,
+    });
+    if (trend.series.length === 0) {
+        return null;
+    }
+
+    const series = trend.series.slice(0, MAX_LINES);
+    const title = `${category ? `${category} spending` : 'Spending'} by ${interval}, ${describePeriod(period)}`;
+    return {
+        svg: lineChart(title, trend.buckets.map(key => axisLabel(key, interval)), series),
+        caption: title,
+        summary: series.map(s => `${s.name}: avg ${dollars(s.average)}/${interval}`).join(', '),
+    };
+}
+
+function balanceHistory(userId, { period, interval }) {
+    const history = storage.getBalanceHistory(userId, { startDate: period.start, endDate: period.end, interval });
+    if (history.buckets.length === 0) {
+        return null;
+    }
+
+    const title = `Net worth by ${interval}, ${describePeriod(period)}`;
+    return {
+        svg: lineChart(title, history.buckets.map(key => axisLabel(key, interval)), [{ name: 'Net worth', values: history.values }]),
+        caption: title,
+        summary: history.values.map((value, i) => `${bucketLabel(history.buckets[i], interval)}: ${dollars(value)}`).join(', '),
+    };
+}
+
+function incomeVsSpending(userId, { period, interval }) {
+    const range = { startDate: period.start, endDate: period.end, interval };
+    const flow = storage.getCashFlow(userId, range);
+    const trend = storage.getSpendingTrend(userId, range);
+    if (sum(flow.income) === 0 && sum(flow.spending) === 0) {
+        return null;
+    }
+
+    const title = `Income vs spending by ${interval}, ${describePeriod(period)}`;
+    return {
+        svg: stackedBarChart(title, flow.buckets.map(key => axisLabel(key, interval)), topSeries(trend.series), { name: 'income', values: flow.income }),
+        caption: title,
+        summary: flow.buckets.map((key, i) =>
+            `${bucketLabel(key, interval)}: income ${dollars(flow.income[i])}, spent ${dollars(flow.spending[i])}`
+        ).join('; '),
+    };
+}
+
+const BUILDERS = {
+    spending_by_category: { build: spendingByCategory, defaultPeriod: 'this_month' },
+    spending_trend: { build: spendingTrend, defaultPeriod: 'last_6_months' },
+    balance: { build: balanceHistory, defaultPeriod: 'last_6_months' },
+    income_vs_spending: { build: incomeVsSpending, defaultPeriod: 'last_6_months' },
+};
+
+/**
+ * Render one of CHART_TYPES for a user. Returns `{ png, caption, summary }`
+ * (summary is a one-line text version of the data) or null when there is
+ * nothing to chart. Throws PeriodError for an unknown period.
+ */
+export function buildChart(userId, { chart, style = 'pie', period = null, interval = 'month', category = null, groupBy = 'category' }) {
+    const { build, defaultPeriod } = BUILDERS[chart];
+    const result = build(userId, {
+        style,
+        period: resolvePeriod(period || defaultPeriod),
+        interval,
+        category,
+        groupBy,
+    });
+
+    return result && { png: renderPng(result.svg), caption: result.caption, summary: result.summary };
+}
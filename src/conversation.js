@@ -0,0 +1,110 @@
+/**
+ * Conversation memory for the agent
+ *
+ * A user's chat runs in one Agent SDK session that is resumed message
+ * after message, so the model sees earlier questions, answers and tool
+ * results as real turns ("and the month before?" just works). Sessions
+ * are kept short: after SESSION_TURN_LIMIT exchanges, or when a session
+ * can't be resumed (the SDK keeps them on local disk), the turns are
+ * folded into a running summary stored in the database and the next
+ * message starts a new session that carries the summary in its prompt.
+ */
+
+import { query } from './agentQuery.js';
+import { getConversation, getChatHistory, saveConversationSummary } from './storage.js';
+import { recordResultUsage } from './usage.js';
+
+export const SESSION_TURN_LIMIT = 10;
+
+// Tool results are kept for the summary, trimmed to what a summary needs
+const TOOL_RESULT_CHARS = 2000;
+
+const SUMMARY_PROMPT = `You keep the memory of a conversation between a personal finance assistant and one user.
+Merge the previous summary and the new messages into one updated summary of at most 300 words.
+
+Keep:
+- What the user asked about, in order, and what they decided or set up (budgets, rules, categories)
+- Figures the assistant looked up (amounts, dates, merchants, accounts, periods) that a follow-up question might refer to
+- Preferences the user stated and questions still open
+
+Drop greetings and small talk. Write plain notes with no preamble.`;
+
+/**
+ * Text of a tool result as stored in chat history, e.g.
+ * "search_transactions: Transactions 1-10 of 42: ..."
+ */
+export function formatToolResult(name, content) {
+    const text = (Array.isArray(content) ? content : [{ type: 'text', text: String(content ?? '') }])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
+    const trimmed = text.length > TOOL_RESULT_CHARS ? `${text.slice(0, TOOL_RESULT_CHARS)}…` : text;
+    return `${name.replace(/^mcp__finance-tools__/, '')}: ${trimmed}`;
+}
+
+async function summarize(userId, previousSummary, messages) {
+    const transcript = messages.map(msg => `${msg.role.toUpperCase()}: ${msg.content}`).join('\n\n');
+    const prompt = `PREVIOUS SUMMARY:\n${previousSummary || '(none)'}\n\nNEW MESSAGES:\n${transcript}`;
+
+    let summary = null;
+    for await (const message of query({
+        prompt,
+        options: {
+            systemPrompt: SUMMARY_PROMPT,
+            tools: [],
+            maxTurns: 1,
+            persistSession: false
+        }
+    })) {
+        if (message.type === 'result') {
+            recordResultUsage(userId, 'summary', message);
+            if (message.subtype === 'success') {
+                summary = message.result.trim();
+            }
+        }
+    }
+
+    if (!summary) {
+        throw new Error('Summary came back empty');
+    }
+    return summary;
+}
+
+/**
+ * Fold the current session's messages into the running summary and drop
+ * the session. If summarizing fails the session is still dropped; the
+ * messages stay and go into the next summary instead.
+ * Returns the summary the next session should start from.
+ */
+export async function rollOverConversation(userId) {
+    const conversation = getConversation(userId);
+    const messages = getChatHistory(userId, conversation.summarizedThrough);
+
+    if (messages.length === 0) {
+        saveConversationSummary(userId, null);
+        return conversation.summary;
+    }
+
+    try {
+        const summary = await summarize(userId, conversation.summary, messages);
+        saveConversationSummary(userId, summary, messages[messages.length - 1].id);
+        console.log(`🧠 Summarized ${messages.length} message(s) for user ${userId}`);
+        return summary;
+    } catch (error) {
+        console.error(`⚠️ Conversation summary failed for user ${userId}:`, error.message);
+        saveConversationSummary(userId, null);
+        return conversation.summary;
+    }
+}
+
+/**
+ * The session to resume (or null) and the summary to put in the system
+ * prompt, rolling the session over first if it is full
+ */
+export async function prepareConversation(userId) {
+    const conversation = getConversation(userId);
+    if (conversation.sessionId && conversation.sessionTurns >= SESSION_TURN_LIMIT) {
+        return { sessionId: null, summary: await rollOverConversation(userId) };
+    }
+    return { sessionId: conversation.sessionId, summary: conversation.summary };
+}
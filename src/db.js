@@ -0,0 +1,235 @@
+/**
+ * SQLite database shared by the bot and server processes
+ * WAL mode lets both processes read while one writes; writes wait on the
+ * busy timeout instead of clobbering each other.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DATA_DIR = path.join(__dirname, '..', 'data');
+const DB_FILE = process.env.DATABASE_PATH || path.join(DATA_DIR, 'openspend.db');
+
+// Ensure data directory exists
+const dbDir = path.dirname(DB_FILE);
+if (!fs.existsSync(dbDir)) {
+  fs.mkdirSync(dbDir, { recursive: true });
+}
+
+const db = new Database(DB_FILE);
+db.pragma('journal_mode = WAL');
+db.pragma('busy_timeout = 5000');
+db.pragma('foreign_keys = ON');
+
+// ============================================
+// Schema Migrations
+// Each entry runs once, in order; PRAGMA user_version records how many
+// have been applied. Append new migrations, never edit applied ones.
+// ============================================
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE items (
+    item_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    access_token TEXT NOT NULL,
+    institution_id TEXT,
+    institution_name TEXT,
+    cursor TEXT,
+    connected_at TEXT,
+    last_synced_at TEXT
+  );
+  CREATE INDEX idx_items_user ON items(user_id);
+
+  CREATE TABLE accounts (
+    id TEXT PRIMARY KEY,
+    item_id TEXT NOT NULL REFERENCES items(item_id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    type TEXT,
+    subtype TEXT,
+    balance REAL,
+    available_balance REAL,
+    institution TEXT
+  );
+  CREATE INDEX idx_accounts_user ON accounts(user_id);
+
+  CREATE TABLE transactions (
+    id TEXT PRIMARY KEY,
+    item_id TEXT NOT NULL REFERENCES items(item_id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    date TEXT NOT NULL,
+    amount REAL NOT NULL,
+    merchant TEXT NOT NULL,
+    category TEXT NOT NULL,
+    account TEXT,
+    pending INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX idx_transactions_user_date ON transactions(user_id, date);
+  CREATE INDEX idx_transactions_user_category_date ON transactions(user_id, category, date);
+  CREATE INDEX idx_transactions_user_amount ON transactions(user_id, amount);
+  CREATE INDEX idx_transactions_user_account ON transactions(user_id, account);
+  CREATE INDEX idx_transactions_item ON transactions(item_id);
+
+  CREATE TABLE chat_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_chat_messages_user ON chat_messages(user_id, id);
+  `,
+  `
+  CREATE TABLE link_nonces (
+    nonce TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    used_at TEXT
+  );
+  `,
+  `
+  ALTER TABLE items ADD COLUMN status TEXT NOT NULL DEFAULT 'ok';
+  `,
+  `
+  CREATE TABLE budgets (
+    user_id TEXT NOT NULL,
+    category TEXT NOT NULL,
+    amount REAL NOT NULL,
+    PRIMARY KEY (user_id, category)
+  );
+
+  CREATE TABLE budget_alerts (
+    user_id TEXT NOT NULL,
+    category TEXT NOT NULL,
+    month TEXT NOT NULL,
+    threshold INTEGER NOT NULL,
+    sent_at TEXT NOT NULL,
+    PRIMARY KEY (user_id, category, month, threshold)
+  );
+  `,
+  `
+  ALTER TABLE transactions ADD COLUMN source_category TEXT;
+  UPDATE transactions SET source_category = category;
+
+  CREATE TABLE category_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    merchant TEXT,
+    min_amount REAL,
+    max_amount REAL,
+    account TEXT,
+    category TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_category_rules_user ON category_rules(user_id);
+
+  CREATE TABLE category_overrides (
+    user_id TEXT NOT NULL,
+    transaction_id TEXT NOT NULL,
+    category TEXT NOT NULL,
+    PRIMARY KEY (user_id, transaction_id)
+  );
+  `,
+  `
+  CREATE TABLE categories (
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    parent TEXT,
+    source TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (user_id, name)
+  );
+  `,
+  `
+  ALTER TABLE users ADD COLUMN timezone TEXT;
+
+  CREATE TABLE digests (
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL,
+    send_at TEXT NOT NULL,
+    last_sent_on TEXT,
+    PRIMARY KEY (user_id, kind)
+  );
+  `,
+  `
+  ALTER TABLE transactions ADD COLUMN currency TEXT;
+  ALTER TABLE transactions ADD COLUMN country TEXT;
+  ALTER TABLE transactions ADD COLUMN authorized_at TEXT;
+
+  CREATE TABLE anomaly_alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    transaction_id TEXT NOT NULL,
+    merchant TEXT NOT NULL,
+    amount REAL NOT NULL,
+    reasons TEXT NOT NULL,
+    feedback TEXT,
+    created_at TEXT NOT NULL,
+    UNIQUE (user_id, transaction_id)
+  );
+  `,
+  `
+  ALTER TABLE items ADD COLUMN source TEXT NOT NULL DEFAULT 'plaid';
+  `,
+  `
+  ALTER TABLE accounts ADD COLUMN mask TEXT;
+  ALTER TABLE accounts ADD COLUMN official_name TEXT;
+  ALTER TABLE items ADD COLUMN institution_logo TEXT;
+
+  -- accounts.institution used to hold the account's official name
+  UPDATE accounts SET institution = (SELECT institution_name FROM items WHERE items.item_id = accounts.item_id);
+  `,
+  `
+  CREATE TABLE conversations (
+    user_id TEXT PRIMARY KEY,
+    session_id TEXT,
+    session_turns INTEGER NOT NULL DEFAULT 0,
+    summary TEXT,
+    summarized_through INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE agent_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cache_read_tokens INTEGER NOT NULL DEFAULT 0,
+    cache_creation_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd REAL NOT NULL DEFAULT 0,
+    turns INTEGER NOT NULL DEFAULT 0,
+    duration_ms INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_agent_usage_user ON agent_usage(user_id, created_at);
+  CREATE INDEX idx_agent_usage_created ON agent_usage(created_at);
+  `,
+];
+
+// IMMEDIATE takes the write lock up front, so when the bot and server
+// start together only one of them applies pending migrations
+const migrate = db.transaction(() => {
+  const current = db.pragma('user_version', { simple: true });
+
+  for (let version = current; version < MIGRATIONS.length; version++) {
+    db.exec(MIGRATIONS[version]);
+    console.log(`🗄️ Applied database migration ${version + 1}`);
+  }
+
+  db.pragma(`user_version = ${Math.max(current, MIGRATIONS.length)}`);
+});
+
+migrate.immediate();
+
+export default db;
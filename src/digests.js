@@ -0,0 +1,252 @@
+/**
+ * Opt-in scheduled digests pushed to Telegram
+ *
+ *   daily   - yesterday's transactions, every day
+ *   weekly  - last week's top categories vs the week before, on Mondays
+ *   monthly - last month's income, spend, savings rate and biggest
+ *             purchases, on the 1st
+ *
+ * Send times are in each user's own timezone. The schedule lives in the
+ * database, and the scheduler checks it once a minute, so digests survive
+ * restarts; one that came due while the bot was down goes out when it
+ * starts again the same day.
+ */
+
+import {
+    getSpendingSummary, getIncomeSummary, getTransactions, getUserTimezone,
+    setDigest, getDigests, getAllDigests, markDigestSent
+} from './storage.js';
+import { sendTelegramNotification } from './notify.js';
+import { resolvePeriod, describePeriod } from './periods.js';
+
+export const DIGEST_KINDS = ['daily', 'weekly', 'monthly'];
+
+export const DIGEST_USAGE = 'Usage: /digest daily 08:00 (or weekly, monthly; "off" to stop one, /digest off to stop all)\n' +
+    'Set your timezone with /digest timezone America/New_York';
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const CHECK_INTERVAL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+export function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export function userTimezone(userId) {
+    return getUserTimezone(userId) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Date (YYYY-MM-DD), time (HH:MM) and ISO weekday (1 = Monday) in a timezone
+ */
+function localNow(timezone, now = new Date()) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short',
+            hourCycle: 'h23',
+        }).formatToParts(now).map(part => [part.type, part.value])
+    );
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`,
+        weekday: WEEKDAYS[parts.weekday],
+    };
+}
+
+function previousDay(date) {
+    return new Date(Date.parse(date) - DAY_MS).toISOString().split('T')[0];
+}
+
+function totalSpent(summary) {
+    return Object.values(summary).reduce((sum, entry) => sum + entry.total, 0);
+}
+
+function topCategories(summary, count = 5) {
+    return Object.entries(summary)
+        .sort((a, b) => b[1].total - a[1].total)
+        .slice(0, count);
+}
+
+/**
+ * Yesterday's transactions and spending, plus the month so far
+ */
+export function buildDailyDigest(userId, today) {
+    const yesterday = previousDay(today);
+    const spending = getSpendingSummary(userId, yesterday, yesterday);
+    const income = getIncomeSummary(userId, yesterday, yesterday);
+    const transactions = getTransactions(userId, { startDate: yesterday, endDate: yesterday });
+
+    const lines = [`☀️ Good morning! Here's yesterday, ${yesterday}:`, ''];
+
+    if (transactions.length === 0) {
+        lines.push('No transactions.');
+    } else {
+        const purchases = Object.values(spending).reduce((sum, entry) => sum + entry.count, 0);
+        lines.push(`💸 Spent $${totalSpent(spending).toFixed(2)} across ${purchases} purchase(s)`);
+        for (const t of transactions.slice(0, 10)) {
+            const sign = t.amount >= 0 ? '+' : '-';
+            lines.push(`• ${t.merchant}: ${sign}$${Math.abs(t.amount).toFixed(2)} (${t.category})`);
+        }
+        if (transactions.length > 10) {
+            lines.push(`…and ${transactions.length - 10} more`);
+        }
+        if (income.total > 0) {
+            lines.push(`💵 Money in: $${income.total.toFixed(2)}`);
+        }
+    }
+
+    // On the 1st there is no month so far yet
+    const monthStart = `${today.slice(0, 7)}-01`;
+    if (yesterday >= monthStart) {
+        lines.push('', `📅 This month so far: $${totalSpent(getSpendingSummary(userId, monthStart, yesterday)).toFixed(2)} spent`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Last Monday-Sunday week's spending by category against the week before
+ */
+export function buildWeeklyDigest(userId, today) {
+    const week = resolvePeriod('last_week', today);
+    const current = getSpendingSummary(userId, week.start, week.end);
+    const previous = getSpendingSummary(userId, week.previous.start, week.previous.end);
+    const income = getIncomeSummary(userId, week.start, week.end);
+
+    const spent = totalSpent(current);
+    const before = totalSpent(previous);
+    const change = before > 0
+        ? ` (${spent >= before ? '+' : ''}${(((spent - before) / before) * 100).toFixed(0)}% vs the week before)`
+        : '';
+
+    const lines = [`📅 Weekly recap, ${describePeriod(week)}`, '', `💸 Spent $${spent.toFixed(2)}${change}`];
+
+    const top = topCategories(current);
+    if (top.length > 0) {
+        lines.push('', 'Top categories:');
+        for (const [category, data] of top) {
+            lines.push(`• ${category}: $${data.total.toFixed(2)} (week before: $${(previous[category]?.total || 0).toFixed(2)})`);
+        }
+    }
+    if (income.total > 0) {
+        lines.push('', `💵 Money in: $${income.total.toFixed(2)}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Last month's income, spending, savings rate, top categories and
+ * biggest purchases
+ */
+export function buildMonthlyDigest(userId, today) {
+    const month = resolvePeriod('last_month', today);
+    const spending = getSpendingSummary(userId, month.start, month.end);
+    const income = getIncomeSummary(userId, month.start, month.end);
+
+    const spent = totalSpent(spending);
+    const saved = income.total - spent;
+    const savingsRate = income.total > 0 ? `, ${Math.round((saved / income.total) * 100)}% of income` : '';
+
+    const lines = [
+        `📆 ${month.label} report`,
+        '',
+        `💵 Income: $${income.total.toFixed(2)}`,
+        `💸 Spent: $${spent.toFixed(2)}`,
+        `🏦 ${saved >= 0 ? 'Saved' : 'Overspent'}: $${Math.abs(saved).toFixed(2)}${savingsRate}`,
+    ];
+
+    const top = topCategories(spending);
+    if (top.length > 0) {
+        lines.push('', 'Top categories:');
+        for (const [category, data] of top) {
+            lines.push(`• ${category}: $${data.total.toFixed(2)}`);
+        }
+    }
+
+    const biggest = getTransactions(userId, { startDate: month.start, endDate: month.end })
+        .filter(t => t.amount < 0 && !['income', 'transfer'].includes(t.parentCategory || t.category))
+        .sort((a, b) => a.amount - b.amount)
+        .slice(0, 5);
+    if (biggest.length > 0) {
+        lines.push('', 'Biggest purchases:');
+        for (const t of biggest) {
+            lines.push(`• ${t.date} ${t.merchant}: $${Math.abs(t.amount).toFixed(2)}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+const BUILDERS = {
+    daily: buildDailyDigest,
+    weekly: buildWeeklyDigest,
+    monthly: buildMonthlyDigest,
+};
+
+export function buildDigest(kind, userId, today = localNow(userTimezone(userId)).date) {
+    return BUILDERS[kind](userId, today);
+}
+
+/**
+ * Weekly digests go out on Mondays and monthly ones on the 1st
+ */
+function isDueToday(kind, local) {
+    if (kind === 'weekly') return local.weekday === 1;
+    if (kind === 'monthly') return local.date.endsWith('-01');
+    return true;
+}
+
+/**
+ * Turn on a digest at `sendAt` (HH:MM, user's timezone). If that time has
+ * already passed today, or today's digest already went out, it starts
+ * tomorrow rather than firing right away.
+ */
+export function scheduleDigest(userId, kind, sendAt) {
+    const local = localNow(userTimezone(userId));
+    const sentToday = getDigests(userId).find(d => d.kind === kind)?.lastSentOn === local.date;
+    setDigest(userId, kind, sendAt, sentToday || local.time >= sendAt ? local.date : null);
+}
+
+/**
+ * Send every digest whose time has come in its user's timezone and that
+ * hasn't gone out yet today
+ */
+export async function sendDueDigests(now = new Date()) {
+    for (const digest of getAllDigests()) {
+        const local = localNow(digest.timezone || DEFAULT_TIMEZONE, now);
+
+        if (local.time < digest.sendAt || !isDueToday(digest.kind, local)) continue;
+        if (!markDigestSent(digest.userId, digest.kind, local.date)) continue;
+
+        try {
+            await sendTelegramNotification(digest.userId, buildDigest(digest.kind, digest.userId, local.date));
+        } catch (error) {
+            console.error(`Digest error for user ${digest.userId}:`, error);
+        }
+    }
+}
+
+/**
+ * Check for due digests now and then once a minute
+ */
+export function startDigestScheduler() {
+    const tick = () => sendDueDigests().catch(error => console.error('Digest scheduler error:', error));
+    tick();
+    setInterval(tick, CHECK_INTERVAL_MS);
+    console.log('⏰ Digest scheduler started');
+}
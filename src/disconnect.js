@@ -0,0 +1,61 @@
+/**
+ * Revoking Plaid items and purging user data
+ */
+
+import { removeItem } from './plaid.js';
+import { getUserItem, getUserItems, removeUserItem, clearChatHistory, deleteUserData } from './storage.js';
+
+// Plaid reports these when the token is already gone, which is what we want anyway
+const ALREADY_REVOKED_CODES = ['ITEM_NOT_FOUND', 'INVALID_ACCESS_TOKEN'];
+
+/**
+ * Revoke the item at Plaid. Returns false (after logging) if Plaid could
+ * not confirm it; local data is purged regardless so the user's request
+ * to forget the connection is always honoured.
+ */
+async function revokeItem(item) {
+    // Imported statements were never linked through Plaid
+    if (item.source === 'manual') {
+        return true;
+    }
+    try {
+        await removeItem(item.accessToken);
+        return true;
+    } catch (error) {
+        if (ALREADY_REVOKED_CODES.includes(error.response?.data?.error_code)) {
+            return true;
+        }
+        console.error(`Failed to revoke item ${item.itemId}:`, error.response?.data || error.message);
+        return false;
+    }
+}
+
+/**
+ * Disconnect one institution: revoke it at Plaid, then delete the item,
+ * its cached transactions and the user's chat history.
+ */
+export async function disconnectItem(userId, itemId) {
+    const item = getUserItem(userId, itemId);
+
+    if (!item) {
+        return null;
+    }
+
+    const revoked = await revokeItem(item);
+    removeUserItem(userId, itemId);
+    clearChatHistory(userId);
+
+    return { revoked };
+}
+
+/**
+ * Revoke every item and delete everything stored about the user
+ */
+export async function deleteEverything(userId) {
+    const items = getUserItems(userId);
+    const outcomes = await Promise.all(items.map(revokeItem));
+
+    deleteUserData(userId);
+
+    return { itemCount: items.filter(item => item.source === 'plaid').length, revoked: outcomes.every(Boolean) };
+}
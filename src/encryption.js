@@ -0,0 +1,121 @@
+/**
+ * AES-256-GCM encryption for Plaid access tokens at rest
+ *
+ * Encrypted values look like `enc:v1:<keyId>:<iv>:<tag>:<ciphertext>`, where
+ * keyId identifies which key sealed them. TOKEN_ENCRYPTION_KEY is the current
+ * key; keys listed in TOKEN_ENCRYPTION_PREVIOUS_KEYS can still decrypt, which
+ * is what lets `npm run rotate-key` move tokens from an old key to a new one.
+ */
+
+import crypto from 'crypto';
+
+const PREFIX = 'enc:v1:';
+
+function parseKey(value) {
+    const trimmed = value.trim();
+    const key = /^[0-9a-f]{64}$/i.test(trimmed)
+        ? Buffer.from(trimmed, 'hex')
+        : Buffer.from(trimmed, 'base64');
+
+    if (key.length !== 32) {
+        throw new Error('Encryption keys must be 32 bytes, given as 64 hex characters or base64');
+    }
+    return key;
+}
+
+function keyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function loadKeys() {
+    const current = process.env.TOKEN_ENCRYPTION_KEY
+        ? parseKey(process.env.TOKEN_ENCRYPTION_KEY)
+        : null;
+    const previous = (process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '')
+        .split(',')
+        .filter(value => value.trim())
+        .map(parseKey);
+
+    const byId = new Map();
+    for (const key of [current, ...previous].filter(Boolean)) {
+        byId.set(keyId(key), key);
+    }
+    return { current, byId };
+}
+
+/**
+ * Refuse to run against real banks without a key. Also validates the
+ * format of any configured keys so a typo fails at startup, not mid-sync.
+ */
+export function assertEncryptionConfigured() {
+    const { current } = loadKeys();
+
+    if (!current && process.env.PLAID_ENV === 'production') {
+        throw new Error('TOKEN_ENCRYPTION_KEY must be set when PLAID_ENV=production');
+    }
+    if (!current) {
+        console.warn('⚠️ TOKEN_ENCRYPTION_KEY is not set - Plaid access tokens are stored unencrypted');
+    }
+}
+
+function isEncrypted(value) {
+    return value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt with the current key. Without a key (local sandbox use only,
+ * see assertEncryptionConfigured) the value is stored as-is.
+ */
+export function encryptToken(plaintext) {
+    const { current } = loadKeys();
+    if (!current) {
+        return plaintext;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', current, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return PREFIX + [keyId(current), iv, tag, ciphertext]
+        .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+        .join(':');
+}
+
+/**
+ * Decrypt a stored token. Values without the `enc:` prefix predate
+ * encryption and are returned unchanged.
+ */
+export function decryptToken(stored) {
+    if (!isEncrypted(stored)) {
+        return stored;
+    }
+
+    const [id, iv, tag, ciphertext] = stored.slice(PREFIX.length).split(':');
+    const key = loadKeys().byId.get(id);
+    if (!key) {
+        throw new Error(`No encryption key available for token sealed with key ${id}`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64')),
+        decipher.final(),
+    ]).toString('utf8');
+}
+
+/**
+ * Re-seal a stored token under the current key. Returns null when it
+ * already uses the current key (or there is no key to move it to).
+ */
+export function reencryptToken(stored) {
+    const { current } = loadKeys();
+    if (!current) {
+        return null;
+    }
+    if (isEncrypted(stored) && stored.slice(PREFIX.length).split(':')[0] === keyId(current)) {
+        return null;
+    }
+    return encryptToken(decryptToken(stored));
+}
@@ -0,0 +1,303 @@
+/**
+ * Transaction exports sent to Telegram as documents
+ *
+ *   csv  - one row per transaction, for any spreadsheet or accounting tool
+ *   xlsx - the same rows as a typed, filterable sheet, plus a category summary
+ *   pdf  - a monthly statement: totals and the transactions for each month
+ *
+ * Filters are the ones search_transactions takes (category, merchant,
+ * dates, amount, account), so "export what you just showed me" works.
+ */
+
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import * as storage from './storage.js';
+import { resolvePeriod, bucketLabel } from './periods.js';
+import { accountLabel } from './search.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+export const EXPORT_USAGE = 'Usage: /export <csv|xlsx|pdf> [period] [category:<name>] [merchant:<text>] [account:<text>] [amount:<min>-<max>]\n' +
+    'e.g. /export pdf last_month, /export xlsx 2026 category:food, /export csv from:2026-01-01 to:2026-03-31';
+
+// Telegram accepts much larger files, but nobody needs more rows than this
+const MAX_EXPORT_ROWS = 10000;
+
+const CONTENT_TYPES = {
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf',
+};
+
+export class ExportError extends Error {}
+
+/**
+ * Turn the text after /export into `{ format, filters }`. Conditions use
+ * the /rule syntax; a bare word is a period name (see periods.js).
+ * Throws ExportError with a message fit to show the user.
+ */
+export function parseExportCommand(text, categories) {
+    const tokens = [...(text || '').matchAll(/(\w+):(?:"([^"]+)"|(\S+))|(\S+)/g)];
+    const filters = {};
+    let format = null;
+
+    for (const [, field, quoted, bare, word] of tokens) {
+        const value = quoted || bare;
+
+        if (word && EXPORT_FORMATS.includes(word.toLowerCase())) {
+            format = word.toLowerCase();
+        } else if (word) {
+            let period;
+            try {
+                period = resolvePeriod(word);
+            } catch (error) {
+                throw new ExportError(`${error.message}\n\n${EXPORT_USAGE}`);
+            }
+            filters.startDate = period.start;
+            filters.endDate = period.end;
+        } else if (field === 'category') {
+            const category = storage.normalizeCategoryName(value);
+            if (!categories.includes(category)) {
+                throw new ExportError(`Unknown category "${category}". Choose from: ${categories.join(', ')}`);
+            }
+            filters.category = category;
+        } else if (field === 'merchant' || field === 'account') {
+            filters[field] = value;
+        } else if (field === 'from' || field === 'to') {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                throw new ExportError(`Dates look like 2026-01-31, not "${value}".`);
+            }
+            filters[field === 'from' ? 'startDate' : 'endDate'] = value;
+        } else if (field === 'amount') {
+            const range = value.match(/^(-?\d+(?:\.\d+)?)\.\.(-?\d+(?:\.\d+)?)$/) || value.match(/^(-?\d+(?:\.\d+)?)-(-?\d+(?:\.\d+)?)$/);
+            const atLeast = value.match(/^>=?(-?\d+(?:\.\d+)?)$/);
+            const atMost = value.match(/^<=?(-?\d+(?:\.\d+)?)$/);
+            if (range) {
+                filters.minAmount = Number(range[1]);
+                filters.maxAmount = Number(range[2]);
+            } else if (atLeast) {
+                filters.minAmount = Number(atLeast[1]);
+            } else if (atMost) {
+                filters.maxAmount = Number(atMost[1]);
+            } else {
+                throw new ExportError(`Can't read amount "${value}". Use amount:10-50, amount:>100 or amount:<0.`);
+            }
+        } else {
+            throw new ExportError(`Unknown filter "${field}".\n\n${EXPORT_USAGE}`);
+        }
+    }
+
+    if (!format) {
+        throw new ExportError(EXPORT_USAGE);
+    }
+    return { format, filters };
+}
+
+/**
+ * Short description of the filters for captions and headings
+ */
+export function describeFilters(filters) {
+    const parts = [];
+    if (filters.startDate || filters.endDate) {
+        parts.push(`${filters.startDate || 'start'} to ${filters.endDate || 'today'}`);
+    }
+    if (filters.category) parts.push(`category ${filters.category}`);
+    if (filters.merchant) parts.push(`merchant "${filters.merchant}"`);
+    if (filters.account) parts.push(`account "${filters.account}"`);
+    if (filters.minAmount !== undefined) parts.push(`amount ≥ ${filters.minAmount}`);
+    if (filters.maxAmount !== undefined) parts.push(`amount ≤ ${filters.maxAmount}`);
+    return parts.length > 0 ? parts.join(', ') : 'all transactions';
+}
+
+function exportRows(userId, filters) {
+    return storage.getTransactions(userId, { ...filters, limit: MAX_EXPORT_ROWS })
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(t => ({
+            date: t.date,
+            merchant: t.merchant,
+            amount: t.amount,
+            category: t.parentCategory ? `${t.parentCategory} > ${t.category}` : t.category,
+            topCategory: t.parentCategory || t.category,
+            account: t.account ? accountLabel(t.account, t.accountMask) : '',
+            pending: t.pending,
+            id: t.id,
+        }));
+}
+
+/**
+ * Quote a CSV field. Text starting with = + - @ is prefixed with ' so a
+ * spreadsheet shows it instead of running it as a formula.
+ */
+function csvField(value, { text = false } = {}) {
+    let field = String(value ?? '');
+    if (text && /^[=+\-@]/.test(field)) {
+        field = `'${field}`;
+    }
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+function buildCsv(rows) {
+    const lines = [['Date', 'Description', 'Amount', 'Category', 'Account', 'Pending', 'Transaction ID'].join(',')];
+    for (const row of rows) {
+        lines.push([
+            row.date,
+            csvField(row.merchant, { text: true }),
+            row.amount.toFixed(2),
+            csvField(row.category),
+            csvField(row.account, { text: true }),
+            row.pending ? 'yes' : 'no',
+            csvField(row.id),
+        ].join(','));
+    }
+    return Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+async function buildXlsx(rows, title) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'OpenSpend';
+    const money = '$#,##0.00;[Red]-$#,##0.00';
+
+    const sheet = workbook.addWorksheet('Transactions', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = [
+        { header: 'Date', key: 'date', width: 12, style: { numFmt: 'yyyy-mm-dd' } },
+        { header: 'Description', key: 'merchant', width: 40 },
+        { header: 'Amount', key: 'amount', width: 14, style: { numFmt: money } },
+        { header: 'Category', key: 'category', width: 28 },
+        { header: 'Account', key: 'account', width: 24 },
+        { header: 'Pending', key: 'pending', width: 9 },
+        { header: 'Transaction ID', key: 'id', width: 30 },
+    ];
+    for (const row of rows) {
+        sheet.addRow({ ...row, date: new Date(`${row.date}T00:00:00Z`), pending: row.pending ? 'yes' : 'no' });
+    }
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: 'A1', to: 'G1' };
+
+    // Net total per category, biggest spending first, for a quick pivot-free overview
+    const summary = workbook.addWorksheet('Summary');
+    summary.columns = [
+        { header: 'Category', key: 'category', width: 28 },
+        { header: 'Transactions', key: 'count', width: 14 },
+        { header: 'Total', key: 'total', width: 14, style: { numFmt: money } },
+    ];
+    summary.getRow(1).font = { bold: true };
+    const totals = new Map();
+    for (const row of rows) {
+        const entry = totals.get(row.category) || { category: row.category, count: 0, total: 0 };
+        entry.count += 1;
+        entry.total += row.amount;
+        totals.set(row.category, entry);
+    }
+    for (const entry of [...totals.values()].sort((a, b) => a.total - b.total)) {
+        summary.addRow({ ...entry, total: Math.round(entry.total * 100) / 100 });
+    }
+    summary.addRow({});
+    summary.addRow({ category: title }).font = { italic: true };
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * A statement page per month: money in, money out and net, then every
+ * transaction in date order
+ */
+function buildPdf(rows, title) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title, Author: 'OpenSpend' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise(resolve => doc.on('end', () => resolve(Buffer.concat(chunks))));
+
+    const columns = { date: 50, merchant: 120, category: 330, amount: 460 };
+    const amountWidth = 85;
+    const ROW_HEIGHT = 13;
+    // Leave room for a full row above the margin, or pdfkit breaks the page mid-row
+    const bottom = doc.page.height - doc.page.margins.bottom - 2 * ROW_HEIGHT;
+    const money = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+
+    const tableHeader = () => {
+        doc.font('Helvetica-Bold').fontSize(9);
+        const y = doc.y;
+        doc.text('Date', columns.date, y);
+        doc.text('Description', columns.merchant, y);
+        doc.text('Category', columns.category, y);
+        doc.text('Amount', columns.amount, y, { width: amountWidth, align: 'right' });
+        doc.moveTo(50, doc.y + 2).lineTo(doc.page.width - 50, doc.y + 2).strokeColor('#999').stroke();
+        doc.moveDown(0.5);
+        doc.font('Helvetica');
+    };
+
+    const months = new Map();
+    for (const row of rows) {
+        const key = row.date.slice(0, 7);
+        if (!months.has(key)) months.set(key, []);
+        months.get(key).push(row);
+    }
+
+    let first = true;
+    for (const [month, monthRows] of months) {
+        if (!first) doc.addPage();
+        first = false;
+
+        const moneyIn = monthRows.filter(r => r.amount > 0 && r.topCategory !== 'transfer').reduce((sum, r) => sum + r.amount, 0);
+        const moneyOut = monthRows.filter(r => r.amount < 0 && r.topCategory !== 'transfer').reduce((sum, r) => sum + r.amount, 0);
+
+        doc.font('Helvetica-Bold').fontSize(18).text(`Statement: ${bucketLabel(month, 'month')}`);
+        doc.font('Helvetica').fontSize(10).fillColor('#555').text(title).fillColor('black');
+        doc.moveDown();
+        doc.fontSize(11)
+            .text(`Money in: ${money(moneyIn)}`)
+            .text(`Money out: ${money(moneyOut)}`)
+            .text(`Net: ${money(moneyIn + moneyOut)}   (transfers excluded)`);
+        doc.moveDown();
+
+        tableHeader();
+        doc.fontSize(9);
+        for (const row of monthRows) {
+            if (doc.y > bottom) {
+                doc.addPage();
+                tableHeader();
+                doc.fontSize(9);
+            }
+            const y = doc.y;
+            doc.text(row.date, columns.date, y);
+            doc.text(row.merchant, columns.merchant, y, { width: 200, lineBreak: false, ellipsis: true });
+            doc.text(row.category, columns.category, y, { width: 125, lineBreak: false, ellipsis: true });
+            doc.fillColor(row.amount < 0 ? '#b00020' : '#1b5e20')
+                .text(money(row.amount), columns.amount, y, { width: amountWidth, align: 'right' })
+                .fillColor('black');
+            // Every cell was written at the same y; move down exactly one row
+            doc.x = 50;
+            doc.y = y + ROW_HEIGHT;
+        }
+    }
+
+    doc.end();
+    return done;
+}
+
+/**
+ * Build an export of the user's transactions matching `filters`.
+ * Returns `{ buffer, filename, contentType, caption, count }`, or null
+ * when nothing matches.
+ */
+export async function buildExport(userId, format, filters = {}) {
+    const rows = exportRows(userId, filters);
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const title = `OpenSpend export: ${describeFilters(filters)}`;
+    const builders = { csv: () => buildCsv(rows), xlsx: () => buildXlsx(rows, title), pdf: () => buildPdf(rows, title) };
+    const buffer = await builders[format]();
+
+    const range = `${rows[0].date}_to_${rows[rows.length - 1].date}`;
+    const truncated = rows.length >= MAX_EXPORT_ROWS ? ` (latest ${MAX_EXPORT_ROWS} only; narrow the filters for older ones)` : '';
+
+    return {
+        buffer,
+        filename: `openspend_${range}.${format}`,
+        contentType: CONTENT_TYPES[format],
+        caption: `📄 ${rows.length} transaction(s), ${describeFilters(filters)}${truncated}`,
+        count: rows.length,
+    };
+}
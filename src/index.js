@@ -8,13 +8,14 @@ import 'dotenv/config';
 // Start both services
 console.log('🚀 Starting Personal Finance Bot (combined mode)...\n');
 
-// Import and start the bot (it auto-starts on import)
-import('./bot.js').then(() => {
+// Importing only sets each one up; start them explicitly
+import('./bot.js').then(({ startBot }) => {
+    startBot();
     console.log('✅ Telegram bot started');
 });
 
-// Import and the server also auto-starts
-import('./server.js').then(() => {
+import('./server.js').then(({ startServer }) => {
+    startServer();
     console.log('✅ Web server started');
 });
 
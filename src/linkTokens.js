@@ -0,0 +1,85 @@
+/**
+ * Signed, expiring, one-time tokens for /link URLs
+ *
+ * A token is `<payload>.<signature>`, both base64url. The payload names the
+ * Telegram user the bank will be linked to, so the server never has to
+ * trust a userId from the URL or request body.
+ */
+
+import crypto from 'crypto';
+import { saveLinkNonce, isLinkNonceUnused } from './storage.js';
+
+const TOKEN_TTL_MS = 15 * 60 * 1000;
+
+export class LinkTokenError extends Error {}
+
+/**
+ * Refuse to start without a signing secret; bot and server must share it
+ */
+export function assertLinkSigningConfigured() {
+    if (!process.env.LINK_SIGNING_SECRET) {
+        throw new Error('LINK_SIGNING_SECRET is not set');
+    }
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', process.env.LINK_SIGNING_SECRET)
+        .update(payload)
+        .digest('base64url');
+}
+
+/**
+ * Issue a token that lets the holder link a bank to `userId` once,
+ * within the next 15 minutes. With `itemId` the token instead opens
+ * Link in update mode to repair that existing item.
+ */
+export function issueLinkToken(userId, itemId = null) {
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const expiresAt = Date.now() + TOKEN_TTL_MS;
+
+    saveLinkNonce(nonce, userId, new Date(expiresAt).toISOString());
+
+    const claims = { uid: userId, nonce, exp: expiresAt };
+    if (itemId) {
+        claims.item = itemId;
+    }
+
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Full /link URL for a freshly issued token
+ */
+export function buildLinkUrl(userId, itemId = null) {
+    const serverUrl = process.env.SERVER_URL || 'http://localhost:3000';
+    return `${serverUrl}/link/${issueLinkToken(userId, itemId)}`;
+}
+
+/**
+ * Check signature, expiry and that the token has not been used yet.
+ * Returns the decoded claims; throws LinkTokenError otherwise.
+ */
+export function verifyLinkToken(token) {
+    const parts = String(token || '').split('.');
+    const [payload, signature] = parts;
+    if (parts.length !== 2 || !payload || !signature) {
+        throw new LinkTokenError('Malformed link');
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        throw new LinkTokenError('Invalid link');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (Date.now() > claims.exp) {
+        throw new LinkTokenError('This link has expired');
+    }
+    if (!isLinkNonceUnused(claims.nonce)) {
+        throw new LinkTokenError('This link has already been used');
+    }
+
+    return claims;
+}
@@ -0,0 +1,116 @@
+/**
+ * One Telegram message that follows the agent while it works
+ *
+ * The agent's partial text and tool progress ("🔍 Searching
+ * transactions…") are edited into a single message as they stream in.
+ * Telegram throttles edits to roughly one per second per chat, so updates
+ * are coalesced: at most one edit every EDIT_INTERVAL_MS, always with the
+ * latest state. Partial text is shown plain because half-written
+ * Markdown can't be rendered yet; the final reply goes through
+ * telegramFormat.js and continues in further messages if it is long.
+ */
+
+import { renderMessages, sendRendered, editRendered, isNotModified } from './telegramFormat.js';
+
+const EDIT_INTERVAL_MS = 1500;
+// Telegram's typing indicator lasts about five seconds
+const TYPING_INTERVAL_MS = 4000;
+// Telegram rejects messages over 4096 characters; long drafts show their tail
+const MAX_DRAFT_LENGTH = 4000;
+
+function renderDraft({ text, status }) {
+    let body = (text || '').trim();
+    if (body.length > MAX_DRAFT_LENGTH) {
+        body = `…${body.slice(-MAX_DRAFT_LENGTH)}`;
+    }
+    return [body, status].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Start a live reply in `chatId`. Shows "typing" until there is something
+ * to show. Returns `{ update, discard, finish }`:
+ * - update({ text, status }): show the agent's progress
+ * - discard(): delete the live message, e.g. so charts can go first
+ * - finish(text, { replyMarkup }): show the final reply
+ */
+export function createLiveReply(bot, chatId) {
+    let messageId = null;
+    let shown = '';
+    let pending = null;
+    let timer = null;
+    let lastEditAt = 0;
+    let done = false;
+    // Sends and edits run one at a time, in order
+    let queue = Promise.resolve();
+
+    const sendTyping = () => bot.sendChatAction(chatId, 'typing').catch(() => {});
+    sendTyping();
+    const typing = setInterval(() => {
+        if (!messageId) sendTyping();
+    }, TYPING_INTERVAL_MS);
+
+    function flush() {
+        timer = null;
+        const text = pending;
+        pending = null;
+        if (done || !text || text === shown) {
+            return;
+        }
+
+        shown = text;
+        lastEditAt = Date.now();
+        queue = queue.then(async () => {
+            if (messageId) {
+                await bot.editMessageText(text, { chat_id: chatId, message_id: messageId });
+            } else {
+                messageId = (await bot.sendMessage(chatId, text)).message_id;
+            }
+        }).catch(error => {
+            if (!isNotModified(error)) {
+                console.error('Live reply update failed:', error.message);
+            }
+        });
+    }
+
+    function update(progress) {
+        if (done) {
+            return;
+        }
+        pending = renderDraft(progress);
+        if (!timer) {
+            timer = setTimeout(flush, Math.max(0, lastEditAt + EDIT_INTERVAL_MS - Date.now()));
+        }
+    }
+
+    async function stop() {
+        done = true;
+        clearTimeout(timer);
+        clearInterval(typing);
+        await queue;
+    }
+
+    async function discard() {
+        await stop();
+        if (messageId) {
+            await bot.deleteMessage(chatId, messageId).catch(() => {});
+            messageId = null;
+        }
+    }
+
+    async function finish(text, { replyMarkup } = {}) {
+        await stop();
+
+        const messages = renderMessages(text);
+        if (!messageId) {
+            await sendRendered(bot, chatId, messages, { reply_markup: replyMarkup });
+            return;
+        }
+
+        // The live message becomes the first part; the buttons go on the last
+        const [first, ...rest] = messages;
+        await editRendered(bot, chatId, messageId, first, { reply_markup: rest.length === 0 ? replyMarkup : undefined });
+        await sendRendered(bot, chatId, rest, { reply_markup: replyMarkup });
+    }
+
+    return { update, discard, finish };
+}
@@ -0,0 +1,18 @@
+/**
+ * Merchant name handling shared by recurring detection and anomaly scoring
+ */
+
+/**
+ * Reduce merchant strings like "NETFLIX.COM 866-579-7172" or
+ * "Spotify USA #1234" to a stable grouping key
+ */
+export function normalizeMerchant(merchant) {
+    return merchant
+        .toLowerCase()
+        .replace(/\.(com|net|org)\b/g, '')
+        .replace(/[#*]\s*\w*\d\w*/g, '')
+        .replace(/\d[\d-]{3,}/g, '')
+        .replace(/\b(inc|llc|ltd|co|corp|usa|us)\b/g, '')
+        .replace(/[^a-z0-9&]+/g, ' ')
+        .trim();
+}
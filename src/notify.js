@@ -0,0 +1,28 @@
+/**
+ * Push notifications to Telegram users from outside a chat handler
+ * (webhooks, post-sync alerts). Uses a send-only bot, no polling.
+ */
+
+import TelegramBot from 'node-telegram-bot-api';
+import { sendFormatted } from './telegramFormat.js';
+
+const telegramBot = process.env.TELEGRAM_BOT_TOKEN
+    ? new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { baseApiUrl: process.env.TELEGRAM_API_URL })
+    : null;
+
+/**
+ * `message` is Markdown, rendered by telegramFormat.js. `options` are
+ * passed through to sendMessage, e.g. a reply_markup with inline buttons.
+ */
+export async function sendTelegramNotification(userId, message, options = {}) {
+    if (!telegramBot) {
+        console.log('⚠️ No Telegram token, skipping notification');
+        return;
+    }
+    try {
+        await sendFormatted(telegramBot, userId, message, options);
+        console.log(`📤 Sent Telegram notification to ${userId}`);
+    } catch (error) {
+        console.error('Failed to send Telegram notification:', error.message);
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * Relative date periods resolved on the server, so "last 3 months" means
+ * the same thing every time the agent asks
+ *
+ *   this_month, last_month, this_week, last_week, this_year, last_year,
+ *   year_to_date, last_N_days, last_N_weeks, last_N_months,
+ *   2026-03 (a month), 2026 (a year), 2026-01-15..2026-02-14 (a range)
+ *
+ * Weeks start on Monday. "last_N_weeks" and "last_N_months" are the N
+ * complete weeks or months before the current one.
+ */
+
+export const PERIOD_HELP = 'this_month, last_month, this_week, last_week, this_year, last_year, year_to_date, ' +
+    'last_N_days, last_N_weeks, last_N_months, YYYY-MM, YYYY, or YYYY-MM-DD..YYYY-MM-DD';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export class PeriodError extends Error {}
+
+function toDate(iso) {
+    return new Date(`${iso}T00:00:00Z`);
+}
+
+function toIso(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Check that a YYYY-MM-DD from the user is a real day; "2026-02-30"
+ * would otherwise roll over into March
+ */
+function checkDate(iso, spec) {
+    const [year, month, day] = iso.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        throw new PeriodError(`"${spec}" has a date that doesn't exist (${iso}). Use one of: ${PERIOD_HELP}`);
+    }
+    return iso;
+}
+
+function addDays(iso, days) {
+    return toIso(new Date(toDate(iso).getTime() + days * DAY_MS));
+}
+
+function daysBetween(start, end) {
+    return Math.round((toDate(end) - toDate(start)) / DAY_MS);
+}
+
+function monthStart(iso, offset = 0) {
+    const date = toDate(iso);
+    return toIso(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1)));
+}
+
+function monthEnd(iso) {
+    const date = toDate(iso);
+    return toIso(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)));
+}
+
+function weekStart(iso) {
+    // getUTCDay() is 0 on Sunday; count Monday as the first day
+    return addDays(iso, -((toDate(iso).getUTCDay() + 6) % 7));
+}
+
+/**
+ * The same day `months` months away, clamped to the end of a shorter month
+ */
+function shiftMonths(iso, months) {
+    const target = monthStart(iso, months);
+    const day = Math.min(Number(iso.slice(8)), Number(monthEnd(target).slice(8)));
+    return `${target.slice(0, 8)}${String(day).padStart(2, '0')}`;
+}
+
+export function today() {
+    return toIso(new Date());
+}
+
+/**
+ * Short human label for a date range, e.g. "Sep 2026" or "2026-09-01 to 2026-09-14"
+ */
+function labelRange(start, end) {
+    if (start === monthStart(start) && end === monthEnd(start)) {
+        return `${MONTH_NAMES[Number(start.slice(5, 7)) - 1]} ${start.slice(0, 4)}`;
+    }
+    if (start.endsWith('-01-01') && end === `${start.slice(0, 4)}-12-31`) {
+        return start.slice(0, 4);
+    }
+    return `${start} to ${end}`;
+}
+
+function period(start, end, previousStart, previousEnd) {
+    return {
+        start,
+        end,
+        label: labelRange(start, end),
+        previous: { start: previousStart, end: previousEnd, label: labelRange(previousStart, previousEnd) },
+    };
+}
+
+/**
+ * Resolve a period name (see the list at the top of this file) to
+ * `{ start, end, label, previous }`, where `previous` is the period it is
+ * naturally compared against: the prior week/month/year, the same stretch
+ * of it for to-date periods, or an equally long span just before.
+ * Throws PeriodError for anything it doesn't recognize.
+ */
+export function resolvePeriod(spec, asOf = today()) {
+    let name = String(spec || '').trim().toLowerCase();
+    // "last 3 months" and "last-3-months" both mean last_3_months
+    if (!/^\d/.test(name)) {
+        name = name.replace(/[\s-]+/g, '_');
+    }
+
+    if (name === 'this_month') {
+        const start = monthStart(asOf);
+        return period(start, asOf, monthStart(asOf, -1), shiftMonths(asOf, -1));
+    }
+    if (name === 'last_month') {
+        const start = monthStart(asOf, -1);
+        return period(start, monthEnd(start), monthStart(asOf, -2), monthEnd(monthStart(asOf, -2)));
+    }
+    if (name === 'this_week') {
+        const start = weekStart(asOf);
+        return period(start, asOf, addDays(start, -7), addDays(asOf, -7));
+    }
+    if (name === 'last_week') {
+        const start = addDays(weekStart(asOf), -7);
+        return period(start, addDays(start, 6), addDays(start, -7), addDays(start, -1));
+    }
+    if (name === 'this_year' || name === 'year_to_date' || name === 'ytd') {
+        const year = Number(asOf.slice(0, 4));
+        return period(`${year}-01-01`, asOf, `${year - 1}-01-01`, shiftMonths(asOf, -12));
+    }
+    if (name === 'last_year') {
+        const year = Number(asOf.slice(0, 4)) - 1;
+        return period(`${year}-01-01`, `${year}-12-31`, `${year - 1}-01-01`, `${year - 1}-12-31`);
+    }
+
+    const relative = name.match(/^last_(\d{1,3})_(day|week|month)s?$/);
+    if (relative) {
+        const count = Number(relative[1]);
+        const unit = relative[2];
+        if (count < 1) {
+            throw new PeriodError(`"${spec}" needs a count of at least 1`);
+        }
+        if (unit === 'day') {
+            const start = addDays(asOf, -(count - 1));
+            return period(start, asOf, addDays(start, -count), addDays(start, -1));
+        }
+        if (unit === 'week') {
+            const end = addDays(weekStart(asOf), -1);
+            const start = addDays(end, -(count * 7 - 1));
+            return period(start, end, addDays(start, -count * 7), addDays(start, -1));
+        }
+        const start = monthStart(asOf, -count);
+        const end = monthEnd(monthStart(asOf, -1));
+        return period(start, end, monthStart(asOf, -2 * count), addDays(start, -1));
+    }
+
+    if (/^\d{4}-\d{2}$/.test(name)) {
+        const start = checkDate(`${name}-01`, spec);
+        return period(start, monthEnd(start), monthStart(start, -1), addDays(start, -1));
+    }
+    if (/^\d{4}$/.test(name)) {
+        checkDate(`${name}-01-01`, spec);
+        const year = Number(name);
+        return period(`${year}-01-01`, `${year}-12-31`, `${year - 1}-01-01`, `${year - 1}-12-31`);
+    }
+
+    const range = name.match(/^(\d{4}-\d{2}-\d{2})\s*(?:\.\.|to)\s*(\d{4}-\d{2}-\d{2})$/);
+    if (range) {
+        const start = checkDate(range[1], spec);
+        const end = checkDate(range[2], spec);
+        if (start > end) {
+            throw new PeriodError(`"${spec}" starts after it ends`);
+        }
+        const length = daysBetween(start, end) + 1;
+        return period(start, end, addDays(start, -length), addDays(start, -1));
+    }
+
+    throw new PeriodError(`Unknown period "${spec}". Use one of: ${PERIOD_HELP}`);
+}
+
+/**
+ * Label plus exact dates, e.g. "Sep 2026 (2026-09-01 to 2026-09-30)"
+ */
+export function describePeriod({ start, end, label }) {
+    const range = `${start} to ${end}`;
+    return label === range ? range : `${label} (${range})`;
+}
+
+/**
+ * Bucket key for a date: YYYY-MM for months, the Monday's date for weeks
+ */
+export function bucketKey(date, interval) {
+    return interval === 'week' ? weekStart(date) : date.slice(0, 7);
+}
+
+/**
+ * Every bucket key from `start` to `end`, in order
+ */
+export function listBuckets(start, end, interval) {
+    const buckets = [];
+    if (interval === 'week') {
+        for (let key = weekStart(start); key <= end; key = addDays(key, 7)) {
+            buckets.push(key);
+        }
+    } else {
+        for (let key = monthStart(start); key <= end; key = monthStart(key, 1)) {
+            buckets.push(key.slice(0, 7));
+        }
+    }
+    return buckets;
+}
+
+/**
+ * Last date inside a bucket
+ */
+export function bucketEnd(key, interval) {
+    return interval === 'week' ? addDays(key, 6) : monthEnd(`${key}-01`);
+}
+
+/**
+ * Short label for a bucket key: "Sep 2026" for months, "wk of 2026-09-07" for weeks
+ */
+export function bucketLabel(key, interval) {
+    return interval === 'week'
+        ? `wk of ${key}`
+        : `${MONTH_NAMES[Number(key.slice(5, 7)) - 1]} ${key.slice(0, 4)}`;
+}
@@ -2,11 +2,14 @@
  * Plaid API client and helper functions
  */
 
+import crypto from 'crypto';
 import { Configuration, PlaidApi, PlaidEnvironments, Products, CountryCode } from 'plaid';
+import { encryptToken, decryptToken } from './encryption.js';
 
-// Initialize Plaid client
+// Initialize Plaid client. PLAID_BASE_URL points it somewhere other than
+// Plaid's own hosts (the tests' fake Plaid server)
 const configuration = new Configuration({
-    basePath: PlaidEnvironments[process.env.PLAID_ENV || 'sandbox'],
+    basePath: process.env.PLAID_BASE_URL || PlaidEnvironments[process.env.PLAID_ENV || 'sandbox'],
     baseOptions: {
         headers: {
             'PLAID-CLIENT-ID': process.env.PLAID_CLIENT_ID,
@@ -17,26 +20,74 @@ const configuration = new Configuration({
 
 const plaidClient = new PlaidApi(configuration);
 
+// Plaid caps Transactions history at 730 days (24 months)
+const HISTORY_DAYS_REQUESTED = 730;
+
+/**
+ * Where Plaid should POST item and transaction webhooks
+ */
+function getWebhookUrl() {
+    if (process.env.PLAID_WEBHOOK_URL) {
+        return process.env.PLAID_WEBHOOK_URL;
+    }
+    return process.env.SERVER_URL ? `${process.env.SERVER_URL}/webhooks/plaid` : null;
+}
+
+// Errors the user can only fix by logging in to their bank again through
+// Link update mode
+const LOGIN_REPAIR_ERROR_CODES = [
+    'ITEM_LOGIN_REQUIRED',
+    'PENDING_EXPIRATION',
+    'INVALID_CREDENTIALS',
+    'INVALID_MFA',
+    'ITEM_LOCKED',
+    'USER_SETUP_REQUIRED',
+];
+
+/**
+ * Whether a failed Plaid call needs the user to re-authenticate the item
+ */
+export function needsLoginRepair(error) {
+    return LOGIN_REPAIR_ERROR_CODES.includes(error.response?.data?.error_code);
+}
+
 /**
  * Create a link token for initializing Plaid Link
+ * Passing an existing item's access token opens Link in update mode, which
+ * re-authenticates that item instead of creating a new one.
  */
-export async function createLinkToken(userId) {
+export async function createLinkToken(userId, accessToken = null) {
     const request = {
         user: {
             client_user_id: userId,
         },
         client_name: 'Personal Finance Bot',
-        products: [Products.Transactions],
         country_codes: [CountryCode.Us],
         language: 'en',
     };
 
+    if (accessToken) {
+        request.access_token = decryptToken(accessToken);
+    } else {
+        request.products = [Products.Transactions];
+        request.transactions = {
+            days_requested: HISTORY_DAYS_REQUESTED,
+        };
+    }
+
+    const webhookUrl = getWebhookUrl();
+    if (webhookUrl) {
+        request.webhook = webhookUrl;
+    }
+
     const response = await plaidClient.linkTokenCreate(request);
     return response.data.link_token;
 }
 
 /**
  * Exchange public token for access token
+ * The returned access token is already encrypted for storage; every
+ * function below takes it in that form and decrypts it only for the call.
  */
 export async function exchangePublicToken(publicToken) {
     const response = await plaidClient.itemPublicTokenExchange({
@@ -44,28 +95,57 @@ export async function exchangePublicToken(publicToken) {
     });
 
     return {
-        accessToken: response.data.access_token,
+        accessToken: encryptToken(response.data.access_token),
         itemId: response.data.item_id,
     };
 }
 
+/**
+ * Revoke an item's access token so it can no longer be used
+ */
+export async function removeItem(accessToken) {
+    await plaidClient.itemRemove({
+        access_token: decryptToken(accessToken),
+    });
+}
+
 /**
  * Get accounts for an item
  */
 export async function getAccounts(accessToken) {
     const response = await plaidClient.accountsGet({
-        access_token: accessToken,
+        access_token: decryptToken(accessToken),
     });
 
-    return response.data.accounts.map(account => ({
-        id: account.account_id,
-        name: account.name,
-        type: account.type,
-        subtype: account.subtype,
-        balance: account.balances.current,
-        availableBalance: account.balances.available,
-        institution: account.official_name || account.name,
-    }));
+    return response.data.accounts.map(mapAccount);
+}
+
+/**
+ * Look up a bank's display name and logo (a base64 PNG, or null when
+ * Plaid has none). Link metadata only gives the name, and accounts only
+ * know their own product names.
+ */
+export async function getInstitution(institutionId) {
+    const response = await plaidClient.institutionsGetById({
+        institution_id: institutionId,
+        country_codes: [CountryCode.Us],
+        options: {
+            include_optional_metadata: true,
+        },
+    });
+
+    const { name, logo, url } = response.data.institution;
+    return { id: institutionId, name, logo: logo || null, url: url || null };
+}
+
+/**
+ * Find which institution an item belongs to, for items saved without one
+ */
+export async function getItemInstitutionId(accessToken) {
+    const response = await plaidClient.itemGet({
+        access_token: decryptToken(accessToken),
+    });
+    return response.data.item.institution_id || null;
 }
 
 /**
@@ -77,7 +157,7 @@ export async function getTransactions(accessToken, startDate = null, endDate = n
     const start = startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
     const response = await plaidClient.transactionsGet({
-        access_token: accessToken,
+        access_token: decryptToken(accessToken),
         start_date: start,
         end_date: end,
         options: {
@@ -86,15 +166,206 @@ export async function getTransactions(accessToken, startDate = null, endDate = n
         },
     });
 
-    return response.data.transactions.map(txn => ({
+    const accounts = response.data.accounts.map(mapAccount);
+    return response.data.transactions.map(txn => mapTransaction(txn, accounts));
+}
+
+/**
+ * Pull everything that changed since `cursor` via /transactions/sync.
+ * A null cursor starts from the beginning of the item's history.
+ * Returns mapped added/modified transactions, removed transaction IDs,
+ * the accounts snapshot and the cursor to store for the next call.
+ */
+export async function syncTransactions(accessToken, cursor = null) {
+    let added = [];
+    let modified = [];
+    let removed = [];
+    let accounts = [];
+    let nextCursor = cursor;
+    let updateStatus = null;
+    let hasMore = true;
+
+    while (hasMore) {
+        try {
+            const response = await plaidClient.transactionsSync({
+                access_token: decryptToken(accessToken),
+                cursor: nextCursor || undefined,
+                count: 500,
+                options: {
+                    include_personal_finance_category: true,
+                },
+            });
+            const data = response.data;
+
+            added = added.concat(data.added);
+            modified = modified.concat(data.modified);
+            removed = removed.concat(data.removed);
+            accounts = data.accounts;
+            updateStatus = data.transactions_update_status;
+            nextCursor = data.next_cursor;
+            hasMore = data.has_more;
+        } catch (error) {
+            // Plaid asks us to restart pagination from the original cursor
+            // if the item's data changed while we were paging
+            if (error.response?.data?.error_code === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION') {
+                added = [];
+                modified = [];
+                removed = [];
+                nextCursor = cursor;
+                hasMore = true;
+                continue;
+            }
+            throw error;
+        }
+    }
+
+    const mappedAccounts = accounts.map(mapAccount);
+    return {
+        added: added.map(txn => mapTransaction(txn, mappedAccounts)),
+        modified: modified.map(txn => mapTransaction(txn, mappedAccounts)),
+        removed: removed.map(txn => txn.transaction_id),
+        accounts: mappedAccounts,
+        cursor: nextCursor,
+        historyComplete: updateStatus === 'HISTORICAL_UPDATE_COMPLETE',
+    };
+}
+
+// Plaid rotates signing keys rarely; cache them by key ID
+const webhookKeyCache = new Map();
+
+async function getWebhookKey(keyId) {
+    if (!webhookKeyCache.has(keyId)) {
+        const response = await plaidClient.webhookVerificationKeyGet({ key_id: keyId });
+        webhookKeyCache.set(keyId, response.data.key);
+    }
+    return webhookKeyCache.get(keyId);
+}
+
+/**
+ * Verify a webhook's `Plaid-Verification` JWT against the raw request body.
+ * Checks the ES256 signature with Plaid's published key, that the token was
+ * issued in the last 5 minutes, and that it covers exactly this body.
+ * Returns true only if every check passes.
+ */
+export async function verifyWebhook(verificationHeader, rawBody) {
+    try {
+        const [encodedHeader, encodedPayload, signature] = (verificationHeader || '').split('.');
+        const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+        if (header.alg !== 'ES256') {
+            return false;
+        }
+
+        const jwk = await getWebhookKey(header.kid);
+        if (jwk.expired_at) {
+            return false;
+        }
+
+        const publicKey = crypto.createPublicKey({
+            key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+            format: 'jwk',
+        });
+        const validSignature = crypto.verify(
+            'sha256',
+            Buffer.from(`${encodedHeader}.${encodedPayload}`),
+            { key: publicKey, dsaEncoding: 'ieee-p1363' },
+            Buffer.from(signature, 'base64url')
+        );
+        if (!validSignature) {
+            return false;
+        }
+
+        const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        if (Date.now() / 1000 - payload.iat > 5 * 60) {
+            return false;
+        }
+
+        const bodyHash = crypto.createHash('sha256').update(rawBody).digest('hex');
+        return crypto.timingSafeEqual(Buffer.from(bodyHash), Buffer.from(String(payload.request_body_sha256)));
+    } catch (error) {
+        console.error('Webhook verification error:', error.message);
+        return false;
+    }
+}
+
+// The bank's name is not on the account; storage fills `institution` in
+// from the item
+function mapAccount(account) {
+    return {
+        id: account.account_id,
+        name: account.name,
+        officialName: account.official_name || null,
+        mask: account.mask || null,
+        type: account.type,
+        subtype: account.subtype,
+        balance: account.balances.current,
+        availableBalance: account.balances.available,
+    };
+}
+
+// `accountId` is what gets stored; `account` is the account's name for
+// anything that shows or matches the transaction before it is stored
+function mapTransaction(txn, accounts) {
+    const account = accounts.find(a => a.id === txn.account_id);
+    const { category, parentCategory } = mapPersonalFinanceCategory(txn.personal_finance_category, txn.category);
+    return {
         id: txn.transaction_id,
         date: txn.date,
         amount: -txn.amount, // Plaid uses positive for debits, we flip it
         merchant: txn.merchant_name || txn.name,
-        category: mapCategory(txn.personal_finance_category?.primary || txn.category?.[0]),
-        account: txn.account_id,
+        category,
+        parentCategory,
+        accountId: txn.account_id,
+        account: account?.name || txn.account_id,
+        accountMask: account?.mask || null,
+        accountType: account?.subtype || account?.type || null,
         pending: txn.pending,
-    }));
+        currency: txn.iso_currency_code || txn.unofficial_currency_code || null,
+        country: txn.location?.country || null,
+        authorizedAt: txn.authorized_datetime || txn.datetime || null,
+    };
+}
+
+/**
+ * Split Plaid's personal finance category into our top-level category and
+ * an optional subcategory taken from the detailed code, e.g.
+ * FOOD_AND_DRINK / FOOD_AND_DRINK_COFFEE -> food > coffee.
+ * Detailed codes that name one of our top-level categories
+ * (FOOD_AND_DRINK_GROCERIES, RENT_AND_UTILITIES_RENT) map straight to it.
+ */
+function mapPersonalFinanceCategory(pfc, legacyCategory) {
+    const parent = mapCategory(pfc?.primary || legacyCategory?.[0]);
+    const detailed = pfc?.detailed;
+
+    if (!pfc?.primary || !detailed?.startsWith(`${pfc.primary}_`)) {
+        return { category: parent, parentCategory: null };
+    }
+
+    const suffix = detailed.slice(pfc.primary.length + 1);
+    const direct = mapDetailedCategory(suffix);
+    if (direct) {
+        return { category: direct, parentCategory: null };
+    }
+
+    // OTHER_FOOD_AND_DRINK and friends add nothing beyond the parent
+    if (suffix.startsWith('OTHER_')) {
+        return { category: parent, parentCategory: null };
+    }
+
+    const subcategory = suffix.toLowerCase();
+    return subcategory === parent
+        ? { category: parent, parentCategory: null }
+        : { category: subcategory, parentCategory: parent };
+}
+
+/**
+ * Detailed codes that correspond to one of our top-level categories
+ */
+function mapDetailedCategory(suffix) {
+    const detailedMap = {
+        'GROCERIES': 'groceries',
+        'RENT': 'housing',
+    };
+    return detailedMap[suffix] || null;
 }
 
 /**
@@ -110,11 +381,18 @@ function mapCategory(plaidCategory) {
         'TRAVEL': 'travel',
         'ENTERTAINMENT': 'entertainment',
         'SHOPPING': 'shopping',
+        'GENERAL_MERCHANDISE': 'shopping',
         'HEALTH': 'health',
+        'MEDICAL': 'health',
+        'PERSONAL_CARE': 'health',
         'UTILITIES': 'utilities',
+        'RENT_AND_UTILITIES': 'utilities',
         'HOUSING': 'housing',
+        'HOME_IMPROVEMENT': 'housing',
         'INCOME': 'income',
         'TRANSFER': 'transfer',
+        'TRANSFER_IN': 'transfer',
+        'TRANSFER_OUT': 'transfer',
     };
 
     // Handle legacy category format
@@ -0,0 +1,180 @@
+/**
+ * Recurring transaction and subscription detection over cached transactions
+ *
+ * Transactions are grouped by normalized merchant and direction (charges vs
+ * deposits). A group is recurring when the gaps between its dates fit one
+ * cadence and, for short histories, the amounts agree.
+ */
+
+import { getTransactions } from './storage.js';
+import { normalizeMerchant } from './merchants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expected gap in days, allowed deviation, grace before calling it missed,
+// and how many occurrences per month for the monthly-cost estimate
+const CADENCES = [
+    { name: 'weekly', days: 7, tolerance: 1, grace: 3, perMonth: 52 / 12 },
+    { name: 'biweekly', days: 14, tolerance: 2, grace: 4, perMonth: 26 / 12 },
+    { name: 'monthly', days: 30.4, tolerance: 4, grace: 7, perMonth: 1 },
+    { name: 'annual', days: 365, tolerance: 10, grace: 14, perMonth: 1 / 12 },
+];
+
+// A charge this much above its usual amount counts as a price increase
+const PRICE_INCREASE_RATIO = 1.05;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function daysBetween(a, b) {
+    return Math.round((Date.parse(b) - Date.parse(a)) / DAY_MS);
+}
+
+/**
+ * Next expected date; monthly and annual cadences keep the day of month
+ */
+function nextOccurrence(date, cadence) {
+    const next = new Date(Date.parse(date));
+    if (cadence.name === 'monthly') {
+        const day = next.getUTCDate();
+        next.setUTCMonth(next.getUTCMonth() + 1);
+        // Jan 31 + 1 month lands on Feb 28/29, not Mar 3
+        if (next.getUTCDate() !== day) {
+            next.setUTCDate(0);
+        }
+    } else if (cadence.name === 'annual') {
+        next.setUTCFullYear(next.getUTCFullYear() + 1);
+    } else {
+        next.setUTCDate(next.getUTCDate() + cadence.days);
+    }
+    return next.toISOString().split('T')[0];
+}
+
+/**
+ * Pick the cadence most gaps fit. With 3+ occurrences at least 75% of the
+ * gaps must fit; with only 2 the single gap must.
+ */
+function inferCadence(gaps) {
+    for (const cadence of CADENCES) {
+        const fitting = gaps.filter(gap => Math.abs(gap - cadence.days) <= cadence.tolerance);
+        if (fitting.length / gaps.length >= 0.75) {
+            return cadence;
+        }
+    }
+    return null;
+}
+
+function analyzeGroup(transactions, today) {
+    const sorted = [...transactions].sort((a, b) => a.date.localeCompare(b.date));
+    const amounts = sorted.map(t => Math.abs(t.amount));
+
+    // Same-day duplicates are not a cadence
+    const gaps = sorted.slice(1).map((t, i) => daysBetween(sorted[i].date, t.date)).filter(gap => gap > 0);
+    if (gaps.length === 0) {
+        return null;
+    }
+
+    const cadence = inferCadence(gaps);
+    if (!cadence) {
+        return null;
+    }
+
+    // Two occurrences are only convincing when the amounts match
+    if (sorted.length === 2 && Math.abs(amounts[0] - amounts[1]) > amounts[0] * 0.05) {
+        return null;
+    }
+
+    const last = sorted.at(-1);
+    const lastAmount = Math.abs(last.amount);
+    const usualAmount = median(amounts.slice(0, -1));
+    const nextDate = nextOccurrence(last.date, cadence);
+
+    const flags = [];
+    if (lastAmount > usualAmount * PRICE_INCREASE_RATIO && lastAmount - usualAmount >= 0.5) {
+        flags.push('price_increase');
+    }
+
+    // After a price increase the new price is what to expect next time
+    const expectedAmount = flags.includes('price_increase') ? lastAmount : median(amounts.slice(-3));
+
+    if (daysBetween(nextDate, today) > cadence.grace) {
+        flags.push('missed');
+    }
+    if (daysBetween(sorted[0].date, today) <= cadence.days * 2 + cadence.grace) {
+        flags.push('new');
+    }
+
+    return {
+        merchant: last.merchant,
+        category: last.category,
+        type: last.amount > 0 ? 'income' : 'subscription',
+        cadence: cadence.name,
+        expectedAmount,
+        monthlyCost: expectedAmount * cadence.perMonth,
+        lastAmount,
+        previousAmount: usualAmount,
+        lastDate: last.date,
+        nextDate,
+        count: sorted.length,
+        flags,
+    };
+}
+
+/**
+ * Find recurring charges (and, optionally, recurring deposits) in the
+ * user's cached transactions, most expensive per month first
+ */
+export function detectRecurring(userId, { includeIncome = false, today = new Date().toISOString().split('T')[0] } = {}) {
+    const groups = new Map();
+
+    for (const txn of getTransactions(userId)) {
+        if (txn.pending || (txn.parentCategory || txn.category) === 'transfer') continue;
+        if (txn.amount > 0 && !includeIncome) continue;
+
+        const key = `${txn.amount > 0 ? 'in' : 'out'}:${normalizeMerchant(txn.merchant)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(txn);
+    }
+
+    return [...groups.values()]
+        .map(group => analyzeGroup(group, today))
+        .filter(Boolean)
+        .sort((a, b) => b.monthlyCost - a.monthlyCost);
+}
+
+/**
+ * Text listing for the agent tool and /subscriptions
+ */
+export function formatRecurring(recurring) {
+    if (recurring.length === 0) {
+        return 'No recurring charges detected yet. Detection needs at least two charges from the same merchant.';
+    }
+
+    const lines = recurring.map(r => {
+        const notes = [];
+        if (r.flags.includes('price_increase')) {
+            notes.push(`⬆️ price up from $${r.previousAmount.toFixed(2)}`);
+        }
+        if (r.flags.includes('missed')) {
+            notes.push(`❓ expected ${r.nextDate}, not seen`);
+        }
+        if (r.flags.includes('new')) {
+            notes.push('🆕 new');
+        }
+
+        const label = r.type === 'income' ? '💵' : '🔁';
+        const next = r.flags.includes('missed') ? '' : `, next ~${r.nextDate}`;
+        const extra = notes.length > 0 ? `\n   ${notes.join(' · ')}` : '';
+        return `${label} ${r.merchant}: $${r.expectedAmount.toFixed(2)} ${r.cadence}` +
+            ` (last ${r.lastDate}${next})${extra}`;
+    });
+
+    const monthlyTotal = recurring
+        .filter(r => r.type === 'subscription' && !r.flags.includes('missed'))
+        .reduce((sum, r) => sum + r.monthlyCost, 0);
+
+    return `${lines.join('\n')}\n\nActive recurring charges: ~$${monthlyTotal.toFixed(2)}/month`;
+}
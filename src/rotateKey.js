@@ -0,0 +1,26 @@
+/**
+ * Re-encrypt all stored Plaid access tokens under TOKEN_ENCRYPTION_KEY
+ *
+ * To rotate: move the old key into TOKEN_ENCRYPTION_PREVIOUS_KEYS, set the
+ * new one as TOKEN_ENCRYPTION_KEY, run `npm run rotate-key`, then drop the
+ * old key once this reports success. Also encrypts tokens stored before
+ * encryption was enabled.
+ */
+
+import 'dotenv/config';
+import { assertEncryptionConfigured, reencryptToken } from './encryption.js';
+import { rewriteAccessTokens } from './storage.js';
+
+if (!process.env.TOKEN_ENCRYPTION_KEY) {
+    console.error('❌ TOKEN_ENCRYPTION_KEY is not set - nothing to rotate to');
+    process.exit(1);
+}
+
+try {
+    assertEncryptionConfigured();
+    const updated = rewriteAccessTokens(reencryptToken);
+    console.log(`🔐 Re-encrypted ${updated} access token(s) under the current key`);
+} catch (error) {
+    console.error(`❌ Key rotation failed, no tokens were changed: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,97 @@
+/**
+ * Parsing and display for user categorization rules
+ * Rules are stored and applied by storage.js; this covers the /rule syntax:
+ *
+ *   /rule merchant:Costco -> groceries
+ *   /rule merchant:"Venmo Alex" amount:1000-1600 -> housing
+ *   /rule account:Amex amount:>500 -> travel
+ */
+
+import { CATEGORIES, normalizeCategoryName } from './storage.js';
+
+export const RULE_USAGE = 'Usage: /rule merchant:Costco -> groceries\n' +
+    'Conditions: merchant:<text>, account:<text>, amount:<min>-<max> (or amount:>100, amount:<50). ' +
+    'Quote values with spaces, e.g. merchant:"Trader Joes".';
+
+function parseAmount(value, rule) {
+    const range = value.match(/^\$?(\d+(?:\.\d+)?)-\$?(\d+(?:\.\d+)?)$/);
+    const atLeast = value.match(/^>=?\$?(\d+(?:\.\d+)?)$/);
+    const atMost = value.match(/^<=?\$?(\d+(?:\.\d+)?)$/);
+
+    if (range) {
+        rule.minAmount = Number(range[1]);
+        rule.maxAmount = Number(range[2]);
+    } else if (atLeast) {
+        rule.minAmount = Number(atLeast[1]);
+    } else if (atMost) {
+        rule.maxAmount = Number(atMost[1]);
+    } else {
+        throw new Error(`Can't read amount "${value}". ${RULE_USAGE}`);
+    }
+}
+
+/**
+ * Turn the text after /rule into a rule object for storage.addCategoryRule.
+ * `categories` is the user's taxonomy (storage.getCategoryNames).
+ * Throws an Error whose message is fit to show the user.
+ */
+export function parseRuleCommand(text, categories = CATEGORIES) {
+    const [conditions, target] = text.split(/\s*->\s*/);
+    const category = target?.trim() ? normalizeCategoryName(target) : '';
+
+    if (!conditions?.trim() || !category) {
+        throw new Error(RULE_USAGE);
+    }
+    if (!categories.includes(category)) {
+        throw new Error(`Unknown category "${category}". Choose from: ${categories.join(', ')}`);
+    }
+
+    const rule = { category };
+    const pattern = /(\w+):(?:"([^"]+)"|(\S+))/g;
+    let match;
+    let matchedAny = false;
+
+    while ((match = pattern.exec(conditions)) !== null) {
+        const [, field, quoted, bare] = match;
+        const value = quoted || bare;
+        matchedAny = true;
+
+        if (field === 'merchant') {
+            rule.merchant = value;
+        } else if (field === 'account') {
+            rule.account = value;
+        } else if (field === 'amount') {
+            parseAmount(value, rule);
+        } else {
+            throw new Error(`Unknown condition "${field}". ${RULE_USAGE}`);
+        }
+    }
+
+    if (!matchedAny) {
+        throw new Error(RULE_USAGE);
+    }
+
+    return rule;
+}
+
+/**
+ * One-line description of a rule, e.g. `#3 merchant "costco", $100-$200 -> groceries`
+ */
+export function describeRule(rule) {
+    const hasMin = rule.minAmount !== null && rule.minAmount !== undefined;
+    const hasMax = rule.maxAmount !== null && rule.maxAmount !== undefined;
+
+    const conditions = [];
+    if (rule.merchant) conditions.push(`merchant "${rule.merchant}"`);
+    if (rule.account) conditions.push(`account "${rule.account}"`);
+    if (hasMin && hasMax) {
+        conditions.push(`$${rule.minAmount}-$${rule.maxAmount}`);
+    } else if (hasMin) {
+        conditions.push(`at least $${rule.minAmount}`);
+    } else if (hasMax) {
+        conditions.push(`at most $${rule.maxAmount}`);
+    }
+
+    const id = rule.id ? `#${rule.id} ` : '';
+    return `${id}${conditions.join(', ')} -> ${rule.category}`;
+}
@@ -0,0 +1,125 @@
+/**
+ * Paged transaction search shared by the agent tools and the bot's
+ * "Next page" buttons
+ *
+ * Telegram callback data is capped at 64 bytes, too small for a set of
+ * filters, so each browsable search is kept here under a short token.
+ * Searches live in memory only; after a restart or an hour the buttons
+ * just say the search has expired.
+ */
+
+import crypto from 'crypto';
+import { searchTransactions } from './storage.js';
+
+export const PAGE_SIZE = 10;
+
+const SEARCH_TTL_MS = 60 * 60 * 1000;
+const MAX_SEARCHES = 1000;
+
+const searches = new Map();
+
+function money(value) {
+    return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+/**
+ * An account's name with its last four digits, e.g. "Amex Platinum ••1009"
+ */
+export function accountLabel(name, mask) {
+    return mask ? `${name} ••${mask}` : name;
+}
+
+function formatLine(t, { withIds }) {
+    const category = `${t.parentCategory ? `${t.parentCategory} > ` : ''}${t.category}`;
+    const account = t.account ? ` · ${accountLabel(t.account, t.accountMask)}` : '';
+    const id = withIds ? ` [id: ${t.id}]` : '';
+    return `• ${t.date} | ${t.amount >= 0 ? '+' : ''}${money(t.amount)} | ${t.merchant} (${category})${account}${id}`;
+}
+
+/**
+ * Figures over every match, e.g. for "how much did I spend at Amazon"
+ */
+export function formatSearchStats(stats) {
+    const lines = [
+        `Totals over all ${stats.count} match(es), ${stats.firstDate} to ${stats.lastDate}:`,
+        `• Money out: ${money(Math.abs(stats.moneyOut))}`,
+        `• Money in: ${money(stats.moneyIn)}`,
+        `• Net: ${money(stats.net)}`,
+        `• Smallest: ${money(stats.min)}, largest: ${money(stats.max)}`,
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * "Transactions 11-20 of 57", the page's lines, then totals over all
+ * matches. Transaction ids are for the agent (recategorize_transaction),
+ * not for people browsing.
+ */
+export function formatSearchPage({ transactions, offset, stats }, { withIds = false, heading = 'Transactions' } = {}) {
+    if (stats.count === 0) {
+        return 'No transactions found matching your criteria.';
+    }
+
+    const range = transactions.length > 0
+        ? `${offset + 1}-${offset + transactions.length} of ${stats.count}`
+        : `none past ${stats.count}`;
+    const lines = transactions.map(t => formatLine(t, { withIds }));
+
+    return `${heading} ${range}:\n${lines.join('\n')}\n\n${formatSearchStats(stats)}`;
+}
+
+/**
+ * Keep a search the agent ran (its filters and the page it showed) under
+ * a short token for the browse buttons
+ */
+export function rememberSearch(userId, { filters, offset, limit }) {
+    const now = Date.now();
+    for (const [token, search] of searches) {
+        if (now - search.createdAt > SEARCH_TTL_MS || searches.size >= MAX_SEARCHES) {
+            searches.delete(token);
+        } else {
+            break;
+        }
+    }
+
+    const token = crypto.randomBytes(6).toString('base64url');
+    searches.set(token, { userId, filters, offset, limit, createdAt: now });
+    return token;
+}
+
+/**
+ * Run a remembered search at `offset` (default: the page after the one
+ * the agent showed); null if it expired or belongs to someone else
+ */
+export function browseSearch(token, userId, offset = null) {
+    const search = searches.get(token);
+    if (!search || search.userId !== userId || Date.now() - search.createdAt > SEARCH_TTL_MS) {
+        return null;
+    }
+    return searchTransactions(userId, search.filters, {
+        offset: offset ?? search.offset + search.limit,
+        limit: PAGE_SIZE,
+    });
+}
+
+/**
+ * The single "Next page" button under the agent's reply
+ */
+export function moreKeyboard(token) {
+    return { inline_keyboard: [[{ text: 'Next page ▶️', callback_data: `tx:more:${token}` }]] };
+}
+
+/**
+ * Previous/next buttons for a browsed page, or undefined when there are
+ * no other pages
+ */
+export function browseKeyboard(token, { offset, limit, stats }) {
+    const buttons = [];
+    if (offset > 0) {
+        buttons.push({ text: '◀️ Previous', callback_data: `tx:${Math.max(0, offset - limit)}:${token}` });
+    }
+    if (offset + limit < stats.count) {
+        buttons.push({ text: 'Next page ▶️', callback_data: `tx:${offset + limit}:${token}` });
+    }
+    return buttons.length > 0 ? { inline_keyboard: [buttons] } : undefined;
+}
@@ -6,42 +6,93 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import TelegramBot from 'node-telegram-bot-api';
-import { createLinkToken, exchangePublicToken, getAccounts, getTransactions } from './plaid.js';
-import { saveUserConnection, getUserConnection, cacheTransactions } from './storage.js';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLinkToken, exchangePublicToken, removeItem, getAccounts, getTransactions, verifyWebhook } from './plaid.js';
+import { saveLinkedItem, markLinkNonceUsed, getUserItems, getUserItem, getItemById, setItemStatus, removeUserItem } from './storage.js';
+import { syncUserTransactions, formatSyncResult, itemLabel, refreshInstitution } from './sync.js';
+import { sendTelegramNotification } from './notify.js';
+import { assertEncryptionConfigured } from './encryption.js';
+import { assertLinkSigningConfigured, verifyLinkToken, buildLinkUrl, LinkTokenError } from './linkTokens.js';
 
-const app = express();
+try {
+  assertEncryptionConfigured();
+  assertLinkSigningConfigured();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error('   Generate one with: openssl rand -base64 32');
+  process.exit(1);
+}
+
+export const app = express();
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around; webhook signatures cover the exact bytes Plaid sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 const PORT = process.env.PORT || 3000;
 
-// Telegram bot for sending notifications (no polling, just sending)
-const telegramBot = process.env.TELEGRAM_BOT_TOKEN
-  ? new TelegramBot(process.env.TELEGRAM_BOT_TOKEN)
-  : null;
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
 
-async function sendTelegramNotification(userId, message) {
-  if (!telegramBot) {
-    console.log('⚠️ No Telegram token, skipping notification');
-    return;
+/**
+ * A JS string literal that is safe inside an inline <script>
+ */
+function scriptString(text) {
+  return JSON.stringify(String(text)).replace(/</g, '\\u003c');
+}
+
+/**
+ * Debug endpoints need `Authorization: Bearer <ADMIN_SECRET>` and only
+ * exist in sandbox; without a configured secret they are off entirely
+ */
+function requireAdmin(req, res, next) {
+  const secret = process.env.ADMIN_SECRET;
+  if (!secret || (process.env.PLAID_ENV || 'sandbox') !== 'sandbox') {
+    return res.status(404).json({ error: 'Not found' });
   }
-  try {
-    await telegramBot.sendMessage(userId, message);
-    console.log(`📤 Sent Telegram notification to ${userId}`);
-  } catch (error) {
-    console.error('Failed to send Telegram notification:', error.message);
+
+  const given = (req.get('authorization') || '').replace(/^Bearer /, '');
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(given), digest(secret))) {
+    return res.status(401).json({ error: 'Unauthorized' });
   }
+
+  next();
 }
 
 /**
  * Main page - serves Plaid Link UI
+ * The token comes from /connect (or a failed sync) and is signed for one
+ * Telegram user. Tokens naming an item open Link in update mode for it.
  */
-app.get('/link/:userId', async (req, res) => {
-  const { userId } = req.params;
+app.get('/link/:token', async (req, res) => {
+  const { token } = req.params;
+
+  let claims;
+  let item = null;
+  try {
+    claims = verifyLinkToken(token);
+    if (claims.item) {
+      item = getUserItem(claims.uid, claims.item);
+      if (!item) {
+        throw new LinkTokenError('That bank is no longer connected');
+      }
+    }
+  } catch (error) {
+    const message = error instanceof LinkTokenError ? error.message : 'Invalid link';
+    return res.status(403).send(`${message}. Send /connect to the bot for a new one.`);
+  }
+
+  const heading = item ? `Reconnect ${itemLabel(item)}` : 'Connect your bank account to get started';
+  const buttonText = item ? 'Log In Again' : 'Connect Bank Account';
 
   try {
-    const linkToken = await createLinkToken(userId);
+    const linkToken = await createLinkToken(claims.uid, item?.accessToken);
 
     // Serve a simple HTML page with Plaid Link
     res.send(`
@@ -73,6 +124,7 @@ app.get('/link/:userId', async (req, res) => {
     }
     h1 { color: #1a1a2e; margin-bottom: 10px; font-size: 24px; }
     p { color: #666; margin-bottom: 30px; }
+    .logo { width: 56px; height: 56px; margin-bottom: 16px; }
     button {
       background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
       color: white;
@@ -113,15 +165,16 @@ app.get('/link/:userId', async (req, res) => {
 </head>
 <body>
   <div class="container">
+    ${item?.institutionLogo ? `<img class="logo" src="data:image/png;base64,${escapeHtml(item.institutionLogo)}" alt="">` : ''}
     <h1>💰 Personal Finance Bot</h1>
-    <p>Connect your bank account to get started</p>
-    <button id="connect-btn" onclick="openPlaidLink()">Connect Bank Account</button>
+    <p>${escapeHtml(heading)}</p>
+    <button id="connect-btn" onclick="openPlaidLink()">${buttonText}</button>
     <div id="status"></div>
   </div>
 
   <script>
-    const linkToken = '${linkToken}';
-    const userId = '${userId}';
+    const linkToken = ${scriptString(linkToken)};
+    const connectToken = ${scriptString(token)};
 
     function openPlaidLink() {
       const handler = Plaid.create({
@@ -134,7 +187,7 @@ app.get('/link/:userId', async (req, res) => {
             const response = await fetch('/api/exchange', {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ publicToken, userId })
+              body: JSON.stringify({ publicToken, token: connectToken, institution: metadata.institution })
             });
             
             const data = await response.json();
@@ -171,11 +224,54 @@ app.get('/link/:userId', async (req, res) => {
   }
 });
 
+/**
+ * Update mode success: the existing access token works again, so there is
+ * nothing to exchange. Mark the item healthy and catch up on transactions.
+ */
+async function completeLoginRepair(userId, item) {
+  setItemStatus(item.itemId, 'ok');
+  await refreshInstitution(item);
+  const results = await syncUserTransactions(userId, [item]);
+
+  console.log(`✅ User ${userId} repaired item ${item.itemId}`);
+  await sendTelegramNotification(userId, `🔓 Reconnected!\n\n${formatSyncResult(results)}`);
+}
+
 /**
  * API: Exchange public token for access token
+ * The item is bound to the user named in the signed link token. The token
+ * is burned only once the bank is saved (or repaired), so a Plaid failure
+ * can be retried from the same page but the link cannot attach a second bank.
  */
 app.post('/api/exchange', async (req, res) => {
-  const { publicToken, userId } = req.body;
+  const { publicToken, token, institution } = req.body;
+
+  let claims;
+  try {
+    claims = verifyLinkToken(token);
+  } catch (error) {
+    const message = error instanceof LinkTokenError ? error.message : 'Invalid link';
+    return res.status(403).json({ success: false, error: `${message}. Send /connect to the bot for a new one.` });
+  }
+
+  const userId = claims.uid;
+
+  if (claims.item) {
+    // The bank may have been disconnected while Link was open
+    const item = getUserItem(userId, claims.item);
+    if (!item) {
+      return res.status(403).json({ success: false, error: 'That bank is no longer connected. Send /connect to the bot for a new link.' });
+    }
+
+    try {
+      await completeLoginRepair(userId, item);
+      markLinkNonceUsed(claims.nonce);
+      return res.json({ success: true, repaired: true });
+    } catch (error) {
+      console.error('Update mode error:', error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
 
   try {
     // Exchange for access token
@@ -184,17 +280,28 @@ app.post('/api/exchange', async (req, res) => {
     // Get accounts to show user what was connected
     const accounts = await getAccounts(accessToken);
 
-    // Save the connection
-    saveUserConnection(userId, {
+    // Save the item alongside any institutions the user already linked
+    const item = {
       accessToken,
       itemId,
+      institutionId: institution?.institution_id || null,
+      institutionName: institution?.name || null,
       accounts,
       connectedAt: new Date().toISOString(),
-    });
+    };
+    if (!saveLinkedItem(claims.nonce, userId, item)) {
+      // Another request redeemed the link first; don't leave this item live at Plaid
+      await removeItem(accessToken).catch(error => console.error(`Failed to revoke item ${itemId}:`, error.response?.data || error.message));
+      return res.status(403).json({ success: false, error: 'This link has already been used. Send /connect to the bot for a new one.' });
+    }
+
+    // Link metadata only has the bank's name; Plaid's institution record
+    // also has its logo
+    await refreshInstitution(item);
 
-    // Fetch and cache transactions
-    const transactions = await getTransactions(accessToken);
-    cacheTransactions(userId, transactions);
+    // Initial sync - starts the history backfill. The bank is saved by now,
+    // so a failed sync is reported in the message rather than as an error.
+    const [result] = await syncUserTransactions(userId, [item]);
 
     console.log(`✅ User ${userId} connected ${accounts.length} account(s)`);
 
@@ -203,7 +310,7 @@ app.post('/api/exchange', async (req, res) => {
     await sendTelegramNotification(userId,
       `🎉 Bank connected successfully!\n\n` +
       `📊 ${accounts.length} account(s): ${accountNames}\n` +
-      `💳 ${transactions.length} transactions synced\n\n` +
+      `${formatSyncResult([result])}\n\n` +
       `Try asking: "What's my balance?"`
     );
 
@@ -215,24 +322,96 @@ app.post('/api/exchange', async (req, res) => {
 });
 
 /**
- * API: Get user's transactions (for debugging)
+ * API: Get user's transactions (for debugging, admin only)
  */
-app.get('/api/transactions/:userId', async (req, res) => {
+app.get('/api/transactions/:userId', requireAdmin, async (req, res) => {
   const { userId } = req.params;
-  const connection = getUserConnection(userId);
+  const items = getUserItems(userId).filter(item => item.source === 'plaid');
 
-  if (!connection) {
+  if (items.length === 0) {
     return res.status(404).json({ error: 'No bank connected' });
   }
 
   try {
-    const transactions = await getTransactions(connection.accessToken);
-    res.json({ transactions });
+    const perItem = await Promise.all(items.map(item => getTransactions(item.accessToken)));
+    res.json({ transactions: perItem.flat() });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * Act on a verified Plaid webhook
+ */
+async function handlePlaidWebhook(body) {
+  const { webhook_type: type, webhook_code: code, item_id: itemId } = body;
+  const item = getItemById(itemId);
+
+  if (!item) {
+    console.log(`⚠️ Webhook ${type}/${code} for unknown item ${itemId}`);
+    return;
+  }
+
+  const { userId } = item;
+  console.log(`🪝 Webhook ${type}/${code} for item ${itemId}`);
+
+  if (type === 'TRANSACTIONS' && code === 'SYNC_UPDATES_AVAILABLE') {
+    const [result] = await syncUserTransactions(userId, [item]);
+    // Successful syncs push their own budget and anomaly alerts
+    if (result.needsLogin || result.error) {
+      await sendTelegramNotification(userId, formatSyncResult([result]));
+    }
+    return;
+  }
+
+  if (type !== 'ITEM') {
+    return;
+  }
+
+  if (code === 'ERROR' && body.error?.error_code === 'ITEM_LOGIN_REQUIRED') {
+    setItemStatus(itemId, 'login_required');
+    await sendTelegramNotification(userId,
+      `⚠️ Your connection to ${itemLabel(item)} needs you to log in again. ` +
+      `Until then we can't fetch new transactions.\n\n` +
+      `Reconnect here (valid 15 minutes, or send /connect for a fresh link):\n${buildLinkUrl(userId, itemId)}`
+    );
+  } else if (code === 'PENDING_EXPIRATION') {
+    setItemStatus(itemId, 'pending_expiration');
+    const expires = body.consent_expiration_time ? ` on ${body.consent_expiration_time.split('T')[0]}` : ' soon';
+    await sendTelegramNotification(userId,
+      `⏰ Your consent for ${itemLabel(item)} expires${expires}. Renew it to keep transactions flowing ` +
+      `(link valid 15 minutes, or send /connect for a fresh one):\n${buildLinkUrl(userId, itemId)}`
+    );
+  } else if (code === 'USER_PERMISSION_REVOKED' || code === 'USER_ACCOUNT_REVOKED') {
+    // The access token is dead; drop the item and its data like /disconnect would
+    removeUserItem(userId, itemId);
+    await sendTelegramNotification(userId,
+      `🔌 Access to ${itemLabel(item)} was revoked at your bank, so we removed it and its transactions. Use /connect to link it again.`
+    );
+  } else if (code === 'LOGIN_REPAIRED') {
+    setItemStatus(itemId, 'ok');
+  }
+}
+
+/**
+ * Plaid webhooks - verified, acknowledged right away, then processed
+ * (Plaid retries anything that takes longer than 10 seconds to answer)
+ */
+app.post('/webhooks/plaid', async (req, res) => {
+  const verified = await verifyWebhook(req.get('plaid-verification'), req.rawBody || '');
+
+  if (!verified) {
+    console.warn('⚠️ Rejected Plaid webhook with invalid signature');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  res.json({ received: true });
+
+  handlePlaidWebhook(req.body).catch(error => {
+    console.error('Webhook handling error:', error.response?.data || error);
+  });
+});
+
 /**
  * Health check
  */
@@ -240,8 +419,19 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-// Start server - bind to 0.0.0.0 for Railway
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🌐 Plaid Link server running on port ${PORT}`);
-  console.log(`   Connect URL pattern: ${process.env.SERVER_URL}/link/{userId}`);
-});
+/**
+ * Start listening. Importing this file only builds the app, so tests can
+ * serve it on a port of their own.
+ */
+export function startServer() {
+  // Bind to 0.0.0.0 for Railway
+  return app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🌐 Plaid Link server running on port ${PORT}`);
+    console.log(`   Connect URL pattern: ${process.env.SERVER_URL}/link/{signed token from /connect}`);
+  });
+}
+
+// `npm run server` runs this file directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startServer();
+}
@@ -0,0 +1,482 @@
+/**
+ * Statement file import for banks Plaid doesn't cover
+ *
+ * Users send a CSV, OFX or QFX file as a Telegram document. OFX/QFX are
+ * structured; for CSV the delimiter, header row, column mapping, date
+ * format and sign convention are all detected from the file itself.
+ * Parsed rows are categorized from the user's own history (falling back to
+ * keywords), then merged into the store by importManualTransactions.
+ */
+
+import crypto from 'crypto';
+import { importManualTransactions, getMerchantCategories } from './storage.js';
+import { normalizeMerchant } from './merchants.js';
+
+export const STATEMENT_EXTENSIONS = ['csv', 'ofx', 'qfx'];
+
+export const MAX_STATEMENT_BYTES = 5 * 1024 * 1024;
+
+export const IMPORT_USAGE = 'Send a CSV, OFX or QFX statement file to import it. ' +
+    'If spending comes out as income, send it again with the caption "flip".';
+
+export class StatementError extends Error {}
+
+// Checked in order, so "uber eats" is food before "uber" is transport
+const KEYWORD_CATEGORIES = [
+    [/payroll|salary|direct dep|paycheck|dividend|interest paid/, 'income'],
+    [/transfer|zelle|venmo|xfer|payment thank you|autopay|card payment/, 'transfer'],
+    [/grocery|supermarket|whole foods|trader joe|kroger|safeway|aldi|publix|lidl|tesco/, 'groceries'],
+    [/restaurant|cafe|coffee|starbucks|mcdonald|pizza|doordash|uber eats|grubhub|deliveroo|burger/, 'food'],
+    [/uber|lyft|shell|chevron|exxon|fuel|parking|transit|metro|railway|taxi/, 'transport'],
+    [/amazon|target|best buy|ebay|etsy|ikea/, 'shopping'],
+    [/netflix|spotify|hulu|disney|cinema|theatre|theater|steam|playstation/, 'entertainment'],
+    [/electric|water|internet|comcast|verizon|at&t|t-mobile|utility|utilities/, 'utilities'],
+    [/pharmacy|cvs|walgreens|doctor|dental|clinic|hospital/, 'health'],
+    [/\brent\b|mortgage|\bhoa\b/, 'housing'],
+    [/airline|airways|hotel|airbnb|expedia|booking\.com/, 'travel'],
+];
+
+const HEADER_PATTERNS = {
+    date: /date|posted|booked/,
+    description: /description|payee|merchant|name|details|narrative|memo|reference/,
+    amount: /amount|value/,
+    debit: /debit|withdrawal|money out|paid out|outflow/,
+    credit: /credit|deposit|money in|paid in|inflow/,
+    type: /^(type|transaction type|dr\/cr|cr\/dr|debit\/credit|credit\/debit)$/,
+    currency: /currency/,
+};
+
+function extensionOf(fileName) {
+    return (fileName || '').split('.').pop().toLowerCase();
+}
+
+export function isStatementFile(fileName) {
+    return STATEMENT_EXTENSIONS.includes(extensionOf(fileName));
+}
+
+/**
+ * Decode an uploaded file; statements from older bank systems are often
+ * Latin-1 rather than UTF-8
+ */
+export function decodeStatement(buffer) {
+    let text = buffer.toString('utf8');
+    if (text.includes('\uFFFD')) {
+        text = buffer.toString('latin1');
+    }
+    return text.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Parse a money string: "$1,234.56", "-12.00", "(12.00)", "12.00-",
+ * "1.234,56" and "12,50" (decimal comma). Returns null if it isn't one.
+ */
+function parseAmount(raw) {
+    let text = String(raw ?? '').trim();
+    let negative = false;
+
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    if (text.endsWith('-')) {
+        negative = !negative;
+        text = text.slice(0, -1);
+    }
+    text = text.replace(/[^\d.,-]/g, '');
+    if (text.startsWith('-')) {
+        negative = !negative;
+        text = text.slice(1);
+    }
+    if (!/\d/.test(text) || /[^\d.,]/.test(text)) {
+        return null;
+    }
+
+    text = /,\d{1,2}$/.test(text)
+        ? text.replace(/\./g, '').replace(',', '.')
+        : text.replace(/,/g, '');
+
+    const value = Number(text);
+    if (Number.isNaN(value)) {
+        return null;
+    }
+    return Math.round((negative ? -value : value) * 100) / 100;
+}
+
+function isoDate(year, month, day) {
+    const y = Number(year) < 100 ? 2000 + Number(year) : Number(year);
+    const date = new Date(Date.UTC(y, Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+        return null;
+    }
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Work out how a column of dates is written. Slashed dates are month
+ * first unless some day is over 12; dotted dates are day first.
+ * Returns a function from a raw value to YYYY-MM-DD (or null).
+ */
+function detectDateFormat(values) {
+    const slashed = values.map(v => v.trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\b/)).filter(Boolean);
+    const dayFirst = slashed.some(m => Number(m[1]) > 12) ||
+        (!slashed.some(m => Number(m[2]) > 12) && values.some(v => /^\d{1,2}\.\d{1,2}\./.test(v.trim())));
+
+    return (raw) => {
+        const value = String(raw || '').trim();
+        let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (match) return isoDate(match[1], match[2], match[3]);
+
+        match = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+        if (match) return isoDate(match[1], match[2], match[3]);
+
+        match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\b/);
+        if (match) {
+            return dayFirst ? isoDate(match[3], match[2], match[1]) : isoDate(match[3], match[1], match[2]);
+        }
+
+        // "Sep 5, 2026", "5 Sep 2026" and the like
+        const parsed = Date.parse(`${value} UTC`);
+        if (!Number.isNaN(parsed) && /[a-z]{3}/i.test(value)) {
+            return new Date(parsed).toISOString().split('T')[0];
+        }
+        return null;
+    };
+}
+
+/**
+ * Split CSV text into rows of fields, honouring quotes
+ */
+function parseCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows
+        .map(r => r.map(f => f.trim()))
+        .filter(r => r.some(f => f !== ''));
+}
+
+function detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10).join('\n');
+    const counts = [',', ';', '\t', '|'].map(d => [d, sample.split(d).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+function findColumn(headers, pattern, exclude = []) {
+    return headers.findIndex((h, i) => pattern.test(h) && !exclude.includes(i));
+}
+
+/**
+ * Map header names to columns. Returns null unless the row has at least
+ * a date, a description and some amount column.
+ */
+function mapHeaders(row) {
+    const headers = row.map(h => h.toLowerCase());
+    const date = findColumn(headers, HEADER_PATTERNS.date);
+    const type = findColumn(headers, HEADER_PATTERNS.type);
+    const debit = findColumn(headers, HEADER_PATTERNS.debit, [type]);
+    const credit = findColumn(headers, HEADER_PATTERNS.credit, [type, debit]);
+    const amount = findColumn(headers, HEADER_PATTERNS.amount, [date, debit, credit]);
+    const description = findColumn(headers, HEADER_PATTERNS.description, [date, type, amount, debit, credit]);
+    const currency = findColumn(headers, HEADER_PATTERNS.currency);
+
+    if (date < 0 || description < 0 || (amount < 0 && (debit < 0 || credit < 0))) {
+        return null;
+    }
+    return { date, description, amount, debit, credit, type, currency, headers: row };
+}
+
+/**
+ * Without a header row, guess columns from their contents: the one that
+ * is mostly dates, the one that is mostly amounts, and the longest text
+ */
+function inferColumns(rows) {
+    const width = Math.max(...rows.map(r => r.length));
+    const share = (col, test) => rows.filter(r => test(r[col] || '')).length / rows.length;
+    const columns = [...Array(width).keys()];
+
+    const date = columns.find(col => share(col, v => detectDateFormat([v])(v) !== null) > 0.8);
+    const amount = columns.find(col => col !== date && share(col, v => /\d/.test(v) && parseAmount(v) !== null) > 0.8);
+    const description = columns
+        .filter(col => col !== date && col !== amount)
+        .sort((a, b) => share(b, v => /[a-z]{3}/i.test(v)) - share(a, v => /[a-z]{3}/i.test(v)))[0];
+
+    if (date === undefined || amount === undefined || description === undefined) {
+        return null;
+    }
+    return { date, description, amount, debit: -1, credit: -1, type: -1, currency: -1, headers: null };
+}
+
+function describeColumns(mapping) {
+    const name = (col) => (mapping.headers ? `"${mapping.headers[col]}"` : `column ${col + 1}`);
+    const amount = mapping.amount >= 0
+        ? `amount ${name(mapping.amount)}`
+        : `debit ${name(mapping.debit)} / credit ${name(mapping.credit)}`;
+    return `date ${name(mapping.date)}, description ${name(mapping.description)}, ${amount}`;
+}
+
+/**
+ * Parse a CSV statement into `{ rows, columns, convention, signGuessed,
+ * skipped }`, with amounts signed the way the rest of the app stores them
+ * (negative is money out)
+ */
+function parseCsv(text, { flip = false } = {}) {
+    const rows = parseCsvRows(text, detectDelimiter(text));
+    if (rows.length === 0) {
+        throw new StatementError('The file is empty.');
+    }
+
+    // Some banks put account details above the header row
+    const headerIndex = rows.slice(0, 10).findIndex(row => mapHeaders(row));
+    const mapping = headerIndex >= 0 ? mapHeaders(rows[headerIndex]) : inferColumns(rows);
+    if (!mapping) {
+        throw new StatementError('Could not find date, description and amount columns in this CSV.');
+    }
+    const body = rows.slice(headerIndex + 1);
+    const toDate = detectDateFormat(body.map(r => r[mapping.date] || ''));
+
+    let convention;
+    const signed = [];
+    let skipped = 0;
+
+    for (const row of body) {
+        const date = toDate(row[mapping.date]);
+        let amount;
+
+        if (mapping.amount >= 0) {
+            amount = parseAmount(row[mapping.amount]);
+            if (amount !== null && mapping.type >= 0) {
+                const isDebit = /^(debit|dr|d|withdrawal|purchase|sale|payment)\b/i.test(row[mapping.type] || '');
+                amount = isDebit ? -Math.abs(amount) : Math.abs(amount);
+            }
+        } else {
+            const debit = parseAmount(row[mapping.debit]);
+            const credit = parseAmount(row[mapping.credit]);
+            amount = debit === null && credit === null ? null : Math.abs(credit || 0) - Math.abs(debit || 0);
+        }
+
+        const merchant = (row[mapping.description] || '').replace(/\s+/g, ' ');
+        if (!date || amount === null || amount === 0 || !merchant) {
+            skipped += 1;
+            continue;
+        }
+        signed.push({
+            date,
+            amount,
+            merchant,
+            currency: mapping.currency >= 0 ? (row[mapping.currency] || '').toUpperCase() || null : null,
+        });
+    }
+
+    if (mapping.amount >= 0 && mapping.type >= 0) {
+        convention = `debit or credit from the "${mapping.headers[mapping.type]}" column`;
+    } else if (mapping.amount >= 0) {
+        // Most rows on any statement are spending, so if most amounts are
+        // positive the file counts money out as positive (typical of cards)
+        const positive = signed.filter(t => t.amount > 0).length;
+        const positiveIsSpending = positive > signed.length / 2;
+        if (positiveIsSpending) {
+            signed.forEach(t => { t.amount = -t.amount; });
+        }
+        convention = positiveIsSpending ? 'positive amounts are spending' : 'negative amounts are spending';
+    } else {
+        convention = 'separate debit and credit columns';
+    }
+
+    if (flip) {
+        signed.forEach(t => { t.amount = -t.amount; });
+        convention += ' (flipped)';
+    }
+
+    return {
+        rows: signed,
+        columns: describeColumns(mapping),
+        convention,
+        signGuessed: mapping.amount >= 0 && mapping.type < 0,
+        skipped,
+    };
+}
+
+function ofxField(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    if (!match) return null;
+    return match[1].trim()
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>') || null;
+}
+
+/**
+ * Parse an OFX or QFX statement (SGML or XML flavour). OFX amounts are
+ * already negative for money out.
+ */
+function parseOfx(text, { flip = false } = {}) {
+    const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+    if (blocks.length === 0) {
+        throw new StatementError('No transactions found in this OFX/QFX file.');
+    }
+
+    const currency = ofxField(text, 'CURDEF');
+    const account = ofxField(text, 'ACCTID');
+    const rows = [];
+    let skipped = 0;
+
+    for (const block of blocks) {
+        const posted = (ofxField(block, 'DTPOSTED') || '').slice(0, 8);
+        const date = /^\d{8}$/.test(posted) ? isoDate(posted.slice(0, 4), posted.slice(4, 6), posted.slice(6, 8)) : null;
+        const amount = parseAmount(ofxField(block, 'TRNAMT'));
+        const merchant = ofxField(block, 'NAME') || ofxField(block, 'PAYEE') || ofxField(block, 'MEMO');
+
+        if (!date || amount === null || amount === 0 || !merchant) {
+            skipped += 1;
+            continue;
+        }
+        rows.push({
+            date,
+            amount: flip ? -amount : amount,
+            merchant,
+            currency: ofxField(block, 'CURSYM') || currency,
+            fitId: ofxField(block, 'FITID') ? `${account}:${ofxField(block, 'FITID')}` : null,
+        });
+    }
+
+    return {
+        rows,
+        columns: null,
+        convention: flip ? 'negative amounts are spending (flipped)' : 'negative amounts are spending',
+        signGuessed: false,
+        skipped,
+    };
+}
+
+/**
+ * Detect the format and parse a statement. Anything with an <OFX> tag is
+ * OFX/QFX whatever it's called; everything else is treated as CSV.
+ */
+export function parseStatement(fileName, text, options = {}) {
+    const format = /<OFX>/i.test(text) || ['ofx', 'qfx'].includes(extensionOf(fileName))
+        ? (extensionOf(fileName) === 'qfx' ? 'QFX' : 'OFX')
+        : 'CSV';
+    const parsed = format === 'CSV' ? parseCsv(text, options) : parseOfx(text, options);
+
+    if (parsed.rows.length === 0) {
+        throw new StatementError('No usable transactions found in this file.');
+    }
+    return { format, ...parsed };
+}
+
+function guessCategory(merchant, amount, merchantCategories) {
+    const known = merchantCategories.get(normalizeMerchant(merchant));
+    if (known) {
+        return known;
+    }
+    const text = merchant.toLowerCase();
+    const match = KEYWORD_CATEGORIES.find(([pattern, category]) => pattern.test(text) && (category !== 'income' || amount > 0));
+    return match ? match[1] : 'other';
+}
+
+/**
+ * Ids come from the row itself, so re-importing a statement doesn't add
+ * anything twice. OFX rows use the bank's FITID; CSV rows use date, size
+ * and description plus a counter for identical rows within the file. The
+ * sign is left out so a re-import with "flip" corrects the stored rows.
+ */
+function assignIds(userId, rows) {
+    const seen = new Map();
+    const hash = (text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 24);
+
+    return rows.map(({ fitId, ...row }) => {
+        let key = fitId;
+        if (!key) {
+            const base = `${row.date}|${Math.abs(row.amount)}|${row.merchant.toLowerCase()}`;
+            const occurrence = (seen.get(base) || 0) + 1;
+            seen.set(base, occurrence);
+            key = `${base}|${occurrence}`;
+        }
+        return { ...row, id: `manual-${hash(`${userId}|${key}`)}` };
+    });
+}
+
+/**
+ * Parse, categorize and store a statement. Throws StatementError for
+ * files that can't be read.
+ */
+export function importStatement(userId, fileName, text, options = {}) {
+    const parsed = parseStatement(fileName, text, options);
+    const merchantCategories = getMerchantCategories(userId);
+
+    const rows = assignIds(userId, parsed.rows).map(row => ({
+        ...row,
+        category: guessCategory(row.merchant, row.amount, merchantCategories),
+    }));
+    const result = importManualTransactions(userId, rows);
+
+    const dates = parsed.rows.map(row => row.date).sort();
+    return {
+        ...result,
+        format: parsed.format,
+        columns: parsed.columns,
+        convention: parsed.convention,
+        signGuessed: parsed.signGuessed,
+        skipped: parsed.skipped,
+        from: dates[0],
+        to: dates[dates.length - 1],
+    };
+}
+
+export function formatImportResult(result) {
+    const lines = [
+        `📥 Imported ${result.format} statement (${result.from} to ${result.to})`,
+        '',
+        `✅ ${result.added} new transaction(s) added`,
+    ];
+    if (result.updated > 0) {
+        lines.push(`🔄 ${result.updated} already stored, updated`);
+    }
+    if (result.duplicates > 0) {
+        lines.push(`↩️ ${result.duplicates} already stored, skipped`);
+    }
+    if (result.skipped > 0) {
+        lines.push(`⚠️ ${result.skipped} row(s) without a date, amount or description, skipped`);
+    }
+    lines.push('');
+    if (result.columns) {
+        lines.push(`Columns: ${result.columns}`);
+    }
+    lines.push(`Signs: ${result.convention}`);
+    if (result.signGuessed) {
+        lines.push('', 'If spending shows up as income, send the same file again with the caption "flip".');
+    }
+
+    return lines.join('\n');
+}
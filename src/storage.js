@@ -1,173 +1,1167 @@
 /**
- * Storage with file-based persistence for Plaid connections
- * Uses JSON file so bot and server processes can share data
+ * Storage backed by SQLite (see db.js)
+ * The bot and server processes share the same database file
  */
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import db, { DATA_DIR } from './db.js';
+import { listBuckets, bucketKey, bucketEnd } from './periods.js';
+import { normalizeMerchant } from './merchants.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_FILE = path.join(__dirname, '..', 'data', 'connections.json');
+// Mock bank transaction data - used when a user has no linked or imported data
+const MOCK_TRANSACTIONS = [
+  { id: 'txn_001', date: '2026-01-02', amount: -45.67, merchant: 'Whole Foods Market', category: 'groceries', account: 'acc_001' },
+  { id: 'txn_002', date: '2026-01-03', amount: -12.50, merchant: 'Starbucks', category: 'food', account: 'acc_001' },
+  { id: 'txn_003', date: '2026-01-05', amount: 3500.00, merchant: 'Employer Direct Deposit', category: 'income', account: 'acc_001' },
+  { id: 'txn_004', date: '2026-01-06', amount: -89.99, merchant: 'Amazon', category: 'shopping', account: 'acc_002' },
+  { id: 'txn_005', date: '2026-01-07', amount: -150.00, merchant: 'PG&E', category: 'utilities', account: 'acc_001' },
+  { id: 'txn_006', date: '2026-01-08', amount: -35.00, merchant: 'Uber', category: 'transport', account: 'acc_002' },
+  { id: 'txn_007', date: '2026-01-10', amount: -78.50, merchant: 'Trader Joes', category: 'groceries', account: 'acc_001' },
+  { id: 'txn_008', date: '2026-01-12', amount: -25.00, merchant: 'Netflix', category: 'entertainment', account: 'acc_002' },
+  { id: 'txn_009', date: '2026-01-12', amount: -15.99, merchant: 'Spotify', category: 'entertainment', account: 'acc_002' },
+  { id: 'txn_010', date: '2026-01-15', amount: -200.00, merchant: 'CVS Pharmacy', category: 'health', account: 'acc_001' },
+  { id: 'txn_011', date: '2026-01-18', amount: -65.00, merchant: 'Chipotle', category: 'food', account: 'acc_002' },
+  { id: 'txn_012', date: '2026-01-19', amount: 3500.00, merchant: 'Employer Direct Deposit', category: 'income', account: 'acc_001' },
+  { id: 'txn_013', date: '2026-01-20', amount: -1200.00, merchant: 'Rent Payment', category: 'housing', account: 'acc_001' },
+  { id: 'txn_014', date: '2026-01-22', amount: -55.00, merchant: 'Shell Gas Station', category: 'transport', account: 'acc_001' },
+  { id: 'txn_015', date: '2026-01-24', amount: -125.00, merchant: 'Target', category: 'shopping', account: 'acc_002' },
+  { id: 'txn_016', date: '2026-01-25', amount: -42.00, merchant: 'Grubhub', category: 'food', account: 'acc_002' },
+  { id: 'txn_017', date: '2026-01-27', amount: -95.50, merchant: 'Costco', category: 'groceries', account: 'acc_001' },
+  { id: 'txn_018', date: '2026-01-28', amount: 500.00, merchant: 'Venmo Transfer', category: 'transfer', account: 'acc_001' },
+  { id: 'txn_019', date: '2026-01-29', amount: -180.00, merchant: 'United Airlines', category: 'travel', account: 'acc_002' },
+  { id: 'txn_020', date: '2026-01-30', amount: -28.00, merchant: 'Lyft', category: 'transport', account: 'acc_002' },
+];
 
-// Ensure data directory exists
-const dataDir = path.dirname(DATA_FILE);
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
+const MOCK_ACCOUNTS = [
+  { id: 'acc_001', name: 'Chase Checking', mask: '4821', type: 'depository', subtype: 'checking', balance: 4250.33, institution: 'Chase' },
+  { id: 'acc_002', name: 'Amex Platinum', mask: '1009', type: 'credit', subtype: 'credit card', balance: -892.48, institution: 'American Express' },
+];
+
+export const CATEGORIES = [
+  'groceries', 'food', 'shopping', 'transport', 'utilities',
+  'entertainment', 'health', 'housing', 'travel', 'income', 'transfer', 'other'
+];
 
 // ============================================
-// File-based Connection Storage
+// Plaid Item Management
+// A user can link several institutions; each Plaid item is stored
+// separately with its own accounts, sync cursor and transactions.
+// Imported statements live in one synthetic item per user with
+// source 'manual' (see Statement Imports below).
 // ============================================
 
-function loadConnections() {
-  try {
-    if (fs.existsSync(DATA_FILE)) {
-      return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+function ensureUser(userId) {
+  db.prepare('INSERT OR IGNORE INTO users (id, created_at) VALUES (?, ?)')
+    .run(userId, new Date().toISOString());
+}
+
+// Accounts carry their item's institution name so they can be listed and
+// matched ("my Amex") without looking the item up
+function replaceItemAccounts(userId, itemId, accounts) {
+  const item = db.prepare('SELECT institution_name FROM items WHERE item_id = ?').get(itemId);
+  db.prepare('DELETE FROM accounts WHERE item_id = ?').run(itemId);
+  const insert = db.prepare(`
+    INSERT INTO accounts (id, item_id, user_id, name, official_name, mask, type, subtype, balance, available_balance, institution)
+    VALUES (@id, @itemId, @userId, @name, @officialName, @mask, @type, @subtype, @balance, @availableBalance, @institution)
+  `);
+  for (const account of accounts || []) {
+    insert.run({
+      officialName: null,
+      mask: null,
+      subtype: null,
+      balance: null,
+      availableBalance: null,
+      ...account,
+      institution: item?.institution_name || null,
+      itemId,
+      userId,
+    });
+  }
+}
+
+function rowToAccount(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    officialName: row.official_name,
+    mask: row.mask,
+    type: row.type,
+    subtype: row.subtype,
+    balance: row.balance,
+    availableBalance: row.available_balance,
+    institution: row.institution,
+    itemId: row.item_id,
+  };
+}
+
+function rowToItem(row) {
+  const accounts = db.prepare('SELECT * FROM accounts WHERE item_id = ? ORDER BY rowid')
+    .all(row.item_id)
+    .map(rowToAccount);
+
+  return {
+    itemId: row.item_id,
+    accessToken: row.access_token,
+    institutionId: row.institution_id,
+    institutionName: row.institution_name,
+    institutionLogo: row.institution_logo,
+    cursor: row.cursor,
+    connectedAt: row.connected_at,
+    lastSyncedAt: row.last_synced_at,
+    status: row.status,
+    source: row.source,
+    accounts,
+  };
+}
+
+export const saveUserItem = db.transaction((userId, item) => {
+  ensureUser(userId);
+  db.prepare(`
+    INSERT INTO items (item_id, user_id, access_token, institution_id, institution_name, institution_logo, cursor, connected_at, last_synced_at)
+    VALUES (@itemId, @userId, @accessToken, @institutionId, @institutionName, @institutionLogo, @cursor, @connectedAt, @lastSyncedAt)
+    ON CONFLICT(item_id) DO UPDATE SET
+      access_token = excluded.access_token,
+      institution_id = excluded.institution_id,
+      institution_name = excluded.institution_name,
+      institution_logo = excluded.institution_logo,
+      cursor = excluded.cursor,
+      connected_at = excluded.connected_at,
+      last_synced_at = excluded.last_synced_at
+  `).run({
+    institutionId: null,
+    institutionName: null,
+    institutionLogo: null,
+    cursor: null,
+    connectedAt: null,
+    lastSyncedAt: null,
+    ...item,
+    userId,
+  });
+  replaceItemAccounts(userId, item.itemId, item.accounts);
+  console.log(`💾 Saved item ${item.itemId} for user ${userId}`);
+});
+
+export function getUserItems(userId) {
+  return db.prepare('SELECT * FROM items WHERE user_id = ? ORDER BY connected_at, rowid')
+    .all(userId)
+    .map(rowToItem);
+}
+
+export function getUserItem(userId, itemId) {
+  const row = db.prepare('SELECT * FROM items WHERE user_id = ? AND item_id = ?').get(userId, itemId);
+  return row ? rowToItem(row) : undefined;
+}
+
+/**
+ * Look up an item by Plaid item ID alone (webhooks don't say whose it is)
+ */
+export function getItemById(itemId) {
+  const row = db.prepare('SELECT * FROM items WHERE item_id = ?').get(itemId);
+  return row ? { userId: row.user_id, ...rowToItem(row) } : undefined;
+}
+
+/**
+ * Store an item's institution (from Plaid's institution lookup) on the
+ * item and its accounts
+ */
+export const setItemInstitution = db.transaction((itemId, { id, name, logo }) => {
+  db.prepare('UPDATE items SET institution_id = ?, institution_name = ?, institution_logo = ? WHERE item_id = ?')
+    .run(id, name, logo, itemId);
+  db.prepare('UPDATE accounts SET institution = ? WHERE item_id = ?').run(name, itemId);
+});
+
+/**
+ * Record an item's health: 'ok', 'login_required' or 'pending_expiration'
+ */
+export function setItemStatus(itemId, status) {
+  db.prepare('UPDATE items SET status = ? WHERE item_id = ?').run(status, itemId);
+}
+
+export function removeUserItem(userId, itemId) {
+  // Accounts and transactions go with the item (ON DELETE CASCADE)
+  const { changes } = db.prepare('DELETE FROM items WHERE user_id = ? AND item_id = ?').run(userId, itemId);
+  if (changes > 0) {
+    console.log(`🗑️ Removed item ${itemId} for user ${userId}`);
+  }
+  return changes > 0;
+}
+
+/**
+ * Wipe everything stored about a user: items, accounts, transactions,
+ * budgets, categories, categorization rules, digests, anomaly alerts,
+ * agent usage, link nonces and chat history with its summary
+ */
+export const deleteUserData = db.transaction((userId) => {
+  db.prepare('DELETE FROM chat_messages WHERE user_id = ?').run(userId);
+  db.prepare('DELETE FROM conversations WHERE user_id = ?').run(userId);
+  db.prepare('DELETE FROM budgets WHERE user_id = ?').run(userId);
+  db.prepare('DELETE FROM budget_alerts WHERE user_id = ?').run(userId);
+  db.prepare('DELETE FROM category_rules WHERE user_id = ?').run(userId);
+  db.prepare('DELETE FROM category_overrides WHERE user_id = ?').run(userId);
+  db.prepare('DELETE FROM categories WHERE user_id = ?').run(userId);
+  db.prepare('DELETE FROM anomaly_alerts WHERE user_id = ?').run(userId);
+  db.prepare('DELETE FROM agent_usage WHERE user_id = ?').run(userId);
+  db.prepare('DELETE FROM link_nonces WHERE user_id = ?').run(userId);
+  db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+  console.log(`🗑️ Deleted all data for user ${userId}`);
+});
+
+/**
+ * Pass every stored access token through `transform` in one transaction,
+ * e.g. to re-encrypt them under a new key. `transform` returns the
+ * replacement value, or null to leave a token untouched.
+ */
+export const rewriteAccessTokens = db.transaction((transform) => {
+  const update = db.prepare('UPDATE items SET access_token = ? WHERE item_id = ?');
+  let updated = 0;
+
+  for (const row of db.prepare("SELECT item_id, access_token FROM items WHERE source = 'plaid'").all()) {
+    const replacement = transform(row.access_token);
+    if (replacement !== null) {
+      update.run(replacement, row.item_id);
+      updated += 1;
     }
-  } catch (error) {
-    console.error('Error loading connections:', error);
   }
-  return { connections: {}, transactionCache: {} };
+
+  return updated;
+});
+
+export function hasPlaidConnection(userId) {
+  return !!db.prepare("SELECT 1 FROM items WHERE user_id = ? AND source = 'plaid' LIMIT 1").get(userId);
 }
 
-function saveConnections(data) {
-  try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('Error saving connections:', error);
+/**
+ * True once a user has real data, linked through Plaid or imported
+ */
+export function hasStoredData(userId) {
+  return !!db.prepare('SELECT 1 FROM items WHERE user_id = ? LIMIT 1').get(userId);
+}
+
+/**
+ * Apply a /transactions/sync delta to one item's transactions and store the
+ * new cursor and account snapshot on the item in a single transaction.
+ * Returns counts of what actually changed, plus the newly seen transactions.
+ */
+export const applyTransactionSync = db.transaction((userId, itemId, { added, modified, removed, accounts, cursor }) => {
+  const upsert = db.prepare(`
+    INSERT INTO transactions (id, item_id, user_id, date, amount, merchant, category, source_category, account, pending,
+      currency, country, authorized_at)
+    VALUES (@id, @itemId, @userId, @date, @amount, @merchant, @category, @sourceCategory, @account, @pending,
+      @currency, @country, @authorizedAt)
+    ON CONFLICT(id) DO UPDATE SET
+      date = excluded.date,
+      amount = excluded.amount,
+      merchant = excluded.merchant,
+      category = excluded.category,
+      source_category = excluded.source_category,
+      account = excluded.account,
+      pending = excluded.pending,
+      currency = excluded.currency,
+      country = excluded.country,
+      authorized_at = excluded.authorized_at
+  `);
+  const exists = db.prepare('SELECT 1 FROM transactions WHERE id = ?');
+  const registerSubcategory = db.prepare(`
+    INSERT OR IGNORE INTO categories (user_id, name, parent, source, created_at)
+    VALUES (?, ?, ?, 'plaid', ?)
+  `);
+
+  // Plaid's detailed categories become subcategories the first time they
+  // show up; a custom category with the same name keeps its own parent
+  for (const txn of [...added, ...modified]) {
+    if (txn.parentCategory && !CATEGORIES.includes(txn.category)) {
+      registerSubcategory.run(userId, txn.category, txn.parentCategory, new Date().toISOString());
+    }
+  }
+
+  // Accounts first, so rules can match accounts seen for the first time
+  replaceItemAccounts(userId, itemId, accounts);
+  const categorizer = createCategorizer(userId);
+  const parents = getCategoryParents(userId);
+
+  // The synced category is kept as source_category; rules and manual
+  // fixes decide the category we actually report. Transactions store the
+  // account ID, not the name they arrive with.
+  const toRow = ({ parentCategory, accountId = null, accountMask, accountType, ...txn }) => {
+    const row = { currency: null, country: null, authorizedAt: null, ...txn, account: accountId };
+    return {
+      ...row,
+      category: categorizer(row),
+      sourceCategory: txn.category,
+      pending: txn.pending ? 1 : 0,
+      itemId,
+      userId,
+    };
+  };
+
+  const newTransactions = [];
+  for (const txn of added) {
+    const row = toRow(txn);
+    if (!exists.get(txn.id)) newTransactions.push({ ...txn, category: row.category, parentCategory: parents.get(row.category) || null, itemId });
+    upsert.run(row);
+  }
+
+  for (const txn of modified) {
+    upsert.run(toRow(txn));
+  }
+
+  const remove = db.prepare('DELETE FROM transactions WHERE id = ? AND item_id = ?');
+  let removedCount = 0;
+  for (const id of removed) {
+    removedCount += remove.run(id, itemId).changes;
+  }
+
+  // A successful sync means the item is healthy again
+  db.prepare("UPDATE items SET cursor = ?, last_synced_at = ?, status = 'ok' WHERE item_id = ?")
+    .run(cursor, new Date().toISOString(), itemId);
+
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM transactions WHERE item_id = ?').get(itemId);
+  console.log(`💾 Synced item ${itemId} for user ${userId}: +${newTransactions.length} ~${modified.length} -${removedCount}`);
+
+  return {
+    added: newTransactions.length,
+    modified: modified.length,
+    removed: removedCount,
+    total,
+    newTransactions,
+  };
+});
+
+// ============================================
+// Categorization Rules and Manual Recategorization
+// Rules match on merchant (substring), amount range (absolute dollars) and
+// account (see accountMatches). A manual fix on one transaction beats any rule;
+// among rules the newest match wins.
+// ============================================
+
+function rowToRule(row) {
+  return {
+    id: row.id,
+    merchant: row.merchant,
+    minAmount: row.min_amount,
+    maxAmount: row.max_amount,
+    account: row.account,
+    category: row.category,
+  };
+}
+
+function ruleMatches(rule, txn, accounts) {
+  const amount = Math.abs(txn.amount);
+  if (rule.merchant && !txn.merchant.toLowerCase().includes(rule.merchant.toLowerCase())) return false;
+  if (rule.account && !accountMatches(accounts.get(txn.account) || { name: txn.account }, rule.account)) return false;
+  if (rule.minAmount !== null && amount < rule.minAmount) return false;
+  if (rule.maxAmount !== null && amount > rule.maxAmount) return false;
+  return true;
+}
+
+/**
+ * Build a function mapping a transaction (with its synced category in
+ * `category`) to the category the user wants to see
+ */
+function createCategorizer(userId) {
+  const rules = getCategoryRules(userId).reverse();
+  const accounts = getAccountsById(userId);
+  const overrides = new Map(
+    db.prepare('SELECT transaction_id, category FROM category_overrides WHERE user_id = ?')
+      .all(userId)
+      .map(row => [row.transaction_id, row.category])
+  );
+
+  return (txn) => {
+    if (overrides.has(txn.id)) return overrides.get(txn.id);
+    const rule = rules.find(r => ruleMatches(r, txn, accounts));
+    return rule ? rule.category : txn.category;
+  };
+}
+
+/**
+ * Re-derive every stored transaction's category from its synced category,
+ * the user's rules and manual fixes. Returns how many changed.
+ */
+const recategorizeAll = db.transaction((userId) => {
+  const categorizer = createCategorizer(userId);
+  const update = db.prepare('UPDATE transactions SET category = ? WHERE id = ?');
+  let changed = 0;
+
+  const rows = db.prepare('SELECT id, merchant, amount, account, category, source_category FROM transactions WHERE user_id = ?').all(userId);
+  for (const row of rows) {
+    const category = categorizer({ ...row, category: row.source_category || row.category });
+    if (category !== row.category) {
+      update.run(category, row.id);
+      changed += 1;
+    }
   }
+
+  return changed;
+});
+
+export function getCategoryRules(userId) {
+  return db.prepare('SELECT * FROM category_rules WHERE user_id = ? ORDER BY id')
+    .all(userId)
+    .map(rowToRule);
 }
 
-// Mock bank transaction data - used when no Plaid connection exists
-const MOCK_TRANSACTIONS = [
-  { id: 'txn_001', date: '2026-01-02', amount: -45.67, merchant: 'Whole Foods Market', category: 'groceries', account: 'Chase Checking' },
-  { id: 'txn_002', date: '2026-01-03', amount: -12.50, merchant: 'Starbucks', category: 'food', account: 'Chase Checking' },
-  { id: 'txn_003', date: '2026-01-05', amount: 3500.00, merchant: 'Employer Direct Deposit', category: 'income', account: 'Chase Checking' },
-  { id: 'txn_004', date: '2026-01-06', amount: -89.99, merchant: 'Amazon', category: 'shopping', account: 'Amex Platinum' },
-  { id: 'txn_005', date: '2026-01-07', amount: -150.00, merchant: 'PG&E', category: 'utilities', account: 'Chase Checking' },
-  { id: 'txn_006', date: '2026-01-08', amount: -35.00, merchant: 'Uber', category: 'transport', account: 'Amex Platinum' },
-  { id: 'txn_007', date: '2026-01-10', amount: -78.50, merchant: 'Trader Joes', category: 'groceries', account: 'Chase Checking' },
-  { id: 'txn_008', date: '2026-01-12', amount: -25.00, merchant: 'Netflix', category: 'entertainment', account: 'Amex Platinum' },
-  { id: 'txn_009', date: '2026-01-12', amount: -15.99, merchant: 'Spotify', category: 'entertainment', account: 'Amex Platinum' },
-  { id: 'txn_010', date: '2026-01-15', amount: -200.00, merchant: 'CVS Pharmacy', category: 'health', account: 'Chase Checking' },
-  { id: 'txn_011', date: '2026-01-18', amount: -65.00, merchant: 'Chipotle', category: 'food', account: 'Amex Platinum' },
-  { id: 'txn_012', date: '2026-01-19', amount: 3500.00, merchant: 'Employer Direct Deposit', category: 'income', account: 'Chase Checking' },
-  { id: 'txn_013', date: '2026-01-20', amount: -1200.00, merchant: 'Rent Payment', category: 'housing', account: 'Chase Checking' },
-  { id: 'txn_014', date: '2026-01-22', amount: -55.00, merchant: 'Shell Gas Station', category: 'transport', account: 'Chase Checking' },
-  { id: 'txn_015', date: '2026-01-24', amount: -125.00, merchant: 'Target', category: 'shopping', account: 'Amex Platinum' },
-  { id: 'txn_016', date: '2026-01-25', amount: -42.00, merchant: 'Grubhub', category: 'food', account: 'Amex Platinum' },
-  { id: 'txn_017', date: '2026-01-27', amount: -95.50, merchant: 'Costco', category: 'groceries', account: 'Chase Checking' },
-  { id: 'txn_018', date: '2026-01-28', amount: 500.00, merchant: 'Venmo Transfer', category: 'transfer', account: 'Chase Checking' },
-  { id: 'txn_019', date: '2026-01-29', amount: -180.00, merchant: 'United Airlines', category: 'travel', account: 'Amex Platinum' },
-  { id: 'txn_020', date: '2026-01-30', amount: -28.00, merchant: 'Lyft', category: 'transport', account: 'Amex Platinum' },
-];
+/**
+ * Add a rule and apply it to transactions already stored.
+ * Returns the new rule ID and how many transactions it recategorized.
+ */
+export const addCategoryRule = db.transaction((userId, { merchant = null, minAmount = null, maxAmount = null, account = null, category }) => {
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO category_rules (user_id, merchant, min_amount, max_amount, account, category, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, merchant, minAmount, maxAmount, account, category, new Date().toISOString());
 
-const MOCK_ACCOUNTS = [
-  { id: 'acc_001', name: 'Chase Checking', type: 'checking', balance: 4250.33, institution: 'Chase' },
-  { id: 'acc_002', name: 'Amex Platinum', type: 'credit', balance: -892.48, institution: 'American Express' },
-];
+  return { id: Number(lastInsertRowid), updated: recategorizeAll(userId) };
+});
 
-export const CATEGORIES = [
-  'groceries', 'food', 'shopping', 'transport', 'utilities',
-  'entertainment', 'health', 'housing', 'travel', 'income', 'transfer', 'other'
-];
+/**
+ * Delete a rule; transactions it had recategorized fall back to whatever
+ * applies without it. Returns null if the rule doesn't exist.
+ */
+export const deleteCategoryRule = db.transaction((userId, ruleId) => {
+  const { changes } = db.prepare('DELETE FROM category_rules WHERE user_id = ? AND id = ?').run(userId, ruleId);
+  return changes > 0 ? { updated: recategorizeAll(userId) } : null;
+});
+
+/**
+ * Pin one transaction to a category. The fix is stored separately from the
+ * transaction, so later syncs that modify it don't undo it.
+ * Returns the updated transaction, or null if there is no such transaction.
+ */
+export const setTransactionCategory = db.transaction((userId, transactionId, category) => {
+  const row = db.prepare('SELECT * FROM transactions WHERE user_id = ? AND id = ?').get(userId, transactionId);
+  if (!row) {
+    return null;
+  }
+
+  db.prepare(`
+    INSERT INTO category_overrides (user_id, transaction_id, category) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, transaction_id) DO UPDATE SET category = excluded.category
+  `).run(userId, transactionId, category);
+  db.prepare('UPDATE transactions SET category = ? WHERE id = ?').run(category, transactionId);
+
+  return rowToTransaction({ ...row, category });
+});
 
 // ============================================
-// Plaid Connection Management (file-based)
+// Category Taxonomy
+// Every user has the built-in top-level CATEGORIES. Subcategories are
+// discovered from Plaid's detailed categories as transactions sync, and
+// users can add their own top-level or sub categories. The hierarchy is
+// two levels deep; totals for a parent include its subcategories.
 // ============================================
 
-export function saveUserConnection(userId, connection) {
-  const data = loadConnections();
-  data.connections[userId] = connection;
-  saveConnections(data);
-  console.log(`💾 Saved connection for user ${userId}`);
+/**
+ * Lowercase, underscore-separated form used for stored category names
+ */
+export function normalizeCategoryName(name) {
+  return String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * The user's taxonomy as `{ name, parent, source }` entries: built-in
+ * categories first, then top-level custom ones, then subcategories.
+ * `source` is 'builtin', 'plaid' or 'user'; `parent` is null at the top level.
+ */
+export function getCategoryTree(userId = null) {
+  const builtIn = CATEGORIES.map(name => ({ name, parent: null, source: 'builtin' }));
+  if (!userId) {
+    return builtIn;
+  }
+
+  const rows = db.prepare(`
+    SELECT name, parent, source FROM categories WHERE user_id = ?
+    ORDER BY parent IS NOT NULL, parent, name
+  `).all(userId);
+  return [...builtIn, ...rows];
 }
 
-export function getUserConnection(userId) {
-  const data = loadConnections();
-  return data.connections[userId];
+export function getCategoryNames(userId = null) {
+  return getCategoryTree(userId).map(c => c.name);
 }
 
-export function hasPlaidConnection(userId) {
-  const data = loadConnections();
-  return !!data.connections[userId];
+/**
+ * Map of category name to its parent (null for top-level categories)
+ */
+export function getCategoryParents(userId = null) {
+  return new Map(getCategoryTree(userId).map(c => [c.name, c.parent]));
 }
 
-export function cacheTransactions(userId, transactions) {
-  const data = loadConnections();
-  data.transactionCache[userId] = {
-    transactions,
-    cachedAt: new Date().toISOString(),
-  };
-  saveConnections(data);
-  console.log(`💾 Cached ${transactions.length} transactions for user ${userId}`);
+/**
+ * A category and its subcategories, for filters that roll up to the parent
+ */
+function categoryFamily(userId, category) {
+  const name = normalizeCategoryName(category);
+  const children = getCategoryTree(userId).filter(c => c.parent === name).map(c => c.name);
+  return [name, ...children];
 }
 
-export function getCachedTransactions(userId) {
-  const data = loadConnections();
-  return data.transactionCache[userId];
+/**
+ * Add a custom category, optionally under an existing top-level parent.
+ * Throws an Error whose message is fit to show the user.
+ */
+export function addCategory(userId, rawName, rawParent = null) {
+  const name = normalizeCategoryName(rawName);
+  const parent = rawParent ? normalizeCategoryName(rawParent) : null;
+  const parents = getCategoryParents(userId);
+
+  if (!/^[a-z0-9][a-z0-9_&]{0,31}$/.test(name)) {
+    throw new Error(`"${rawName}" isn't a usable category name. Use letters, numbers and underscores (up to 32).`);
+  }
+  if (parents.has(name)) {
+    throw new Error(`You already have a category called "${name}".`);
+  }
+  if (parent && !parents.has(parent)) {
+    throw new Error(`Unknown parent category "${parent}".`);
+  }
+  if (parent && parents.get(parent)) {
+    throw new Error(`"${parent}" is already a subcategory of ${parents.get(parent)}; categories only go two levels deep.`);
+  }
+
+  ensureUser(userId);
+  db.prepare(`
+    INSERT INTO categories (user_id, name, parent, source, created_at) VALUES (?, ?, ?, 'user', ?)
+  `).run(userId, name, parent, new Date().toISOString());
+
+  return { name, parent };
 }
 
+/**
+ * Delete a custom category. Rules and manual fixes that pointed at it move
+ * to its parent (or 'other'), and its budget is dropped. Returns null if the
+ * user has no custom category by that name; built-in and Plaid categories
+ * can't be deleted. Throws if the category still has subcategories.
+ */
+export const deleteCategory = db.transaction((userId, rawName) => {
+  const name = normalizeCategoryName(rawName);
+  const row = db.prepare("SELECT * FROM categories WHERE user_id = ? AND name = ? AND source = 'user'").get(userId, name);
+  if (!row) {
+    return null;
+  }
+
+  const children = db.prepare('SELECT name FROM categories WHERE user_id = ? AND parent = ?').all(userId, name);
+  if (children.length > 0) {
+    throw new Error(`"${name}" still has subcategories (${children.map(c => c.name).join(', ')}). Delete those first.`);
+  }
+
+  const fallback = row.parent || 'other';
+  db.prepare('UPDATE category_rules SET category = ? WHERE user_id = ? AND category = ?').run(fallback, userId, name);
+  db.prepare('UPDATE category_overrides SET category = ? WHERE user_id = ? AND category = ?').run(fallback, userId, name);
+  db.prepare('DELETE FROM budgets WHERE user_id = ? AND category = ?').run(userId, name);
+  db.prepare('DELETE FROM budget_alerts WHERE user_id = ? AND category = ?').run(userId, name);
+  db.prepare('DELETE FROM categories WHERE user_id = ? AND name = ?').run(userId, name);
+
+  return { name, fallback, updated: recategorizeAll(userId) };
+});
+
 // ============================================
-// Chat History Management
+// Statement Imports
+// Transactions from uploaded CSV/OFX/QFX statements go into a synthetic
+// "manual" item and account per user, next to any Plaid data. Rows carry
+// ids derived from their content, so importing the same or an overlapping
+// statement again only adds what is new.
 // ============================================
 
-export function getChatHistory(userId) {
-  const data = loadConnections();
-  // Ensure chatHistory exists in data
-  if (!data.chatHistory) {
-    data.chatHistory = {};
+// A statement row this close in date to a synced one with the same amount
+// and merchant is the same transaction seen through Plaid
+const IMPORT_MATCH_DAYS = 3;
+
+function manualItemId(userId) {
+  return `manual-${userId}`;
+}
+
+function ensureManualItem(userId) {
+  ensureUser(userId);
+  const itemId = manualItemId(userId);
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT OR IGNORE INTO items (item_id, user_id, access_token, institution_name, connected_at, source)
+    VALUES (?, ?, '', 'Imported statements', ?, 'manual')
+  `).run(itemId, userId, now);
+  db.prepare(`
+    INSERT OR IGNORE INTO accounts (id, item_id, user_id, name, type, institution)
+    VALUES (?, ?, ?, 'Manual', 'manual', 'Imported statements')
+  `).run(`${itemId}-account`, itemId, userId);
+  return itemId;
+}
+
+/**
+ * The category most recently given to each merchant (by normalized name),
+ * used to categorize imported rows the way the user's other data is
+ */
+export function getMerchantCategories(userId) {
+  const categories = new Map();
+  const rows = db.prepare('SELECT merchant, category FROM transactions WHERE user_id = ? ORDER BY date, rowid').all(userId);
+  for (const row of rows) {
+    categories.set(normalizeMerchant(row.merchant), row.category);
   }
-  return data.chatHistory[userId] || [];
+  return categories;
 }
 
-export function appendChatHistory(userId, role, content) {
-  const data = loadConnections();
-  if (!data.chatHistory) {
-    data.chatHistory = {};
+/**
+ * Merge parsed statement rows (`{ id, date, amount, merchant, category,
+ * currency }`) into the user's manual item. Rows already synced from Plaid
+ * are skipped; rows imported before are skipped too, unless their amount
+ * changed (a re-import with the sign flipped), in which case they are
+ * updated. Returns counts plus the rows actually added.
+ */
+export const importManualTransactions = db.transaction((userId, transactions) => {
+  const itemId = ensureManualItem(userId);
+  const accountId = `${itemId}-account`;
+  const categorizer = createCategorizer(userId);
+
+  const existing = db.prepare('SELECT amount FROM transactions WHERE id = ?');
+  const update = db.prepare(`
+    UPDATE transactions SET amount = @amount, category = @category, source_category = @sourceCategory
+    WHERE id = @id
+  `);
+  const sameAmount = db.prepare(`
+    SELECT merchant FROM transactions
+    WHERE user_id = ? AND item_id != ? AND amount = ? AND date BETWEEN ? AND ?
+  `);
+  const insert = db.prepare(`
+    INSERT INTO transactions (id, item_id, user_id, date, amount, merchant, category, source_category, account, pending, currency)
+    VALUES (@id, @itemId, @userId, @date, @amount, @merchant, @category, @sourceCategory, @account, 0, @currency)
+  `);
+
+  const shiftDate = (date, days) => new Date(Date.parse(date) + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  const added = [];
+  let updated = 0;
+  let duplicates = 0;
+  for (const txn of transactions) {
+    const row = { currency: null, ...txn, account: accountId };
+    const values = { ...row, category: categorizer(row), sourceCategory: txn.category, itemId, userId };
+    const stored = existing.get(txn.id);
+
+    if (stored) {
+      if (stored.amount === txn.amount) {
+        duplicates += 1;
+      } else {
+        update.run(values);
+        updated += 1;
+      }
+      continue;
+    }
+
+    const key = normalizeMerchant(txn.merchant);
+    const synced = sameAmount
+      .all(userId, itemId, txn.amount, shiftDate(txn.date, -IMPORT_MATCH_DAYS), shiftDate(txn.date, IMPORT_MATCH_DAYS))
+      .some(other => normalizeMerchant(other.merchant) === key);
+    if (synced) {
+      duplicates += 1;
+      continue;
+    }
+
+    insert.run(values);
+    added.push(row);
   }
 
-  if (!data.chatHistory[userId]) {
-    data.chatHistory[userId] = [];
+  db.prepare('UPDATE items SET last_synced_at = ? WHERE item_id = ?').run(new Date().toISOString(), itemId);
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM transactions WHERE item_id = ?').get(itemId);
+  console.log(`💾 Imported statement for user ${userId}: +${added.length} ~${updated} (${duplicates} duplicate(s) skipped)`);
+
+  return { added: added.length, updated, duplicates, total, newTransactions: added };
+});
+
+// ============================================
+// One-time Link Nonces
+// Each signed /link URL carries a nonce that can complete one exchange.
+// ============================================
+
+export function saveLinkNonce(nonce, userId, expiresAt) {
+  db.prepare('DELETE FROM link_nonces WHERE expires_at < ?').run(new Date().toISOString());
+  db.prepare('INSERT INTO link_nonces (nonce, user_id, expires_at) VALUES (?, ?, ?)')
+    .run(nonce, userId, expiresAt);
+}
+
+export function isLinkNonceUnused(nonce) {
+  return !!db.prepare('SELECT 1 FROM link_nonces WHERE nonce = ? AND used_at IS NULL').get(nonce);
+}
+
+/**
+ * Mark a nonce used. Returns false if it was unknown or already used,
+ * so two concurrent exchanges cannot both succeed.
+ */
+export function markLinkNonceUsed(nonce) {
+  const { changes } = db.prepare('UPDATE link_nonces SET used_at = ? WHERE nonce = ? AND used_at IS NULL')
+    .run(new Date().toISOString(), nonce);
+  return changes > 0;
+}
+
+/**
+ * Burn a link nonce and save the item it linked in one transaction.
+ * Returns false, saving nothing, if the nonce was already used.
+ */
+export const saveLinkedItem = db.transaction((nonce, userId, item) => {
+  if (!markLinkNonceUsed(nonce)) {
+    return false;
   }
+  saveUserItem(userId, item);
+  return true;
+});
 
-  // Add new message
-  data.chatHistory[userId].push({ role, content, timestamp: new Date().toISOString() });
+// ============================================
+// Monthly Budgets
+// ============================================
 
-  // Keep only last 20 messages to prevent infinite growth
-  if (data.chatHistory[userId].length > 20) {
-    data.chatHistory[userId] = data.chatHistory[userId].slice(-20);
+/**
+ * Set a category's monthly budget; an amount of 0 removes it
+ */
+export function setBudget(userId, category, amount) {
+  if (amount <= 0) {
+    db.prepare('DELETE FROM budgets WHERE user_id = ? AND category = ?').run(userId, category);
+    return;
   }
+  db.prepare(`
+    INSERT INTO budgets (user_id, category, amount) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, category) DO UPDATE SET amount = excluded.amount
+  `).run(userId, category, amount);
+}
+
+/**
+ * Monthly budgets keyed by category
+ */
+export function getBudgets(userId) {
+  const rows = db.prepare('SELECT category, amount FROM budgets WHERE user_id = ?').all(userId);
+  return Object.fromEntries(rows.map(row => [row.category, row.amount]));
+}
+
+/**
+ * Remember that a threshold alert went out for a category this month.
+ * Returns false if it had already been sent, so each alert fires once.
+ */
+export function markBudgetAlertSent(userId, category, month, threshold) {
+  const { changes } = db.prepare(`
+    INSERT OR IGNORE INTO budget_alerts (user_id, category, month, threshold, sent_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(userId, category, month, threshold, new Date().toISOString());
+  return changes > 0;
+}
+
+// ============================================
+// Scheduled Digests
+// Times are HH:MM in the user's own timezone; last_sent_on is the user's
+// local date the digest last went out, so each fires once per day.
+// ============================================
+
+export function getUserTimezone(userId) {
+  return db.prepare('SELECT timezone FROM users WHERE id = ?').get(userId)?.timezone || null;
+}
+
+export function setUserTimezone(userId, timezone) {
+  ensureUser(userId);
+  db.prepare('UPDATE users SET timezone = ? WHERE id = ?').run(timezone, userId);
+}
+
+/**
+ * Turn on (or re-time) a 'daily', 'weekly' or 'monthly' digest.
+ * `lastSentOn` lets the caller skip today when the time has already passed.
+ */
+export function setDigest(userId, kind, sendAt, lastSentOn = null) {
+  ensureUser(userId);
+  db.prepare(`
+    INSERT INTO digests (user_id, kind, send_at, last_sent_on) VALUES (?, ?, ?, ?)
+    ON CONFLICT(user_id, kind) DO UPDATE SET send_at = excluded.send_at, last_sent_on = excluded.last_sent_on
+  `).run(userId, kind, sendAt, lastSentOn);
+}
+
+/**
+ * Turn off one digest, or all of them when `kind` is null.
+ * Returns how many were removed.
+ */
+export function removeDigest(userId, kind = null) {
+  const { changes } = kind
+    ? db.prepare('DELETE FROM digests WHERE user_id = ? AND kind = ?').run(userId, kind)
+    : db.prepare('DELETE FROM digests WHERE user_id = ?').run(userId);
+  return changes;
+}
+
+export function getDigests(userId) {
+  return db.prepare("SELECT kind, send_at, last_sent_on FROM digests WHERE user_id = ? ORDER BY CASE kind WHEN 'daily' THEN 1 WHEN 'weekly' THEN 2 ELSE 3 END")
+    .all(userId)
+    .map(row => ({ kind: row.kind, sendAt: row.send_at, lastSentOn: row.last_sent_on }));
+}
+
+/**
+ * Every user's digests with their timezone, for the scheduler
+ */
+export function getAllDigests() {
+  return db.prepare(`
+    SELECT d.user_id, d.kind, d.send_at, d.last_sent_on, u.timezone
+    FROM digests d JOIN users u ON u.id = d.user_id
+  `).all().map(row => ({
+    userId: row.user_id,
+    kind: row.kind,
+    sendAt: row.send_at,
+    lastSentOn: row.last_sent_on,
+    timezone: row.timezone,
+  }));
+}
+
+/**
+ * Record that a digest went out on the user's local `date`. Returns false
+ * if it had already been sent that day, so each digest fires once.
+ */
+export function markDigestSent(userId, kind, date) {
+  const { changes } = db.prepare(`
+    UPDATE digests SET last_sent_on = ?
+    WHERE user_id = ? AND kind = ? AND (last_sent_on IS NULL OR last_sent_on < ?)
+  `).run(date, userId, kind, date);
+  return changes > 0;
+}
+
+// ============================================
+// Chat History Management
+// chat_messages holds the turns (user, assistant and tool results) not yet
+// folded into the conversation summary; conversations holds that summary
+// and the Agent SDK session the chat currently resumes.
+// ============================================
 
-  saveConnections(data);
+// Only reached when summaries keep failing; normally messages are deleted
+// as they are summarized
+const CHAT_HISTORY_LIMIT = 200;
+
+/**
+ * Messages newer than `afterId`, oldest first
+ */
+export function getChatHistory(userId, afterId = 0) {
+  return db.prepare(`
+    SELECT id, role, content, created_at AS timestamp FROM chat_messages
+    WHERE user_id = ? AND id > ?
+    ORDER BY id
+  `).all(userId, afterId);
 }
 
+export const appendChatHistory = db.transaction((userId, role, content) => {
+  db.prepare('INSERT INTO chat_messages (user_id, role, content, created_at) VALUES (?, ?, ?, ?)')
+    .run(userId, role, content, new Date().toISOString());
+
+  // Keep only the most recent messages to prevent infinite growth
+  db.prepare(`
+    DELETE FROM chat_messages WHERE user_id = ? AND id NOT IN (
+      SELECT id FROM chat_messages WHERE user_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `).run(userId, userId, CHAT_HISTORY_LIMIT);
+});
+
 export function clearChatHistory(userId) {
-  const data = loadConnections();
-  if (data.chatHistory && data.chatHistory[userId]) {
-    delete data.chatHistory[userId];
-    saveConnections(data);
+  const { changes } = db.prepare('DELETE FROM chat_messages WHERE user_id = ?').run(userId);
+  const conversation = db.prepare('DELETE FROM conversations WHERE user_id = ?').run(userId);
+  if (changes > 0 || conversation.changes > 0) {
     console.log(`🧹 Cleared chat history for user ${userId}`);
   }
 }
 
+/**
+ * The user's running conversation: the SDK session to resume (null to
+ * start a new one), how many exchanges it holds, and the summary of
+ * everything before it
+ */
+export function getConversation(userId) {
+  const row = db.prepare('SELECT * FROM conversations WHERE user_id = ?').get(userId);
+  return {
+    sessionId: row?.session_id || null,
+    sessionTurns: row?.session_turns || 0,
+    summary: row?.summary || null,
+    summarizedThrough: row?.summarized_through || 0,
+  };
+}
+
+/**
+ * Count one more exchange in `sessionId`, which becomes the session to
+ * resume (a new session starts counting from one)
+ */
+export function recordConversationTurn(userId, sessionId) {
+  db.prepare(`
+    INSERT INTO conversations (user_id, session_id, session_turns, updated_at)
+    VALUES (@userId, @sessionId, 1, @now)
+    ON CONFLICT(user_id) DO UPDATE SET
+      session_turns = CASE WHEN session_id = excluded.session_id THEN session_turns + 1 ELSE 1 END,
+      session_id = excluded.session_id,
+      updated_at = excluded.updated_at
+  `).run({ userId, sessionId, now: new Date().toISOString() });
+}
+
+/**
+ * Replace the running summary with one covering messages up to
+ * `throughId`, which are then deleted, and drop the session so the next
+ * message starts a new one. A null summary just drops the session.
+ */
+export const saveConversationSummary = db.transaction((userId, summary, throughId) => {
+  const now = new Date().toISOString();
+  if (summary === null) {
+    db.prepare('UPDATE conversations SET session_id = NULL, session_turns = 0, updated_at = ? WHERE user_id = ?')
+      .run(now, userId);
+    return;
+  }
+
+  db.prepare(`
+    INSERT INTO conversations (user_id, session_id, session_turns, summary, summarized_through, updated_at)
+    VALUES (@userId, NULL, 0, @summary, @throughId, @now)
+    ON CONFLICT(user_id) DO UPDATE SET
+      session_id = NULL,
+      session_turns = 0,
+      summary = excluded.summary,
+      summarized_through = excluded.summarized_through,
+      updated_at = excluded.updated_at
+  `).run({ userId, summary, throughId, now });
+  db.prepare('DELETE FROM chat_messages WHERE user_id = ? AND id <= ?').run(userId, throughId);
+});
+
+// ============================================
+// Agent Usage
+// One row per agent call (a chat reply, or a conversation summary) with
+// the tokens and cost the SDK reported, for quotas and /usage. Tokens
+// count everything the model processed: input, output and cache traffic.
+// ============================================
+
+export function recordAgentUsage(userId, usage) {
+  db.prepare(`
+    INSERT INTO agent_usage (user_id, kind, input_tokens, output_tokens, cache_read_tokens, cache_creation_tokens,
+      cost_usd, turns, duration_ms, created_at)
+    VALUES (@userId, @kind, @inputTokens, @outputTokens, @cacheReadTokens, @cacheCreationTokens,
+      @costUsd, @turns, @durationMs, @createdAt)
+  `).run({
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheCreationTokens: 0,
+    costUsd: 0,
+    turns: 0,
+    durationMs: 0,
+    ...usage,
+    userId,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+const USAGE_TOTALS = `
+  COUNT(CASE WHEN kind = 'chat' THEN 1 END) AS requests,
+  COALESCE(SUM(input_tokens + output_tokens + cache_read_tokens + cache_creation_tokens), 0) AS tokens,
+  COALESCE(SUM(cost_usd), 0) AS costUsd,
+  MIN(created_at) AS firstAt
+`;
+
+/**
+ * One user's totals since `since` (an ISO timestamp), or everyone's when
+ * `userId` is null: `{ requests, tokens, costUsd, firstAt }`. Requests
+ * count chat replies; tokens and cost include summaries.
+ */
+export function getAgentUsage(userId, since) {
+  return userId
+    ? db.prepare(`SELECT ${USAGE_TOTALS} FROM agent_usage WHERE user_id = ? AND created_at >= ?`).get(userId, since)
+    : db.prepare(`SELECT ${USAGE_TOTALS} FROM agent_usage WHERE created_at >= ?`).get(since);
+}
+
+/**
+ * Per-user totals since `since`, highest cost first
+ */
+export function getAgentUsageByUser(since, limit = 10) {
+  return db.prepare(`
+    SELECT user_id AS userId, ${USAGE_TOTALS} FROM agent_usage
+    WHERE created_at >= ?
+    GROUP BY user_id
+    ORDER BY costUsd DESC
+    LIMIT ?
+  `).all(since, limit);
+}
+
+// ============================================
+// One-time import of the old JSON store
+// ============================================
+
+const LEGACY_JSON_FILE = path.join(DATA_DIR, 'connections.json');
+
+/**
+ * Copy data/connections.json into the database, then rename it so the
+ * import never runs twice. Handles both the single-connection and the
+ * per-item layouts the JSON store used.
+ */
+export const importLegacyJson = db.transaction((data) => {
+  for (const [userId, connection] of Object.entries(data.connections || {})) {
+    const items = connection.items
+      || { [connection.itemId || 'legacy']: { ...connection, itemId: connection.itemId || 'legacy' } };
+    const caches = data.transactionCache?.[userId] || {};
+
+    for (const item of Object.values(items)) {
+      saveUserItem(userId, item);
+
+      // Older files kept a single transaction list per user
+      const cached = caches.transactions ? caches : caches[item.itemId];
+      // The JSON store kept the account ID in `account`
+      const transactions = (cached?.transactions || [])
+        .map(({ account, ...txn }) => ({ ...txn, accountId: txn.accountId ?? account ?? null }));
+      applyTransactionSync(userId, item.itemId, {
+        added: transactions,
+        modified: [],
+        removed: [],
+        accounts: item.accounts || [],
+        cursor: item.cursor || null,
+      });
+    }
+  }
+
+  for (const [userId, messages] of Object.entries(data.chatHistory || {})) {
+    ensureUser(userId);
+    const insert = db.prepare('INSERT INTO chat_messages (user_id, role, content, created_at) VALUES (?, ?, ?, ?)');
+    for (const message of messages) {
+      insert.run(userId, message.role, message.content, message.timestamp || new Date().toISOString());
+    }
+  }
+});
+
+if (fs.existsSync(LEGACY_JSON_FILE)) {
+  try {
+    importLegacyJson(JSON.parse(fs.readFileSync(LEGACY_JSON_FILE, 'utf8')));
+    fs.renameSync(LEGACY_JSON_FILE, `${LEGACY_JSON_FILE}.imported`);
+    console.log('🗄️ Imported data/connections.json into the database');
+  } catch (error) {
+    console.error('Error importing connections.json:', error);
+  }
+}
+
 // ============================================
 // Data Access Functions
 // ============================================
 
-export function getTransactions(userId = null, filters = {}) {
-  let transactions;
-  const cached = userId ? getCachedTransactions(userId) : null;
+function rowToTransaction(row) {
+  return {
+    id: row.id,
+    date: row.date,
+    amount: row.amount,
+    merchant: row.merchant,
+    category: row.category,
+    account: row.account,
+    pending: !!row.pending,
+    currency: row.currency,
+    country: row.country,
+    authorizedAt: row.authorized_at,
+    itemId: row.item_id,
+  };
+}
+
+// Nicknames people use for their banks and cards
+const ACCOUNT_ALIASES = {
+  amex: 'american express',
+  bofa: 'bank of america',
+  boa: 'bank of america',
+  cap1: 'capital one',
+  wf: 'wells fargo',
+};
+
+/**
+ * Whether an account answers to `search` ("Amex", "chase checking",
+ * "1009"): every word must appear in its name, official name, bank or
+ * type, or be its last four digits
+ */
+function accountMatches(account, search) {
+  const text = [account.name, account.officialName, account.institution, account.subtype, account.type]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+  return words.every(word => text.includes(ACCOUNT_ALIASES[word] || word) || word.replace(/\D/g, '') === account.mask);
+}
+
+function getAccountsById(userId) {
+  return new Map(getAccounts(userId).map(account => [account.id, account]));
+}
+
+/**
+ * Swap each transaction's stored account ID for the account's name, and
+ * attach its mask, type and bank. The ID stays available as `accountId`.
+ */
+function withAccountDetails(transactions, accounts) {
+  return transactions.map(t => {
+    const account = accounts.get(t.account);
+    return {
+      ...t,
+      accountId: t.account,
+      account: account?.name || t.account,
+      accountMask: account?.mask || null,
+      accountType: account ? account.subtype || account.type : null,
+      institution: account?.institution || null,
+    };
+  });
+}
+
+/**
+ * Query stored transactions; every filter maps onto an indexed column
+ * except the merchant substring match. The account filter is resolved to
+ * account IDs up front.
+ */
+function queryStoredTransactions(userId, filters, accounts = getAccountsById(userId)) {
+  const where = ['user_id = @userId'];
+  const params = { userId };
+
+  if (filters.category) {
+    const family = categoryFamily(userId, filters.category);
+    where.push(`category IN (${family.map((_, i) => `@category${i}`).join(', ')})`);
+    family.forEach((name, i) => { params[`category${i}`] = name; });
+  }
+  if (filters.merchant) {
+    where.push("merchant LIKE @merchant ESCAPE '\\'");
+    params.merchant = `%${escapeLike(filters.merchant)}%`;
+  }
+  if (filters.startDate) {
+    where.push('date >= @startDate');
+    params.startDate = filters.startDate;
+  }
+  if (filters.endDate) {
+    where.push('date <= @endDate');
+    params.endDate = filters.endDate;
+  }
+  if (filters.minAmount !== undefined) {
+    where.push('amount >= @minAmount');
+    params.minAmount = filters.minAmount;
+  }
+  if (filters.maxAmount !== undefined) {
+    where.push('amount <= @maxAmount');
+    params.maxAmount = filters.maxAmount;
+  }
+  if (filters.account) {
+    const ids = [...accounts.values()].filter(a => accountMatches(a, filters.account)).map(a => a.id);
+    where.push(`account IN (${ids.map((_, i) => `@account${i}`).join(', ')})`);
+    ids.forEach((id, i) => { params[`account${i}`] = id; });
+  }
+
+  let sql = `SELECT * FROM transactions WHERE ${where.join(' AND ')} ORDER BY date DESC, rowid DESC`;
+  if (filters.limit) {
+    sql += ' LIMIT @limit';
+    params.limit = filters.limit;
+  }
+
+  return db.prepare(sql).all(params).map(rowToTransaction);
+}
+
+/**
+ * Attach each transaction's parent category (null for top-level ones)
+ */
+function withParentCategories(userId, transactions) {
+  const parents = getCategoryParents(userId);
+  return transactions.map(t => ({ ...t, parentCategory: parents.get(t.category) || null }));
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, c => `\\${c}`);
+}
 
-  if (cached) {
-    transactions = [...cached.transactions];
-  } else {
-    transactions = [...MOCK_TRANSACTIONS];
+export function getTransactions(userId = null, filters = {}) {
+  const accounts = getAccountsById(userId);
+  if (userId && hasStoredData(userId)) {
+    return withAccountDetails(withParentCategories(userId, queryStoredTransactions(userId, filters, accounts)), accounts);
   }
 
+  // Demo data for users without a connection (their rules still apply)
+  const categorizer = userId ? createCategorizer(userId) : (txn) => txn.category;
+  let transactions = withParentCategories(userId, MOCK_TRANSACTIONS.map(t => ({ ...t, category: categorizer(t) })));
+  transactions = withAccountDetails(transactions, accounts);
+
   if (filters.category) {
-    transactions = transactions.filter(t => t.category === filters.category.toLowerCase());
+    const family = categoryFamily(userId, filters.category);
+    transactions = transactions.filter(t => family.includes(t.category));
   }
   if (filters.merchant) {
     const search = filters.merchant.toLowerCase();
@@ -186,8 +1180,7 @@ export function getTransactions(userId = null, filters = {}) {
     transactions = transactions.filter(t => t.amount <= filters.maxAmount);
   }
   if (filters.account) {
-    const search = filters.account.toLowerCase();
-    transactions = transactions.filter(t => t.account.toLowerCase().includes(search));
+    transactions = transactions.filter(t => accounts.has(t.accountId) && accountMatches(accounts.get(t.accountId), filters.account));
   }
 
   transactions.sort((a, b) => b.date.localeCompare(a.date));
@@ -199,32 +1192,258 @@ export function getTransactions(userId = null, filters = {}) {
   return transactions;
 }
 
-export function getAccounts(userId = null) {
-  const connection = userId ? getUserConnection(userId) : null;
+/**
+ * One page of the transactions matching `filters` (newest first), plus
+ * figures over every match rather than just the page: count, money in,
+ * money out, net, smallest and largest amount, and the date span
+ */
+export function searchTransactions(userId, filters = {}, { offset = 0, limit = 10 } = {}) {
+  const matches = getTransactions(userId, { ...filters, limit: undefined });
+  const round = value => Math.round(value * 100) / 100;
+
+  const stats = { count: matches.length, moneyIn: 0, moneyOut: 0, net: 0, min: null, max: null, firstDate: null, lastDate: null };
+  for (const t of matches) {
+    if (t.amount > 0) stats.moneyIn += t.amount;
+    else stats.moneyOut += t.amount;
+    stats.min = stats.min === null ? t.amount : Math.min(stats.min, t.amount);
+    stats.max = stats.max === null ? t.amount : Math.max(stats.max, t.amount);
+    if (!stats.firstDate || t.date < stats.firstDate) stats.firstDate = t.date;
+    if (!stats.lastDate || t.date > stats.lastDate) stats.lastDate = t.date;
+  }
+  stats.moneyIn = round(stats.moneyIn);
+  stats.moneyOut = round(stats.moneyOut);
+  stats.net = round(stats.moneyIn + stats.moneyOut);
+
+  return {
+    transactions: matches.slice(offset, offset + limit),
+    offset,
+    limit,
+    stats,
+  };
+}
+
+// ============================================
+// Anomaly Scoring
+// New transactions are scored against the user's own history. Feedback on
+// an alert tunes later ones: "Looks fine" stops the same reason firing
+// again for that merchant (unless an amount is well above the approved
+// one), and "Not me" makes every later charge from the merchant alert.
+// ============================================
+
+// A charge this many times the merchant's median (and at least
+// UNUSUAL_AMOUNT_MARGIN dollars over it) is unusual for that merchant
+const UNUSUAL_AMOUNT_RATIO = 2.5;
+const UNUSUAL_AMOUNT_MARGIN = 25;
+// History needed before a merchant's norm, a first-time merchant, or a
+// country/currency/hour pattern means anything
+const MIN_MERCHANT_HISTORY = 3;
+const MIN_HISTORY_FOR_NEW_MERCHANT = 20;
+const MIN_HISTORY_FOR_PATTERNS = 10;
+// Countries, currencies and night hours this rare in the history are unusual
+const RARE_SHARE = 0.05;
+// An approved amount also covers charges up to this much larger
+const APPROVED_AMOUNT_SLACK = 1.25;
+const NIGHT_HOURS = [0, 1, 2, 3, 4, 5];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function localHour(timestamp, timezone) {
+  const hour = new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: '2-digit', hourCycle: 'h23' })
+    .format(new Date(timestamp));
+  return Number(hour);
+}
+
+function rowToAnomalyAlert(row) {
+  return {
+    id: row.id,
+    transactionId: row.transaction_id,
+    merchant: row.merchant,
+    amount: row.amount,
+    reasons: row.reasons.split(','),
+    feedback: row.feedback,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Score transactions (normally the ones a sync just added) against the
+ * rest of the user's history. Returns the suspicious ones as
+ * `[{ transaction, reasons: [{ code, text }] }]`, with reason codes:
+ *   watched, large, unusual_amount, new_merchant, duplicate, foreign, unusual_hour
+ * Country, currency and time checks only run when the data carries them.
+ */
+export function scoreTransactions(userId, transactions, { largeThreshold, newMerchantThreshold, timezone = 'UTC' }) {
+  if (transactions.length === 0) return [];
+
+  const scoredIds = new Set(transactions.map(t => t.id));
+  const history = queryStoredTransactions(userId, {}).filter(t => !scoredIds.has(t.id));
+  const debits = history.filter(t => t.amount < 0);
+
+  const byMerchant = new Map();
+  for (const t of debits) {
+    const key = normalizeMerchant(t.merchant);
+    if (!byMerchant.has(key)) byMerchant.set(key, []);
+    byMerchant.get(key).push(t);
+  }
+
+  const shareOf = (field, value) => {
+    const known = history.filter(t => t[field]);
+    if (known.length < MIN_HISTORY_FOR_PATTERNS) return null;
+    return known.filter(t => t[field] === value).length / known.length;
+  };
+  const timed = history.filter(t => t.authorizedAt);
+  const nightShare = timed.length >= MIN_HISTORY_FOR_PATTERNS
+    ? timed.filter(t => NIGHT_HOURS.includes(localHour(t.authorizedAt, timezone))).length / timed.length
+    : null;
+
+  const feedback = db.prepare('SELECT * FROM anomaly_alerts WHERE user_id = ? AND feedback IS NOT NULL')
+    .all(userId)
+    .map(rowToAnomalyAlert);
+  const approvedCountries = new Set(
+    feedback
+      .filter(a => a.feedback === 'fine' && a.reasons.includes('foreign'))
+      .map(a => history.find(t => t.id === a.transactionId)?.country)
+      .filter(Boolean)
+  );
+
+  const isApproved = (key, code, spent) => feedback.some(a =>
+    a.feedback === 'fine' &&
+    normalizeMerchant(a.merchant) === key &&
+    a.reasons.includes(code) &&
+    (!['large', 'unusual_amount', 'new_merchant'].includes(code) || spent <= Math.abs(a.amount) * APPROVED_AMOUNT_SLACK)
+  );
+
+  const results = [];
+  for (const txn of transactions) {
+    const key = normalizeMerchant(txn.merchant);
+    const spent = Math.abs(txn.amount);
+    const previous = byMerchant.get(key) || [];
+    const reasons = [];
+
+    if (feedback.some(a => a.feedback === 'not_me' && normalizeMerchant(a.merchant) === key)) {
+      reasons.push({ code: 'watched', text: 'You reported a charge from this merchant as not yours' });
+    }
+
+    // Large amounts are worth knowing about in either direction; the
+    // rest only make sense for spending
+    if (spent >= largeThreshold) {
+      reasons.push({ code: 'large', text: `Large transaction (over $${largeThreshold})` });
+    }
+
+    const isSpending = txn.amount < 0 && !['income', 'transfer'].includes(txn.parentCategory || txn.category);
 
-  if (connection && connection.accounts) {
-    return connection.accounts;
+    if (isSpending && previous.length >= MIN_MERCHANT_HISTORY) {
+      const usual = median(previous.map(t => Math.abs(t.amount)));
+      if (spent >= usual * UNUSUAL_AMOUNT_RATIO && spent - usual >= UNUSUAL_AMOUNT_MARGIN) {
+        reasons.push({ code: 'unusual_amount', text: `${(spent / usual).toFixed(1)}x your usual $${usual.toFixed(2)} here` });
+      }
+    } else if (isSpending && previous.length === 0 && history.length >= MIN_HISTORY_FOR_NEW_MERCHANT && spent >= newMerchantThreshold) {
+      reasons.push({ code: 'new_merchant', text: 'First charge from this merchant' });
+    }
+
+    const duplicate = isSpending && [...history, ...transactions].some(t =>
+      t.id !== txn.id &&
+      t.date === txn.date &&
+      t.amount === txn.amount &&
+      t.pending === txn.pending &&
+      normalizeMerchant(t.merchant) === key
+    );
+    if (duplicate) {
+      reasons.push({ code: 'duplicate', text: `Same amount charged more than once on ${txn.date}` });
+    }
+
+    const countryShare = isSpending && txn.country ? shareOf('country', txn.country) : null;
+    const currencyShare = isSpending && txn.currency ? shareOf('currency', txn.currency) : null;
+    if (countryShare !== null && countryShare < RARE_SHARE && !approvedCountries.has(txn.country)) {
+      reasons.push({ code: 'foreign', text: `Charged in ${txn.country}, where you rarely spend` });
+    } else if (currencyShare !== null && currencyShare < RARE_SHARE) {
+      reasons.push({ code: 'foreign', text: `Charged in ${txn.currency}` });
+    }
+
+    if (isSpending && txn.authorizedAt && nightShare !== null && nightShare < RARE_SHARE) {
+      const hour = localHour(txn.authorizedAt, timezone);
+      if (NIGHT_HOURS.includes(hour)) {
+        reasons.push({ code: 'unusual_hour', text: `Made at ${String(hour).padStart(2, '0')}:00, when you rarely spend` });
+      }
+    }
+
+    const remaining = reasons.filter(r => r.code === 'watched' || !isApproved(key, r.code, spent));
+    if (remaining.length > 0) {
+      results.push({ transaction: txn, reasons: remaining });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Remember that a transaction was alerted on. Returns the alert id, or
+ * null if it was already alerted (e.g. seen again by an overlapping sync).
+ */
+export function recordAnomalyAlert(userId, txn, codes) {
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO anomaly_alerts (user_id, transaction_id, merchant, amount, reasons, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, txn.id, txn.merchant, txn.amount, codes.join(','), new Date().toISOString());
+  return result.changes > 0 ? Number(result.lastInsertRowid) : null;
+}
+
+/**
+ * Record "fine" or "not_me" on one of the user's alerts; returns the
+ * updated alert, or null if it isn't theirs
+ */
+export function setAnomalyFeedback(userId, alertId, feedback) {
+  const { changes } = db.prepare('UPDATE anomaly_alerts SET feedback = ? WHERE id = ? AND user_id = ?')
+    .run(feedback, alertId, userId);
+  if (changes === 0) return null;
+  return rowToAnomalyAlert(db.prepare('SELECT * FROM anomaly_alerts WHERE id = ?').get(alertId));
+}
+
+export function getAccounts(userId = null) {
+  if (userId && hasStoredData(userId)) {
+    return db.prepare('SELECT * FROM accounts WHERE user_id = ? ORDER BY rowid')
+      .all(userId)
+      .map(rowToAccount);
   }
 
   return [...MOCK_ACCOUNTS];
 }
 
+/**
+ * Spending per top-level category; each entry's total includes its
+ * subcategories, which are also broken out under `subcategories`
+ */
 export function getSpendingSummary(userId = null, startDate = null, endDate = null) {
   const allTransactions = getTransactions(userId);
-  let transactions = allTransactions.filter(t =>
-    t.amount < 0 && t.category !== 'income' && t.category !== 'transfer'
-  );
+  let transactions = allTransactions.filter(t => {
+    const topLevel = t.parentCategory || t.category;
+    return t.amount < 0 && topLevel !== 'income' && topLevel !== 'transfer';
+  });
 
   if (startDate) transactions = transactions.filter(t => t.date >= startDate);
   if (endDate) transactions = transactions.filter(t => t.date <= endDate);
 
   const summary = {};
   for (const t of transactions) {
-    if (!summary[t.category]) {
-      summary[t.category] = { total: 0, count: 0 };
+    const topLevel = t.parentCategory || t.category;
+    if (!summary[topLevel]) {
+      summary[topLevel] = { total: 0, count: 0, subcategories: {} };
+    }
+    summary[topLevel].total += Math.abs(t.amount);
+    summary[topLevel].count += 1;
+
+    if (t.parentCategory) {
+      const sub = summary[topLevel].subcategories;
+      if (!sub[t.category]) {
+        sub[t.category] = { total: 0, count: 0 };
+      }
+      sub[t.category].total += Math.abs(t.amount);
+      sub[t.category].count += 1;
     }
-    summary[t.category].total += Math.abs(t.amount);
-    summary[t.category].count += 1;
   }
 
   return summary;
@@ -245,8 +1464,15 @@ export function getTotalBalance(userId = null) {
   };
 }
 
+/**
+ * Money coming in between two dates. Transfers between the user's own
+ * accounts are not income, matching getCashFlow.
+ */
 export function getIncomeSummary(userId = null, startDate = null, endDate = null) {
-  let transactions = getTransactions(userId).filter(t => t.category === 'income' || t.amount > 0);
+  let transactions = getTransactions(userId).filter(t => {
+    const topLevel = t.parentCategory || t.category;
+    return topLevel !== 'transfer' && (topLevel === 'income' || t.amount > 0);
+  });
 
   if (startDate) transactions = transactions.filter(t => t.date >= startDate);
   if (endDate) transactions = transactions.filter(t => t.date <= endDate);
@@ -256,10 +1482,175 @@ export function getIncomeSummary(userId = null, startDate = null, endDate = null
 }
 
 export function getCategorySpending(userId = null, category) {
-  const transactions = getTransactions(userId).filter(t =>
-    t.category === category.toLowerCase() && t.amount < 0
-  );
+  // Asking for a parent category includes its subcategories
+  const transactions = getTransactions(userId, { category }).filter(t => t.amount < 0);
 
   const total = transactions.reduce((sum, t) => sum + Math.abs(t.amount), 0);
   return { total, count: transactions.length, transactions };
 }
+
+// ============================================
+// Period Comparison and Trends
+// ============================================
+
+function changeBetween(current, previous) {
+  return {
+    current,
+    previous,
+    change: current - previous,
+    // No percentage when there was nothing to compare against
+    percentChange: previous > 0 ? ((current - previous) / previous) * 100 : null,
+  };
+}
+
+/**
+ * Spending per category in `current` vs `previous` (each `{ start, end }`).
+ * Each row carries both totals, the dollar and percent change, and the same
+ * for its subcategories. Rows are ordered by the size of the change.
+ */
+export function compareSpending(userId, current, previous) {
+  const now = getSpendingSummary(userId, current.start, current.end);
+  const before = getSpendingSummary(userId, previous.start, previous.end);
+
+  const categories = [...new Set([...Object.keys(now), ...Object.keys(before)])].map(category => {
+    const nowSubs = now[category]?.subcategories || {};
+    const beforeSubs = before[category]?.subcategories || {};
+    const subcategories = [...new Set([...Object.keys(nowSubs), ...Object.keys(beforeSubs)])]
+      .map(sub => ({ category: sub, ...changeBetween(nowSubs[sub]?.total || 0, beforeSubs[sub]?.total || 0) }))
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+    return {
+      category,
+      ...changeBetween(now[category]?.total || 0, before[category]?.total || 0),
+      subcategories,
+    };
+  }).sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+  const sum = (summary) => Object.values(summary).reduce((total, entry) => total + entry.total, 0);
+  return { total: changeBetween(sum(now), sum(before)), categories };
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+}
+
+/**
+ * Flag buckets far from the rest of the series: more than two standard
+ * deviations, and at least half again, away from the average of the other
+ * buckets. Needs at least four buckets to say anything.
+ */
+function findOutliers(buckets, values) {
+  if (values.length < 4) {
+    return [];
+  }
+
+  return values.flatMap((value, i) => {
+    const others = values.filter((_, j) => j !== i);
+    const avg = mean(others);
+    const spread = Math.max(standardDeviation(others), avg * 0.25);
+    if (Math.abs(value - avg) <= 2 * spread) {
+      return [];
+    }
+    return [{ bucket: buckets[i], value, direction: value > avg ? 'high' : 'low', typical: avg }];
+  });
+}
+
+/**
+ * Spending per month or week between two dates, as one series per
+ * top-level category (or per subcategory when `category` is given) or per
+ * merchant. Empty buckets count as $0. Each series has its total, average
+ * per bucket and outlier buckets; series are ordered by total.
+ */
+export function getSpendingTrend(userId, { startDate, endDate, interval = 'month', groupBy = 'category', category = null }) {
+  const buckets = listBuckets(startDate, endDate, interval);
+  const index = new Map(buckets.map((key, i) => [key, i]));
+  const series = new Map();
+
+  const transactions = getTransactions(userId, { startDate, endDate, category: category || undefined });
+  for (const t of transactions) {
+    const topLevel = t.parentCategory || t.category;
+    if (t.amount >= 0 || topLevel === 'income' || topLevel === 'transfer') continue;
+
+    let name;
+    if (groupBy === 'merchant') {
+      name = t.merchant;
+    } else {
+      name = category ? t.category : topLevel;
+    }
+
+    // Merchants group case-insensitively under the first spelling seen
+    const key = name.toLowerCase();
+    if (!series.has(key)) {
+      series.set(key, { name, values: buckets.map(() => 0), count: 0 });
+    }
+    const entry = series.get(key);
+    entry.values[index.get(bucketKey(t.date, interval))] += Math.abs(t.amount);
+    entry.count += 1;
+  }
+
+  return {
+    buckets,
+    series: [...series.values()]
+      .map(entry => {
+        const total = entry.values.reduce((sum, v) => sum + v, 0);
+        return {
+          ...entry,
+          total,
+          average: total / buckets.length,
+          outliers: findOutliers(buckets, entry.values),
+        };
+      })
+      .sort((a, b) => b.total - a.total),
+  };
+}
+
+/**
+ * Income and spending per month or week between two dates. Transfers
+ * count as neither.
+ */
+export function getCashFlow(userId, { startDate, endDate, interval = 'month' }) {
+  const buckets = listBuckets(startDate, endDate, interval);
+  const index = new Map(buckets.map((key, i) => [key, i]));
+  const income = buckets.map(() => 0);
+  const spending = buckets.map(() => 0);
+
+  for (const t of getTransactions(userId, { startDate, endDate })) {
+    const topLevel = t.parentCategory || t.category;
+    if (topLevel === 'transfer') continue;
+
+    const i = index.get(bucketKey(t.date, interval));
+    if (t.amount > 0) {
+      income[i] += t.amount;
+    } else if (topLevel !== 'income') {
+      spending[i] += Math.abs(t.amount);
+    }
+  }
+
+  return { buckets, income, spending };
+}
+
+/**
+ * Net worth at the end of each month or week, worked backwards from the
+ * current balances by undoing later transactions. Only as accurate as the
+ * transaction history we hold; balances before the oldest transaction
+ * simply stay flat.
+ */
+export function getBalanceHistory(userId, { startDate, endDate, interval = 'month' }) {
+  const buckets = listBuckets(startDate, endDate, interval);
+  // Everything after the first bucket's end, up to today, gets undone
+  const transactions = getTransactions(userId, { startDate });
+  const { netWorth } = getTotalBalance(userId);
+
+  const values = buckets.map(key => {
+    const asOf = bucketEnd(key, interval);
+    const later = transactions.filter(t => t.date > asOf).reduce((sum, t) => sum + t.amount, 0);
+    return netWorth - later;
+  });
+
+  return { buckets, values };
+}
@@ -0,0 +1,138 @@
+/**
+ * Incremental transaction sync shared by the bot, agent tools and server
+ */
+
+import { syncTransactions, needsLoginRepair, getInstitution, getItemInstitutionId } from './plaid.js';
+import { getUserItems, getUserItem, applyTransactionSync, setItemStatus, setItemInstitution } from './storage.js';
+import { buildLinkUrl } from './linkTokens.js';
+import { sendBudgetAlerts } from './budgets.js';
+import { sendAnomalyAlerts } from './alerts.js';
+
+/**
+ * Display name for a linked item
+ */
+export function itemLabel(item) {
+    return item.institutionName || `Bank ${item.itemId.slice(-4)}`;
+}
+
+/**
+ * Find a user's Plaid items whose institution name contains `search`
+ * (all of them when no search is given). Imported statements have
+ * nothing to sync, so the manual item is never included.
+ */
+export function findUserItems(userId, search = null) {
+    const items = getUserItems(userId).filter(item => item.source === 'plaid');
+    if (!search) {
+        return items;
+    }
+    const needle = search.toLowerCase();
+    return items.filter(item => itemLabel(item).toLowerCase().includes(needle));
+}
+
+/**
+ * Look up an item's bank name and logo and store them on the item and its
+ * accounts. A failed lookup only costs the nicer name, so it is logged and
+ * null is returned.
+ */
+export async function refreshInstitution(item) {
+    try {
+        const institutionId = item.institutionId || await getItemInstitutionId(item.accessToken);
+        if (!institutionId) {
+            return null;
+        }
+        const institution = await getInstitution(institutionId);
+        setItemInstitution(item.itemId, institution);
+        return institution;
+    } catch (error) {
+        console.error(`⚠️ Institution lookup failed for item ${item.itemId}:`, error.response?.data || error.message);
+        return null;
+    }
+}
+
+/**
+ * Pull new, changed and removed transactions for one item since its last
+ * stored cursor, then push any budget and anomaly alerts the new
+ * transactions trigger.
+ * The first call (no cursor) backfills the history Plaid has available.
+ * Items linked without an institution name get it looked up first.
+ */
+export async function syncItem(userId, itemId) {
+    let item = getUserItem(userId, itemId);
+
+    if (!item) {
+        throw new Error(`Unknown item ${itemId}`);
+    }
+
+    if (!item.institutionName && await refreshInstitution(item)) {
+        item = getUserItem(userId, itemId);
+    }
+
+    const delta = await syncTransactions(item.accessToken, item.cursor || null);
+    const counts = applyTransactionSync(userId, itemId, delta);
+
+    await sendBudgetAlerts(userId);
+    await sendAnomalyAlerts(userId, counts.newTransactions, itemLabel(item));
+
+    return {
+        itemId,
+        institution: itemLabel(item),
+        ...counts,
+        accountCount: delta.accounts.length,
+        historyComplete: delta.historyComplete,
+    };
+}
+
+/**
+ * Sync each of the given items (default: all of the user's items).
+ * One failing institution does not stop the others; its result carries
+ * the error instead of counts. Items whose bank wants the user to log in
+ * again are flagged and get a Link update-mode URL to fix them.
+ */
+export async function syncUserTransactions(userId, items = findUserItems(userId)) {
+    const results = [];
+
+    for (const item of items) {
+        try {
+            results.push(await syncItem(userId, item.itemId));
+        } catch (error) {
+            console.error(`Sync error for item ${item.itemId}:`, error.response?.data || error.message);
+
+            if (needsLoginRepair(error)) {
+                setItemStatus(item.itemId, 'login_required');
+                results.push({
+                    itemId: item.itemId,
+                    institution: itemLabel(item),
+                    needsLogin: true,
+                    reconnectUrl: buildLinkUrl(userId, item.itemId),
+                });
+            } else {
+                results.push({ itemId: item.itemId, institution: itemLabel(item), error: error.message });
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Human-readable summary of sync results, one line per institution
+ */
+export function formatSyncResult(results) {
+    const lines = results.map(result => {
+        if (result.needsLogin) {
+            return `🔑 ${result.institution} needs you to log in again. Open this link to reconnect (valid 15 minutes):\n${result.reconnectUrl}`;
+        }
+        if (result.error) {
+            return `❌ ${result.institution}: sync failed (${result.error})`;
+        }
+        return `✅ ${result.institution} (${result.accountCount} account(s)): ` +
+            `${result.added} new, ${result.modified} updated, ${result.removed} removed ` +
+            `(${result.total} transactions stored)`;
+    });
+
+    if (results.some(result => !result.error && !result.needsLogin && !result.historyComplete)) {
+        lines.push('\n⏳ Plaid is still fetching up to 24 months of history. Sync again in a few minutes to pull the rest.');
+    }
+
+    return lines.join('\n');
+}
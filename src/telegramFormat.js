@@ -0,0 +1,358 @@
+/**
+ * Render the agent's Markdown (and the bot's own messages) as Telegram HTML
+ *
+ * Telegram's Markdown modes reject a whole message over one stray `_` or
+ * `*`, which merchant names are full of. Here everything is escaped as
+ * HTML first and only well-formed Markdown becomes tags: **bold**,
+ * *italic* and _italic_ at word boundaries, `code`, fenced code, ~~strike~~,
+ * [links](https://…), # headings and - lists. Pipe tables, and lists of
+ * "a | b | c" rows like our transaction lines, become aligned monospace
+ * tables.
+ *
+ * Replies longer than Telegram's 4096-character limit are split between
+ * paragraphs, then between lines (list items), never inside a tag. Lines
+ * too long on their own, code included, are cut at spaces first.
+ */
+
+export const MESSAGE_LIMIT = 4096;
+
+// Widest a table cell may get before it is cut with "…"; the last column
+// gets more room since nothing has to line up after it
+const MAX_CELL_WIDTH = 28;
+const MAX_LAST_CELL_WIDTH = 200;
+// A line whose escaped HTML is longer than this is cut at spaces before
+// rendering, which leaves room for tags under MESSAGE_LIMIT
+const MAX_LINE_LENGTH = 1000;
+
+const FENCE = /^\s*```/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+// "• 2026-01-02 | -$45.67 | Whole Foods (groceries)"
+const PIPE_LIST_ROW = /^\s*(?:[-*+•]|\d+[.)])?\s*[^|\n]+(\s\|\s[^|\n]+){2,}$/;
+const NUMERIC_CELL = /^[-+]?[$€£]?-?[\d,]+(\.\d+)?%?$/;
+
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Backslash-escape Markdown characters so text (e.g. a message Telegram
+ * echoes back) is shown exactly as it is
+ */
+export function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_~[\]()#|>-])/g, '\\$1');
+}
+
+/**
+ * The text a user would see for rendered HTML, for sending without
+ * formatting if Telegram still rejects it
+ */
+export function plainText(html) {
+    return html
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+function renderInline(text) {
+    // Code spans, links, bare URLs (link tokens are full of _ and -) and
+    // backslash escapes are set aside so nothing inside them is treated
+    // as formatting
+    const kept = [];
+    const keep = html => `\u0000${kept.push(html) - 1}\u0000`;
+
+    const out = text
+        .replace(/`([^`\n]+)`/g, (_, code) => keep(`<code>${escapeHtml(code)}</code>`))
+        .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, (_, label, url) => keep(`<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`))
+        .replace(/https?:\/\/\S+/g, url => keep(escapeHtml(url)))
+        .replace(/\\([\\`*_~[\]()#|>.!+-])/g, (_, char) => keep(escapeHtml(char)));
+
+    return escapeHtml(out)
+        .replace(/\*\*(?=\S)([^*\n]+?)\*\*/g, '<b>$1</b>')
+        .replace(/(^|[^\w])__(?=\S)([^_\n]+?)__(?!\w)/g, '$1<b>$2</b>')
+        .replace(/~~(?=\S)([^~\n]+?)~~/g, '<s>$1</s>')
+        .replace(/(^|[\s(])\*(?=\S)([^*\n]*?\S)\*(?=[\s.,;:!?)]|$)/g, '$1<i>$2</i>')
+        .replace(/(^|[\s(])_(?=\S)([^_\n]*?\S)_(?=[\s.,;:!?)]|$)/g, '$1<i>$2</i>')
+        .replace(/\u0000(\d+)\u0000/g, (_, i) => kept[Number(i)]);
+}
+
+function renderLine(line) {
+    const heading = line.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+        return `<b>${renderInline(heading[1].replace(/\*\*|__/g, ''))}</b>`;
+    }
+    const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+    if (bullet) {
+        return `${bullet[1]}• ${renderInline(bullet[2])}`;
+    }
+    return renderInline(line);
+}
+
+function plainCell(cell) {
+    return cell
+        .replace(/^\s*(?:[-*+•]|\d+[.)])\s+/, '')
+        .replace(/\*\*|__|~~|`/g, '')
+        .replace(/\\(.)/g, '$1')
+        .trim();
+}
+
+function truncate(text, width) {
+    const chars = [...text];
+    return chars.length > width ? `${chars.slice(0, width - 1).join('')}…` : text;
+}
+
+/**
+ * Lay rows of cells out as space-aligned columns; numeric columns are
+ * right-aligned. A header row is underlined.
+ */
+function renderTable(rows, { header }) {
+    const cells = rows.map(row => row.map((cell, c) => {
+        const text = plainCell(cell);
+        return truncate(text, c < row.length - 1 ? MAX_CELL_WIDTH : MAX_LAST_CELL_WIDTH);
+    }));
+    const columns = Math.max(...cells.map(row => row.length));
+    const widths = [];
+    const numeric = [];
+    for (let c = 0; c < columns; c++) {
+        const column = cells.map(row => row[c] || '');
+        const body = header ? column.slice(1) : column;
+        widths.push(Math.max(...column.map(cell => [...cell].length)));
+        numeric.push(body.length > 0 && body.every(cell => cell === '' || NUMERIC_CELL.test(cell)));
+    }
+
+    const lines = cells.map(row => widths
+        .map((width, c) => {
+            const cell = row[c] || '';
+            const pad = ' '.repeat(width - [...cell].length);
+            return numeric[c] ? pad + cell : cell + pad;
+        })
+        .join('  ')
+        .trimEnd());
+
+    if (header) {
+        lines.splice(1, 0, widths.map(width => '─'.repeat(width)).join('  '));
+    }
+    return lines;
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|');
+}
+
+/**
+ * Break Markdown into blocks: paragraphs of lines, code fences and tables.
+ * Each block renders on its own, so tags never span two blocks. Lines of
+ * `pre` blocks are plain text, escaped when the block is rendered.
+ */
+function parseBlocks(markdown) {
+    const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+
+    const endParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'text', lines: paragraph });
+            paragraph = [];
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (FENCE.test(line)) {
+            endParagraph();
+            const code = [];
+            for (i++; i < lines.length && !FENCE.test(lines[i]); i++) {
+                code.push(lines[i]);
+            }
+            blocks.push({ type: 'pre', lines: code });
+            continue;
+        }
+
+        if (TABLE_ROW.test(line) && TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+            endParagraph();
+            const rows = [splitTableRow(line)];
+            for (i += 2; i < lines.length && TABLE_ROW.test(lines[i]); i++) {
+                rows.push(splitTableRow(lines[i]));
+            }
+            i--;
+            blocks.push({ type: 'pre', lines: renderTable(rows, { header: true }) });
+            continue;
+        }
+
+        if (PIPE_LIST_ROW.test(line)) {
+            const cellCount = line.split(' | ').length;
+            let end = i;
+            while (end + 1 < lines.length && PIPE_LIST_ROW.test(lines[end + 1]) && lines[end + 1].split(' | ').length === cellCount) {
+                end++;
+            }
+            if (end > i) {
+                endParagraph();
+                const rows = lines.slice(i, end + 1).map(row => row.split(' | '));
+                blocks.push({ type: 'pre', lines: renderTable(rows, { header: false }) });
+                i = end;
+                continue;
+            }
+        }
+
+        if (line.trim() === '') {
+            endParagraph();
+        } else {
+            paragraph.push(line);
+        }
+    }
+    endParagraph();
+
+    return blocks;
+}
+
+/**
+ * Characters of `text` that fit in MAX_LINE_LENGTH once escaped, never
+ * splitting a surrogate pair
+ */
+function escapedFit(text) {
+    let size = 0;
+    let fit = 0;
+    for (const char of text) {
+        size += escapeHtml(char).length;
+        if (size > MAX_LINE_LENGTH) break;
+        fit += char.length;
+    }
+    return fit;
+}
+
+function cutLongLine(line) {
+    const pieces = [];
+    let rest = line;
+    while (escapeHtml(rest).length > MAX_LINE_LENGTH) {
+        const fit = escapedFit(rest);
+        const space = rest.lastIndexOf(' ', fit);
+        const at = space > 0 ? space : fit;
+        pieces.push(rest.slice(0, at));
+        rest = rest.slice(at).trimStart();
+    }
+    return rest || pieces.length === 0 ? [...pieces, rest] : pieces;
+}
+
+/**
+ * Rendered pieces of a block, each small enough for one message:
+ * the whole block if it fits, otherwise runs of its lines
+ */
+function blockPieces(block, limit) {
+    const wrap = block.type === 'pre' ? text => `<pre>${text}</pre>` : text => text;
+    const lines = block.lines.flatMap(cutLongLine).map(block.type === 'pre' ? escapeHtml : renderLine);
+
+    const pieces = [];
+    let current = [];
+    for (const line of lines) {
+        if (current.length > 0 && wrap([...current, line].join('\n')).length > limit) {
+            pieces.push(wrap(current.join('\n')));
+            current = [];
+        }
+        current.push(line);
+    }
+    if (current.length > 0) {
+        pieces.push(wrap(current.join('\n')));
+    }
+    return pieces;
+}
+
+/**
+ * Render Markdown as one Telegram HTML string, for edits and other places
+ * that can't split (callers keep those short)
+ */
+export function renderMarkdown(markdown) {
+    return parseBlocks(markdown)
+        .map(block => blockPieces(block, Infinity)[0])
+        .join('\n\n');
+}
+
+/**
+ * Render Markdown as Telegram HTML messages of at most `limit` characters,
+ * split between paragraphs where possible and between lines otherwise
+ */
+export function renderMessages(markdown, limit = MESSAGE_LIMIT) {
+    const messages = [];
+    let current = '';
+
+    for (const block of parseBlocks(markdown)) {
+        const pieces = blockPieces(block, limit);
+        pieces.forEach((piece, i) => {
+            const separator = i === 0 ? '\n\n' : '\n';
+            if (current && (current + separator + piece).length > limit) {
+                messages.push(current);
+                current = '';
+            }
+            current = current ? current + separator + piece : piece;
+        });
+    }
+    if (current) {
+        messages.push(current);
+    }
+
+    return messages.length > 0 ? messages : [escapeHtml(String(markdown).trim() || '…')];
+}
+
+function isParseError(error) {
+    return /can't parse entities/i.test(error.response?.body?.description || error.message || '');
+}
+
+/**
+ * Send already-rendered messages in order; `reply_markup` goes on the last
+ * one. A message Telegram still can't parse is sent as plain text.
+ * Returns the last message sent.
+ */
+export async function sendRendered(bot, chatId, messages, { reply_markup: replyMarkup, ...options } = {}) {
+    let sent;
+    for (const [i, html] of messages.entries()) {
+        const messageOptions = i === messages.length - 1 && replyMarkup
+            ? { ...options, reply_markup: replyMarkup }
+            : options;
+        try {
+            sent = await bot.sendMessage(chatId, html, { ...messageOptions, parse_mode: 'HTML' });
+        } catch (error) {
+            if (!isParseError(error)) throw error;
+            sent = await bot.sendMessage(chatId, plainText(html), messageOptions);
+        }
+    }
+    return sent;
+}
+
+/**
+ * Render Markdown and send it, split over as many messages as it needs
+ */
+export function sendFormatted(bot, chatId, markdown, options = {}) {
+    return sendRendered(bot, chatId, renderMessages(markdown), options);
+}
+
+/**
+ * Replace a message's text with rendered HTML (plain text if Telegram
+ * can't parse it). An unchanged message is not an error.
+ */
+export async function editRendered(bot, chatId, messageId, html, { reply_markup: replyMarkup } = {}) {
+    const target = { chat_id: chatId, message_id: messageId, ...(replyMarkup ? { reply_markup: replyMarkup } : {}) };
+    try {
+        return await bot.editMessageText(html, { ...target, parse_mode: 'HTML' });
+    } catch (error) {
+        if (isNotModified(error)) return null;
+        if (!isParseError(error)) throw error;
+        return bot.editMessageText(plainText(html), target);
+    }
+}
+
+/**
+ * Replace a message's text with rendered Markdown
+ */
+export function editFormatted(bot, chatId, messageId, markdown, options = {}) {
+    return editRendered(bot, chatId, messageId, renderMarkdown(markdown), options);
+}
+
+export function isNotModified(error) {
+    return /message is not modified/i.test(error.response?.body?.description || error.message || '');
+}
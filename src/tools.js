@@ -5,13 +5,51 @@
 import { createSdkMcpServer, tool } from '@anthropic-ai/claude-agent-sdk';
 import { z } from 'zod';
 import * as storage from './storage.js';
-import { getTransactions as getPlaidTransactions, getAccounts as getPlaidAccounts } from './plaid.js';
+import { syncUserTransactions, formatSyncResult, findUserItems } from './sync.js';
+import { getBudgetStatus, formatBudgetLine, monthsSpanned, currentMonth } from './budgets.js';
+import { detectRecurring, formatRecurring } from './recurring.js';
+import { describeRule } from './rules.js';
+import { formatCategoryTree } from './categories.js';
+import { resolvePeriod, describePeriod, bucketLabel, PeriodError, PERIOD_HELP } from './periods.js';
+import { buildChart, CHART_TYPES } from './charts.js';
+import { buildExport, describeFilters, EXPORT_FORMATS } from './exports.js';
+import { formatSearchPage, accountLabel } from './search.js';
+
+/**
+ * "$420.00 vs $380.00 (+$40.00, +10.5%)"
+ */
+function formatChange(row) {
+    const sign = row.change >= 0 ? '+' : '-';
+    const percent = row.percentChange === null
+        ? 'new'
+        : `${row.percentChange >= 0 ? '+' : ''}${row.percentChange.toFixed(1)}%`;
+    return `$${row.current.toFixed(2)} vs $${row.previous.toFixed(2)} (${sign}$${Math.abs(row.change).toFixed(2)}, ${percent})`;
+}
+
+/**
+ * Tell the agent how to get the next page, when there is one
+ */
+function nextPageHint({ offset, limit, stats }) {
+    const next = offset + limit;
+    return next < stats.count ? `\n\nMore matches: call again with offset ${next}. The user also gets a "Next page" button.` : '';
+}
 
 /**
  * Create the finance MCP server with query tools
  * @param {string} userId - Telegram user ID for user-specific data
+ * @param {object} [options]
+ * @param {function} [options.onChart] - Receives each chart render_chart draws
+ *   ({ png, caption }) so the caller can send it as a photo
+ * @param {function} [options.onDocument] - Receives each file export_transactions
+ *   builds ({ buffer, filename, contentType, caption }) so the caller can send it
+ * @param {function} [options.onSearch] - Receives each page of transactions a
+ *   search shows ({ filters, transactions, offset, limit, stats }) so the
+ *   caller can offer browse buttons
  */
-export function createFinanceServer(userId) {
+export function createFinanceServer(userId, { onChart = () => {}, onDocument = () => {}, onSearch = () => {} } = {}) {
+    // Category parameters accept this user's own taxonomy
+    const categoryNames = storage.getCategoryNames(userId);
+
     return createSdkMcpServer({
         name: 'finance-tools',
         version: '1.0.0',
@@ -25,7 +63,7 @@ export function createFinanceServer(userId) {
                     const accounts = storage.getAccounts(userId);
 
                     const accountList = accounts.map(a =>
-                        `• ${a.name} (${a.institution || a.type}): $${(a.balance || 0).toFixed(2)}`
+                        `• ${accountLabel(a.name, a.mask)} (${a.institution || a.type}): $${(a.balance || 0).toFixed(2)}`
                     ).join('\n');
 
                     return {
@@ -43,13 +81,24 @@ export function createFinanceServer(userId) {
 
             tool(
                 'get_spending_summary',
-                'Get a breakdown of spending by category. Can be filtered by date range.',
+                'Get a breakdown of spending by category, with subcategories listed under their parent (parent totals include them), compared against the user\'s monthly budgets where set. Can be filtered by date range.',
                 {
                     start_date: z.string().optional().describe('Start date in YYYY-MM-DD format'),
                     end_date: z.string().optional().describe('End date in YYYY-MM-DD format')
                 },
                 async (args) => {
                     const summary = storage.getSpendingSummary(userId, args.start_date, args.end_date);
+                    const budgets = storage.getBudgets(userId);
+                    const parents = storage.getCategoryParents(userId);
+
+                    // Budgeted categories show up even with nothing spent yet
+                    for (const category of Object.keys(budgets)) {
+                        const parent = parents.get(category);
+                        const entry = summary[parent || category] = summary[parent || category] || { total: 0, count: 0, subcategories: {} };
+                        if (parent) {
+                            entry.subcategories[category] = entry.subcategories[category] || { total: 0, count: 0 };
+                        }
+                    }
 
                     if (Object.keys(summary).length === 0) {
                         return {
@@ -65,9 +114,29 @@ export function createFinanceServer(userId) {
 
                     const totalSpent = entries.reduce((sum, [_, data]) => sum + data.total, 0);
 
-                    const formatted = entries.map(([cat, data]) =>
-                        `• ${cat}: $${data.total.toFixed(2)} (${data.count} transactions)`
-                    ).join('\n');
+                    // Monthly budgets scale with the number of months the range covers
+                    const oldest = storage.getTransactions(userId).at(-1)?.date || new Date().toISOString();
+                    const months = monthsSpanned(
+                        args.start_date || oldest,
+                        args.end_date || new Date().toISOString()
+                    );
+
+                    const formatLine = (cat, data) => {
+                        let line = `${cat}: $${data.total.toFixed(2)} (${data.count} transactions)`;
+                        if (budgets[cat]) {
+                            const budget = budgets[cat] * months;
+                            const percent = Math.round((data.total / budget) * 100);
+                            line += ` - budget $${budget.toFixed(2)}${months > 1 ? ` over ${months} months` : ''}, ${percent}% used`;
+                        }
+                        return line;
+                    };
+
+                    const formatted = entries.map(([cat, data]) => {
+                        const subcategories = Object.entries(data.subcategories)
+                            .sort((a, b) => b[1].total - a[1].total)
+                            .map(([sub, subData]) => `    ◦ ${formatLine(sub, subData)}`);
+                        return [`• ${formatLine(cat, data)}`, ...subcategories].join('\n');
+                    }).join('\n');
 
                     return {
                         content: [{
@@ -112,45 +181,84 @@ export function createFinanceServer(userId) {
 
             tool(
                 'search_transactions',
-                'Search transactions by various filters like category, merchant, date range, or amount.',
+                'Search transactions by various filters like category, merchant, account, date range, or amount. Returns one page of matches plus the total count, money in/out, net, smallest/largest amount and date span over ALL matches, so use those totals for "how much" questions instead of adding up a page.',
                 {
-                    category: z.enum(storage.CATEGORIES).optional().describe('Filter by category'),
+                    category: z.enum(categoryNames).optional().describe('Filter by category'),
                     merchant: z.string().optional().describe('Search by merchant name (partial match)'),
                     start_date: z.string().optional().describe('Start date in YYYY-MM-DD format'),
                     end_date: z.string().optional().describe('End date in YYYY-MM-DD format'),
                     min_amount: z.number().optional().describe('Minimum transaction amount'),
                     max_amount: z.number().optional().describe('Maximum transaction amount'),
-                    limit: z.number().optional().default(10).describe('Max number of results (default 10)')
+                    account: z.string().optional().describe('Filter by account, card or bank (e.g. "Amex", "Chase checking", or the last four digits)'),
+                    limit: z.number().optional().default(10).describe('Page size (default 10)'),
+                    offset: z.number().optional().default(0).describe('Number of matches to skip, for the next page (default 0)')
                 },
                 async (args) => {
-                    const transactions = storage.getTransactions(userId, {
+                    const filters = {
                         category: args.category,
                         merchant: args.merchant,
                         startDate: args.start_date,
                         endDate: args.end_date,
                         minAmount: args.min_amount,
                         maxAmount: args.max_amount,
+                        account: args.account
+                    };
+                    const page = storage.searchTransactions(userId, filters, {
+                        offset: args.offset || 0,
                         limit: args.limit || 10
                     });
 
-                    if (transactions.length === 0) {
+                    onSearch({ filters, ...page });
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: formatSearchPage(page, { withIds: true }) + nextPageHint(page)
+                        }]
+                    };
+                }
+            ),
+
+            tool(
+                'export_transactions',
+                'Export transactions as a file sent to the user: csv (any spreadsheet or accounting tool), xlsx (Excel sheet with a category summary) or pdf (formatted monthly statement). Takes the same filters as search_transactions.',
+                {
+                    format: z.enum(EXPORT_FORMATS).describe('File format'),
+                    category: z.enum(categoryNames).optional().describe('Filter by category'),
+                    merchant: z.string().optional().describe('Search by merchant name (partial match)'),
+                    start_date: z.string().optional().describe('Start date in YYYY-MM-DD format'),
+                    end_date: z.string().optional().describe('End date in YYYY-MM-DD format'),
+                    min_amount: z.number().optional().describe('Minimum transaction amount'),
+                    max_amount: z.number().optional().describe('Maximum transaction amount'),
+                    account: z.string().optional().describe('Filter by account, card or bank (e.g. "Amex", "Chase checking", or the last four digits)')
+                },
+                async (args) => {
+                    const filters = {
+                        category: args.category,
+                        merchant: args.merchant,
+                        startDate: args.start_date,
+                        endDate: args.end_date,
+                        minAmount: args.min_amount,
+                        maxAmount: args.max_amount,
+                        account: args.account
+                    };
+                    const file = await buildExport(userId, args.format, filters);
+
+                    if (!file) {
                         return {
                             content: [{
                                 type: 'text',
-                                text: 'No transactions found matching your criteria.'
+                                text: 'No transactions found matching your criteria, so there is nothing to export.'
                             }]
                         };
                     }
 
-                    const formatted = transactions.map(t => {
-                        const sign = t.amount >= 0 ? '+' : '';
-                        return `• ${t.date} | ${sign}$${t.amount.toFixed(2)} | ${t.merchant} (${t.category})`;
-                    }).join('\n');
+                    onDocument(file);
 
                     return {
                         content: [{
                             type: 'text',
-                            text: `Found ${transactions.length} transactions:\n${formatted}`
+                            text: `${file.filename} (${file.count} transactions, ${describeFilters(filters)}) will be sent to the user as a file.`
                         }]
                     };
                 }
@@ -158,9 +266,9 @@ export function createFinanceServer(userId) {
 
             tool(
                 'get_category_spending',
-                'Get detailed spending for a specific category.',
+                'Get detailed spending for a specific category. A parent category includes its subcategories.',
                 {
-                    category: z.enum(storage.CATEGORIES).describe('The category to analyze')
+                    category: z.enum(categoryNames).describe('The category to analyze')
                 },
                 async (args) => {
                     const data = storage.getCategorySpending(userId, args.category);
@@ -174,9 +282,10 @@ export function createFinanceServer(userId) {
                         };
                     }
 
-                    const formatted = data.transactions.map(t =>
-                        `• ${t.date}: $${Math.abs(t.amount).toFixed(2)} - ${t.merchant}`
-                    ).join('\n');
+                    const formatted = data.transactions.map(t => {
+                        const sub = t.category !== args.category ? ` (${t.category})` : '';
+                        return `• ${t.date}: $${Math.abs(t.amount).toFixed(2)} - ${t.merchant}${sub}`;
+                    }).join('\n');
 
                     return {
                         content: [{
@@ -188,23 +297,429 @@ export function createFinanceServer(userId) {
             ),
 
             tool(
-                'get_recent_transactions',
-                'Get the most recent transactions across all accounts.',
+                'compare_spending',
+                `Compare spending per category between two periods, with dollar and percent changes. Use for questions like "am I spending more on food than last month?". Periods: ${PERIOD_HELP}. Pass relative periods as-is; the server resolves them against today's date.`,
                 {
-                    limit: z.number().optional().default(10).describe('Number of transactions to show (default 10)')
+                    period: z.string().optional().default('this_month').describe('The period to look at (default this_month)'),
+                    compare_to: z.string().optional().describe('The period to compare against (default: the one just before, e.g. this_month is compared with the same days of last month)'),
+                    category: z.enum(categoryNames).optional().describe('Only show this category (or subcategory)')
                 },
                 async (args) => {
-                    const transactions = storage.getTransactions(userId, { limit: args.limit || 10 });
+                    let current;
+                    let previous;
+                    try {
+                        current = resolvePeriod(args.period);
+                        previous = args.compare_to ? resolvePeriod(args.compare_to) : current.previous;
+                    } catch (error) {
+                        if (error instanceof PeriodError) {
+                            return { content: [{ type: 'text', text: error.message }] };
+                        }
+                        throw error;
+                    }
+
+                    const comparison = storage.compareSpending(userId, current, previous);
+                    let rows = comparison.categories;
+
+                    if (args.category) {
+                        const parent = storage.getCategoryParents(userId).get(args.category);
+                        rows = parent
+                            ? rows.filter(r => r.category === parent)
+                                .flatMap(r => r.subcategories.filter(sub => sub.category === args.category))
+                                .map(sub => ({ ...sub, subcategories: [] }))
+                            : rows.filter(r => r.category === args.category);
+                    }
+
+                    const header = `Spending ${describePeriod(current)} vs ${describePeriod(previous)}`;
+
+                    if (rows.length === 0) {
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: `${header}:\nNo spending found in either period.`
+                            }]
+                        };
+                    }
+
+                    const formatted = rows.map(row => [
+                        `• ${row.category}: ${formatChange(row)}`,
+                        ...row.subcategories.map(sub => `    ◦ ${sub.category}: ${formatChange(sub)}`)
+                    ].join('\n')).join('\n');
+
+                    const total = args.category ? '' : `\n\nTotal: ${formatChange(comparison.total)}`;
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `${header}:\n${formatted}${total}`
+                        }]
+                    };
+                }
+            ),
+
+            tool(
+                'spending_trend',
+                `Month-by-month (or week-by-week) spending per category or per merchant, with the average per month/week and unusually high or low ones flagged. Periods: ${PERIOD_HELP}.`,
+                {
+                    period: z.string().optional().default('last_6_months').describe('Date range to chart (default last_6_months)'),
+                    interval: z.enum(['month', 'week']).optional().default('month').describe('Bucket size'),
+                    group_by: z.enum(['category', 'merchant']).optional().default('category').describe('One series per category or per merchant'),
+                    category: z.enum(categoryNames).optional().describe('Only include this category; with group_by category its subcategories get their own series'),
+                    limit: z.number().optional().default(8).describe('Max number of series, largest first (default 8)')
+                },
+                async (args) => {
+                    let period;
+                    try {
+                        period = resolvePeriod(args.period);
+                    } catch (error) {
+                        if (error instanceof PeriodError) {
+                            return { content: [{ type: 'text', text: error.message }] };
+                        }
+                        throw error;
+                    }
 
-                    const formatted = transactions.map(t => {
-                        const sign = t.amount >= 0 ? '+' : '';
-                        return `• ${t.date} | ${sign}$${t.amount.toFixed(2)} | ${t.merchant}`;
+                    const interval = args.interval || 'month';
+                    const trend = storage.getSpendingTrend(userId, {
+                        startDate: period.start,
+                        endDate: period.end,
+                        interval,
+                        groupBy: args.group_by || 'category',
+                        category: args.category
+                    });
+
+                    if (trend.series.length === 0) {
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: `No spending found from ${period.start} to ${period.end}.`
+                            }]
+                        };
+                    }
+
+                    const shown = trend.series.slice(0, args.limit || 8);
+                    const formatted = shown.map(series => {
+                        const values = series.values
+                            .map((value, i) => `${bucketLabel(trend.buckets[i], interval)} $${value.toFixed(2)}`)
+                            .join(' · ');
+                        const outliers = series.outliers.map(o =>
+                            `\n  ⚠️ ${bucketLabel(o.bucket, interval)}: $${o.value.toFixed(2)} is unusually ${o.direction} (typically ~$${o.typical.toFixed(2)})`
+                        ).join('');
+                        return `• ${series.name}: avg $${series.average.toFixed(2)}/${interval}, total $${series.total.toFixed(2)}\n  ${values}${outliers}`;
                     }).join('\n');
 
+                    const more = trend.series.length > shown.length
+                        ? `\n\n(${trend.series.length - shown.length} smaller series not shown)`
+                        : '';
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Spending by ${interval}, ${period.start} to ${period.end}:\n${formatted}${more}`
+                        }]
+                    };
+                }
+            ),
+
+            tool(
+                'get_recent_transactions',
+                'Get the most recent transactions across all accounts, a page at a time, with totals over the whole history.',
+                {
+                    limit: z.number().optional().default(10).describe('Number of transactions to show (default 10)'),
+                    offset: z.number().optional().default(0).describe('Number of transactions to skip, for the next page (default 0)')
+                },
+                async (args) => {
+                    const page = storage.searchTransactions(userId, {}, {
+                        offset: args.offset || 0,
+                        limit: args.limit || 10
+                    });
+
+                    onSearch({ filters: {}, ...page });
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: formatSearchPage(page, { heading: 'Recent transactions' }) + nextPageHint(page)
+                        }]
+                    };
+                }
+            ),
+
+            tool(
+                'set_budget',
+                'Set or change the monthly budget for a spending category. An amount of 0 removes the budget.',
+                {
+                    category: z.enum(categoryNames).describe('The category to budget'),
+                    amount: z.number().min(0).describe('Monthly budget in dollars (0 removes it)')
+                },
+                async (args) => {
+                    storage.setBudget(userId, args.category, args.amount);
+
                     return {
                         content: [{
                             type: 'text',
-                            text: `Recent Transactions:\n${formatted}`
+                            text: args.amount > 0
+                                ? `Monthly ${args.category} budget set to $${args.amount.toFixed(2)}.`
+                                : `Removed the ${args.category} budget.`
+                        }]
+                    };
+                }
+            ),
+
+            tool(
+                'get_budget_status',
+                'Show spending against each monthly budget: amount spent, remaining, and percent used.',
+                {
+                    month: z.string().optional().describe('Month in YYYY-MM format (default: current month)')
+                },
+                async (args) => {
+                    const month = args.month || currentMonth();
+                    const statuses = getBudgetStatus(userId, month);
+
+                    if (statuses.length === 0) {
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: 'No budgets set. The user can set one, e.g. "$400 a month for groceries".'
+                            }]
+                        };
+                    }
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Budgets for ${month}:\n${statuses.map(formatBudgetLine).join('\n')}`
+                        }]
+                    };
+                }
+            ),
+
+            tool(
+                'get_subscriptions',
+                'Detect recurring charges and subscriptions (weekly, biweekly, monthly, annual) with expected amounts and next dates. Flags price increases, new subscriptions and expected charges that never arrived.',
+                {
+                    include_income: z.boolean().optional().default(false).describe('Also list recurring deposits such as paychecks')
+                },
+                async (args) => {
+                    const recurring = detectRecurring(userId, { includeIncome: args.include_income });
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Recurring Transactions:\n${formatRecurring(recurring)}`
+                        }]
+                    };
+                }
+            ),
+
+            tool(
+                'add_category_rule',
+                'Create a rule that recategorizes matching transactions, now and on every future sync. Use when the user says things like "Venmo from Alex is rent" or "Costco should be groceries". At least one condition is required.',
+                {
+                    category: z.enum(categoryNames).describe('Category to assign (rent goes under housing)'),
+                    merchant: z.string().optional().describe('Match merchants whose name contains this text (case-insensitive)'),
+                    min_amount: z.number().optional().describe('Match transactions of at least this many dollars (absolute value)'),
+                    max_amount: z.number().optional().describe('Match transactions of at most this many dollars (absolute value)'),
+                    account: z.string().optional().describe('Match transactions on this account, card or bank (e.g. "Amex", or the last four digits)')
+                },
+                async (args) => {
+                    if (!args.merchant && !args.account && args.min_amount === undefined && args.max_amount === undefined) {
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: 'A rule needs at least one condition: merchant, amount range or account.'
+                            }]
+                        };
+                    }
+
+                    const rule = {
+                        category: args.category,
+                        merchant: args.merchant,
+                        minAmount: args.min_amount,
+                        maxAmount: args.max_amount,
+                        account: args.account
+                    };
+                    const { id, updated } = storage.addCategoryRule(userId, rule);
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Added rule ${describeRule({ ...rule, id })}. Recategorized ${updated} existing transaction(s).`
+                        }]
+                    };
+                }
+            ),
+
+            tool(
+                'list_category_rules',
+                'List the user\'s categorization rules with their IDs.',
+                {},
+                async () => {
+                    const rules = storage.getCategoryRules(userId);
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: rules.length > 0
+                                ? `Categorization Rules (newest match wins):\n${rules.map(r => `• ${describeRule(r)}`).join('\n')}`
+                                : 'No categorization rules yet.'
+                        }]
+                    };
+                }
+            ),
+
+            tool(
+                'delete_category_rule',
+                'Delete a categorization rule by ID. Transactions it changed go back to their original category.',
+                {
+                    rule_id: z.number().describe('Rule ID from list_category_rules')
+                },
+                async (args) => {
+                    const result = storage.deleteCategoryRule(userId, args.rule_id);
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: result
+                                ? `Deleted rule #${args.rule_id}. Recategorized ${result.updated} transaction(s).`
+                                : `No rule #${args.rule_id} found.`
+                        }]
+                    };
+                }
+            ),
+
+            tool(
+                'recategorize_transaction',
+                'Change the category of a single transaction. The fix sticks across future syncs. Find the transaction ID with search_transactions first.',
+                {
+                    transaction_id: z.string().describe('Transaction ID as shown by search_transactions'),
+                    category: z.enum(categoryNames).describe('The new category')
+                },
+                async (args) => {
+                    const txn = storage.setTransactionCategory(userId, args.transaction_id, args.category);
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: txn
+                                ? `Moved ${txn.date} ${txn.merchant} ($${Math.abs(txn.amount).toFixed(2)}) to ${args.category}.`
+                                : `No synced transaction with ID ${args.transaction_id}. (Demo data can't be recategorized one by one, but rules still apply.)`
+                        }]
+                    };
+                }
+            ),
+
+            tool(
+                'list_categories',
+                'List the user\'s categories: built-in ones, subcategories from their bank data, and custom ones they added (marked *).',
+                {},
+                async () => {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Categories (parent: subcategories):\n${formatCategoryTree(storage.getCategoryTree(userId))}`
+                        }]
+                    };
+                }
+            ),
+
+            tool(
+                'add_category',
+                'Create a custom category, either top-level or as a subcategory of a top-level category (e.g. "coffee" under "food"). Follow up with add_category_rule to send transactions to it.',
+                {
+                    name: z.string().describe('Name of the new category, e.g. "coffee" or "kids"'),
+                    parent: z.string().optional().describe('Top-level category to put it under')
+                },
+                async (args) => {
+                    try {
+                        const category = storage.addCategory(userId, args.name, args.parent);
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: `Added category ${category.parent ? `${category.parent} > ` : ''}${category.name}.`
+                            }]
+                        };
+                    } catch (error) {
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: error.message
+                            }]
+                        };
+                    }
+                }
+            ),
+
+            tool(
+                'delete_category',
+                'Delete a custom category the user added. Its rules and manual fixes move to its parent (or "other") and its budget is removed. Built-in and bank categories can\'t be deleted.',
+                {
+                    name: z.string().describe('The custom category to delete')
+                },
+                async (args) => {
+                    try {
+                        const result = storage.deleteCategory(userId, args.name);
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: result
+                                    ? `Deleted ${result.name}; its rules and fixes now use ${result.fallback}. Recategorized ${result.updated} transaction(s).`
+                                    : `"${args.name}" is not a custom category, so it can't be deleted.`
+                            }]
+                        };
+                    } catch (error) {
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: error.message
+                            }]
+                        };
+                    }
+                }
+            ),
+
+            tool(
+                'render_chart',
+                `Draw a chart and send it to the user as an image alongside your reply. Types: spending_by_category (pie or bar), spending_trend (line per category or merchant), balance (net worth line), income_vs_spending (monthly spending stacked by category with income overlaid). Periods: ${PERIOD_HELP}.`,
+                {
+                    chart: z.enum(CHART_TYPES).describe('Which chart to draw'),
+                    style: z.enum(['pie', 'bar']).optional().default('pie').describe('For spending_by_category: pie or bar'),
+                    period: z.string().optional().describe('Date range (default this_month for spending_by_category, last_6_months otherwise)'),
+                    interval: z.enum(['month', 'week']).optional().default('month').describe('Bucket size for trend, balance and income charts'),
+                    category: z.enum(categoryNames).optional().describe('Break one category into its subcategories (spending_by_category; a subcategory is shown among its siblings) or chart only it (spending_trend)'),
+                    group_by: z.enum(['category', 'merchant']).optional().default('category').describe('For spending_trend: one line per category or per merchant')
+                },
+                async (args) => {
+                    let chart;
+                    try {
+                        chart = buildChart(userId, {
+                            chart: args.chart,
+                            style: args.style,
+                            period: args.period,
+                            interval: args.interval,
+                            category: args.category,
+                            groupBy: args.group_by
+                        });
+                    } catch (error) {
+                        if (error instanceof PeriodError) {
+                            return { content: [{ type: 'text', text: error.message }] };
+                        }
+                        throw error;
+                    }
+
+                    if (!chart) {
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: 'Nothing to chart for that period.'
+                            }]
+                        };
+                    }
+
+                    onChart({ png: chart.png, caption: chart.caption });
+
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Chart "${chart.caption}" will be sent to the user as an image. Data: ${chart.summary}`
                         }]
                     };
                 }
@@ -218,7 +733,7 @@ export function createFinanceServer(userId) {
                     const accounts = storage.getAccounts(userId);
 
                     const formatted = accounts.map(a =>
-                        `• ${a.name}\n  Type: ${a.type}\n  Balance: $${(a.balance || 0).toFixed(2)}`
+                        `• ${accountLabel(a.name, a.mask)}\n  Bank: ${a.institution || 'unknown'}\n  Type: ${a.subtype || a.type}\n  Balance: $${(a.balance || 0).toFixed(2)}`
                     ).join('\n\n');
 
                     return {
@@ -232,12 +747,12 @@ export function createFinanceServer(userId) {
 
             tool(
                 'sync_transactions',
-                'Sync the latest transactions from connected bank accounts. Use when user asks to refresh or update their data.',
-                {},
-                async () => {
-                    const connection = storage.getUserConnection(userId);
-
-                    if (!connection) {
+                'Sync new, changed and removed transactions from connected bank accounts since the last sync. Use when user asks to refresh or update their data.',
+                {
+                    institution: z.string().optional().describe('Only sync the institution whose name contains this (default: all connected institutions)')
+                },
+                async (args) => {
+                    if (!storage.hasPlaidConnection(userId)) {
                         return {
                             content: [{
                                 type: 'text',
@@ -246,17 +761,24 @@ export function createFinanceServer(userId) {
                         };
                     }
 
-                    try {
-                        const transactions = await getPlaidTransactions(connection.accessToken);
-                        const accounts = await getPlaidAccounts(connection.accessToken);
+                    const items = findUserItems(userId, args.institution);
 
-                        storage.cacheTransactions(userId, transactions);
-                        storage.saveUserConnection(userId, { ...connection, accounts });
+                    if (items.length === 0) {
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: `No connected institution matches "${args.institution}".`
+                            }]
+                        };
+                    }
+
+                    try {
+                        const results = await syncUserTransactions(userId, items);
 
                         return {
                             content: [{
                                 type: 'text',
-                                text: `✅ Synced ${transactions.length} transactions from ${accounts.length} account(s).`
+                                text: formatSyncResult(results)
                             }]
                         };
                     } catch (error) {
@@ -299,14 +821,64 @@ export function createFinanceServer(userId) {
     });
 }
 
+/**
+ * What the bot shows while each tool runs
+ */
+const TOOL_PROGRESS = {
+    get_balance: '💰 Checking balances…',
+    get_spending_summary: '📊 Adding up spending…',
+    get_income_summary: '💵 Adding up income…',
+    search_transactions: '🔍 Searching transactions…',
+    export_transactions: '📤 Building the export…',
+    get_category_spending: '📊 Checking category spending…',
+    compare_spending: '📈 Comparing periods…',
+    spending_trend: '📈 Working out the trend…',
+    get_recent_transactions: '🧾 Fetching recent transactions…',
+    set_budget: '🎯 Setting the budget…',
+    get_budget_status: '🎯 Checking budgets…',
+    get_subscriptions: '🔁 Looking for subscriptions…',
+    add_category_rule: '🏷️ Adding the rule…',
+    list_category_rules: '🏷️ Fetching rules…',
+    delete_category_rule: '🏷️ Deleting the rule…',
+    recategorize_transaction: '🏷️ Recategorizing…',
+    list_categories: '🗂️ Fetching categories…',
+    add_category: '🗂️ Adding the category…',
+    delete_category: '🗂️ Deleting the category…',
+    render_chart: '🖼️ Drawing the chart…',
+    get_accounts: '🏦 Fetching accounts…',
+    sync_transactions: '🔄 Syncing with your bank…',
+    create_payment_link: '💸 Creating the payment link…'
+};
+
+/**
+ * Progress line for a tool call, by its full MCP name
+ */
+export function toolProgress(name) {
+    return TOOL_PROGRESS[name.replace(/^mcp__finance-tools__/, '')] || '⚙️ Working…';
+}
+
 // List of all tool names for allowing in the agent
 export const FINANCE_TOOL_NAMES = [
     'mcp__finance-tools__get_balance',
     'mcp__finance-tools__get_spending_summary',
     'mcp__finance-tools__get_income_summary',
     'mcp__finance-tools__search_transactions',
+    'mcp__finance-tools__export_transactions',
     'mcp__finance-tools__get_category_spending',
+    'mcp__finance-tools__compare_spending',
+    'mcp__finance-tools__spending_trend',
     'mcp__finance-tools__get_recent_transactions',
+    'mcp__finance-tools__set_budget',
+    'mcp__finance-tools__get_budget_status',
+    'mcp__finance-tools__get_subscriptions',
+    'mcp__finance-tools__add_category_rule',
+    'mcp__finance-tools__list_category_rules',
+    'mcp__finance-tools__delete_category_rule',
+    'mcp__finance-tools__recategorize_transaction',
+    'mcp__finance-tools__list_categories',
+    'mcp__finance-tools__add_category',
+    'mcp__finance-tools__delete_category',
+    'mcp__finance-tools__render_chart',
     'mcp__finance-tools__get_accounts',
     'mcp__finance-tools__sync_transactions',
     'mcp__finance-tools__create_payment_link'
@@ -0,0 +1,115 @@
+/**
+ * Agent usage: quotas and /usage reports
+ *
+ * Every agent call records the tokens and cost from the SDK's result
+ * message (see recordAgentUsage). Each user gets a rolling 24-hour
+ * allowance of chat requests and tokens; 0 turns a limit off. Admins,
+ * listed by Telegram user ID in ADMIN_TELEGRAM_IDS, can see everyone's
+ * totals with /usage all.
+ */
+
+import { recordAgentUsage, getAgentUsage, getAgentUsageByUser } from './storage.js';
+
+export const REQUESTS_PER_DAY = Number(process.env.AGENT_REQUESTS_PER_DAY ?? 50);
+export const TOKENS_PER_DAY = Number(process.env.AGENT_TOKENS_PER_DAY ?? 2000000);
+
+const ADMIN_IDS = (process.env.ADMIN_TELEGRAM_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function since(days) {
+    return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+function number(value) {
+    return value.toLocaleString('en-US');
+}
+
+function cost(value) {
+    return `$${value.toFixed(value < 1 ? 4 : 2)}`;
+}
+
+export function isAdmin(userId) {
+    return ADMIN_IDS.includes(userId);
+}
+
+/**
+ * Store the usage an SDK result message reports. `kind` is 'chat' for a
+ * reply (counts as a request) or 'summary' for conversation upkeep.
+ */
+export function recordResultUsage(userId, kind, result) {
+    const usage = result.usage || {};
+    recordAgentUsage(userId, {
+        kind,
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0,
+        cacheReadTokens: usage.cache_read_input_tokens || 0,
+        cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+        costUsd: result.total_cost_usd || 0,
+        turns: result.num_turns || 0,
+        durationMs: result.duration_ms || 0,
+    });
+}
+
+/**
+ * Why the user can't send another request right now, or null if they can
+ */
+export function checkQuota(userId) {
+    const day = getAgentUsage(userId, since(1));
+    const overRequests = REQUESTS_PER_DAY > 0 && day.requests >= REQUESTS_PER_DAY;
+    const overTokens = TOKENS_PER_DAY > 0 && day.tokens >= TOKENS_PER_DAY;
+    if (!overRequests && !overTokens) {
+        return null;
+    }
+
+    // The window rolls, so room opens up as the oldest call turns 24 hours old
+    const resetAt = new Date(Date.parse(day.firstAt) + DAY_MS);
+    const minutes = Math.max(1, Math.ceil((resetAt - Date.now()) / 60000));
+    const wait = minutes >= 60 ? `${Math.ceil(minutes / 60)} hour(s)` : `${minutes} minute(s)`;
+    const limit = overRequests
+        ? `${REQUESTS_PER_DAY} questions`
+        : `${number(TOKENS_PER_DAY)} tokens`;
+
+    return `⏳ You've reached your limit of ${limit} per 24 hours. Try again in about ${wait}. ` +
+        'Commands like /budget and /export still work. See /usage for details.';
+}
+
+/**
+ * /usage: the user's last 24 hours against their limits, and 30 days
+ */
+export function formatUserUsage(userId) {
+    const day = getAgentUsage(userId, since(1));
+    const month = getAgentUsage(userId, since(30));
+    const of = limit => (limit > 0 ? ` of ${number(limit)}` : '');
+
+    return [
+        '📊 Your usage, last 24 hours:',
+        `• Questions: ${day.requests}${of(REQUESTS_PER_DAY)}`,
+        `• Tokens: ${number(day.tokens)}${of(TOKENS_PER_DAY)}`,
+        `• Cost: ${cost(day.costUsd)}`,
+        '',
+        `Last 30 days: ${month.requests} question(s), ${number(month.tokens)} tokens, ${cost(month.costUsd)}`,
+    ].join('\n');
+}
+
+/**
+ * /usage all (admins): totals for everyone and the top users by cost
+ */
+export function formatUsageTotals() {
+    const day = getAgentUsage(null, since(1));
+    const month = getAgentUsage(null, since(30));
+    const top = getAgentUsageByUser(since(30), 10);
+
+    const lines = [
+        '📊 All users',
+        `• Last 24 hours: ${day.requests} question(s), ${number(day.tokens)} tokens, ${cost(day.costUsd)}`,
+        `• Last 30 days: ${month.requests} question(s), ${number(month.tokens)} tokens, ${cost(month.costUsd)}`,
+    ];
+    if (top.length > 0) {
+        lines.push('', 'Top users, last 30 days:');
+        for (const user of top) {
+            lines.push(`• ${user.userId}: ${user.requests} question(s), ${number(user.tokens)} tokens, ${cost(user.costUsd)}`);
+        }
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,39 @@
+/**
+ * Per-user message queue
+ *
+ * A user's messages are answered one at a time, in the order they
+ * arrived, so agent runs for the same user never overlap (their chat
+ * history and SDK session would interleave). Different users still run
+ * side by side.
+ */
+
+// Messages a user can have waiting or running before new ones are refused
+export const MAX_QUEUED_MESSAGES = 3;
+
+const queues = new Map();
+
+/**
+ * How many of the user's messages are running or waiting
+ */
+export function queuedMessages(userId) {
+    return queues.get(userId)?.size || 0;
+}
+
+/**
+ * Run `task` after the user's earlier tasks finish (whether they succeed
+ * or fail). Returns the task's promise.
+ */
+export function enqueue(userId, task) {
+    const queue = queues.get(userId) || { tail: Promise.resolve(), size: 0 };
+    queues.set(userId, queue);
+    queue.size += 1;
+
+    const run = queue.tail.then(task);
+    queue.tail = run.catch(() => {}).finally(() => {
+        queue.size -= 1;
+        if (queue.size === 0) {
+            queues.delete(userId);
+        }
+    });
+    return run;
+}
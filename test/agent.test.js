@@ -0,0 +1,135 @@
+/**
+ * processMessage with the scripted agent: tool calls, session resume,
+ * conversation summaries and usage accounting
+ */
+
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpEnvironment } from './helpers/environment.js';
+import { USAGE } from './helpers/scriptedAgent.js';
+
+const env = await setUpEnvironment();
+const { processMessage } = await import('../src/agent.js');
+const { SESSION_TURN_LIMIT } = await import('../src/conversation.js');
+const { FINANCE_TOOL_NAMES } = await import('../src/tools.js');
+const storage = await import('../src/storage.js');
+
+const { agent } = env;
+const EPOCH = new Date(0).toISOString();
+
+beforeEach(() => agent.reset());
+after(() => env.close());
+
+test('a message runs the scripted tools and returns the reply', async () => {
+    agent.script(
+        { tool: 'search_transactions', input: { merchant: 'uber' } },
+        { tool: 'render_chart', input: { chart: 'spending_by_category', period: '2026-01' } },
+        { text: 'You spent **$45** on Uber.' }
+    );
+
+    const reply = await processMessage('300', 'How much on Uber?');
+
+    assert.equal(reply.text, 'You spent **$45** on Uber.');
+    assert.equal(reply.charts.length, 1);
+    assert.equal(reply.search.filters.merchant, 'uber');
+    assert.deepEqual(agent.runs[0].toolResults.map(r => r.tool), ['search_transactions', 'render_chart']);
+
+    const [run] = agent.runs;
+    assert.equal(run.prompt, 'How much on Uber?');
+    assert.deepEqual(run.options.allowedTools, FINANCE_TOOL_NAMES);
+    assert.equal(run.options.resume, undefined);
+    assert.match(run.options.systemPrompt, /This user is using demo data/);
+});
+
+test('the exchange is stored with the tool results and the usage recorded', async () => {
+    const history = storage.getChatHistory('300');
+
+    assert.deepEqual(history.map(m => m.role), ['user', 'tool', 'tool', 'assistant']);
+    assert.match(history[1].content, /^search_transactions: /);
+    assert.equal(storage.getConversation('300').sessionTurns, 1);
+
+    const usage = storage.getAgentUsage('300', EPOCH);
+    assert.equal(usage.requests, 1);
+    assert.equal(usage.tokens, USAGE.input_tokens + USAGE.output_tokens);
+});
+
+test('progress reports the running tool, then the reply text', async () => {
+    const progress = [];
+    agent.script({ tool: 'get_balance' }, { text: 'All good.' });
+
+    await processMessage('301', 'Balance?', { onProgress: update => progress.push(update) });
+
+    assert.deepEqual(progress, [
+        { text: '', status: '💰 Checking balances…' },
+        { text: 'All good.', status: null },
+    ]);
+});
+
+test('the next message resumes the same session', async () => {
+    agent.script({ text: 'First.' });
+    agent.script({ text: 'Second.' });
+
+    await processMessage('302', 'one');
+    await processMessage('302', 'two');
+
+    assert.equal(agent.runs[1].options.resume, agent.runs[0].sessionId);
+    assert.equal(storage.getConversation('302').sessionTurns, 2);
+});
+
+test('a session that can\'t be resumed is summarized and replaced', async () => {
+    agent.script({ text: 'Your coffee spending is $12.' });
+    await processMessage('303', 'Coffee?');
+    const lost = agent.runs[0].sessionId;
+
+    agent.script({ fail: `No conversation found with session ID: ${lost}` });
+    agent.script({ text: 'User asked about coffee: $12.' });
+    agent.script({ text: 'Fresh start.' });
+
+    const reply = await processMessage('303', 'And last month?');
+
+    assert.equal(reply.text, 'Fresh start.');
+    const [failed, summary, fresh] = agent.runs.slice(1);
+    assert.equal(failed.options.resume, lost);
+    assert.deepEqual(summary.options.tools, []);
+    assert.match(summary.prompt, /Your coffee spending is \$12\./);
+    assert.equal(fresh.options.resume, undefined);
+    assert.match(fresh.options.systemPrompt, /User asked about coffee: \$12\./);
+    assert.equal(storage.getConversation('303').sessionId, fresh.sessionId);
+});
+
+test(`after ${SESSION_TURN_LIMIT} turns the conversation rolls over into a summary`, async () => {
+    for (let i = 0; i < SESSION_TURN_LIMIT; i++) {
+        agent.script({ text: `Answer ${i}` });
+        await processMessage('304', `Question ${i}`);
+    }
+    agent.script({ text: 'Ten questions about budgets.' });
+    agent.script({ text: 'Answer 10' });
+
+    await processMessage('304', 'Question 10');
+
+    const [summary, next] = agent.runs.slice(-2);
+    assert.match(summary.prompt, /Question 0[\s\S]*Answer 9/);
+    assert.equal(next.options.resume, undefined);
+    assert.match(next.options.systemPrompt, /SUMMARY OF THE CONVERSATION BEFORE THE MESSAGES BELOW:\nTen questions about budgets\./);
+
+    const conversation = storage.getConversation('304');
+    assert.equal(conversation.summary, 'Ten questions about budgets.');
+    assert.equal(conversation.sessionTurns, 1);
+
+    // Summaries cost tokens but are not questions
+    const usage = storage.getAgentUsage('304', EPOCH);
+    assert.equal(usage.requests, SESSION_TURN_LIMIT + 1);
+    assert.equal(usage.tokens, (SESSION_TURN_LIMIT + 2) * (USAGE.input_tokens + USAGE.output_tokens));
+});
+
+test('a failure mid-turn is reported without retrying', async () => {
+    agent.script({ text: 'Hi.' });
+    await processMessage('305', 'hello');
+    agent.script({ tool: 'get_balance' }, { tool: 'no_such_tool' });
+
+    const reply = await processMessage('305', 'Balance?');
+
+    assert.match(reply.text, /^❌ Sorry, I encountered an error/);
+    assert.equal(agent.pending, 0);
+    assert.equal(storage.getChatHistory('305').length, 2);
+});
@@ -0,0 +1,344 @@
+/**
+ * Every bot command, fed to the bot as Telegram updates. Replies are read
+ * back from the fake Telegram, bank data comes from the fake Plaid and
+ * chat messages go to the scripted agent.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpEnvironment, waitUntil, ADMIN_USER_ID } from './helpers/environment.js';
+import { INSTITUTIONS } from './fixtures/plaid.js';
+
+const env = await setUpEnvironment({ AGENT_REQUESTS_PER_DAY: '2' });
+const { bot } = await import('../src/bot.js');
+const { issueLinkToken, verifyLinkToken } = await import('../src/linkTokens.js');
+const storage = await import('../src/storage.js');
+
+const { telegram, agent } = env;
+const USER = '500';
+let item;
+let updates = 0;
+let incoming = 0;
+
+function from(userId) {
+    return { id: Number(userId), is_bot: false, first_name: 'Tester' };
+}
+
+/**
+ * Deliver a message from `userId` and return how many messages the chat
+ * had before it, so waits only look at what comes after
+ */
+function send(text, { userId = USER, ...fields } = {}) {
+    const before = telegram.chat(userId).length;
+    const command = text?.match(/^\/\S+/);
+    bot.processUpdate({
+        update_id: ++updates,
+        message: {
+            message_id: ++incoming,
+            date: Math.floor(Date.now() / 1000),
+            chat: { id: Number(userId), type: 'private' },
+            from: from(userId),
+            text,
+            entities: command ? [{ type: 'bot_command', offset: 0, length: command[0].length }] : undefined,
+            ...fields,
+        },
+    });
+    return before;
+}
+
+/**
+ * Send `text` and wait for a reply containing `expected`
+ */
+function ask(text, expected, options = {}) {
+    const after = send(text, options);
+    return telegram.waitForText(options.userId || USER, expected, { after });
+}
+
+/**
+ * Press an inline button on one of the bot's messages
+ */
+function press(message, data, userId = USER) {
+    bot.processUpdate({
+        update_id: ++updates,
+        callback_query: { id: String(updates), from: from(userId), message, chat_instance: '1', data },
+    });
+}
+
+function buttons(message) {
+    return message.reply_markup.inline_keyboard.flat();
+}
+
+before(async () => {
+    item = await env.connectBank(USER, 'public-sandbox-chase', INSTITUTIONS.ins_chase);
+});
+
+after(() => env.close());
+
+test('/start welcomes demo users and points them at /connect', async () => {
+    const message = await ask('/start', 'Welcome to OpenSpend', { userId: '501' });
+
+    assert.match(message.text, /<b>Connect your accounts:<\/b> \/connect/);
+    assert.equal(message.parse_mode, 'HTML');
+});
+
+test('/help lists the commands', async () => {
+    const message = await ask('/help', 'Help &amp; Commands');
+
+    assert.match(message.text, /\/usage/);
+    assert.match(message.text, /\/export pdf last_month/);
+});
+
+test('/connect sends a signed one-time link', async () => {
+    const message = await ask('/connect', 'Connect Your Bank Account');
+    const token = message.text.match(/\/link\/([\w.-]+)/)[1];
+
+    assert.equal(verifyLinkToken(token).uid, USER);
+    assert.match(message.text, /Already connected: Chase/);
+});
+
+test('/sync without a bank says how to connect one', async () => {
+    await ask('/sync', 'No bank connected', { userId: '501' });
+});
+
+test('/sync pulls transactions from the bank', async () => {
+    const message = await ask('/sync', 'Chase (2 account(s)): 14 new');
+
+    assert.match(message.text, /Ask me anything about your finances!/);
+    assert.equal(storage.getTransactions(USER).length, 14);
+});
+
+test('/sync with a name that matches nothing', async () => {
+    await ask('/sync wells', 'No connected institution matches');
+});
+
+test('/sync for a bank that needs a new login sends a repair link', async () => {
+    env.plaid.setItemError(item.itemId, 'ITEM_LOGIN_REQUIRED');
+    const message = await ask('/sync chase', 'Chase needs you to log in again');
+    env.plaid.setItemError(item.itemId, null);
+
+    assert.match(message.text, /http:\/\/localhost:3000\/link\//);
+    const repair = await ask('/connect', 'Reconnect it here instead of linking it twice');
+    assert.match(repair.text, /Chase needs you to log in again/);
+    storage.setItemStatus(item.itemId, 'ok');
+});
+
+test('/start and /banks for a connected user', async () => {
+    await ask('/start', 'Bank connected! Use /sync to refresh data.');
+
+    const banks = await ask('/banks', 'Connected institutions');
+    assert.match(banks.text, /🏦 Chase\n {3}Total Checking ••1111, Freedom Card ••2222\n {3}Last synced: \d{4}-\d{2}-\d{2}/);
+});
+
+test('/banks with nothing connected', async () => {
+    await ask('/banks', 'No bank accounts connected', { userId: '501' });
+});
+
+test('/budget shows, sets and removes budgets', async () => {
+    await ask('/budget', 'No budgets yet');
+    await ask('/budget groceries $400', 'Monthly groceries budget set to $400.00');
+    assert.equal(storage.getBudgets(USER).groceries, 400);
+
+    const status = await ask('/budget', 'Budgets this month');
+    assert.match(status.text, /groceries/);
+
+    await ask('/budget nonsense 5', 'Unknown category');
+    await ask('/budget groceries lots', 'Usage: /budget groceries 400');
+    await ask('/budget groceries off', 'Removed your groceries budget');
+    assert.equal(storage.getBudgets(USER).groceries, undefined);
+});
+
+test('/subscriptions lists recurring charges', async () => {
+    const message = await ask('/subscriptions', 'Subscriptions &amp; recurring charges');
+
+    assert.match(message.text, /Netflix/);
+});
+
+test('/export sends the file as a document', async () => {
+    const before = telegram.callsTo('sendDocument').length;
+    send('/export csv merchant:netflix');
+
+    const document = await waitUntil(() => telegram.callsTo('sendDocument')[before]);
+    assert.equal(document.chat_id, USER);
+    assert.match(document.document.filename, /\.csv$/);
+    assert.match(document.caption, /4 transaction\(s\), merchant "netflix"/);
+});
+
+test('/export explains bad input and empty results', async () => {
+    await ask('/export csv category:nonsense', 'Unknown category');
+    await ask('/export csv merchant:nowhere', 'nothing to export');
+});
+
+test('/rule, /rules and /rule delete', async () => {
+    const added = await ask('/rule merchant:Uber -> travel', 'Added rule');
+    assert.match(added.text, /1 existing transaction\(s\) recategorized/);
+    const [rule] = storage.getCategoryRules(USER);
+
+    const list = await ask('/rules', 'Your categorization rules');
+    assert.match(list.text, new RegExp(`#${rule.id}`));
+
+    await ask(`/rule delete ${rule.id}`, `Deleted rule #${rule.id}. 1 transaction(s) recategorized.`);
+    await ask(`/rule delete ${rule.id}`, `No rule #${rule.id}`);
+    await ask('/rules', 'No rules yet');
+    await ask('/rule merchant:Uber -> nowhere', 'Unknown category');
+});
+
+test('/categories and /category', async () => {
+    const tree = await ask('/categories', 'Your categories');
+    assert.match(tree.text, /food: .*coffee/);
+
+    await ask('/category add snacks food', 'Added food &gt; snacks');
+    assert.ok(storage.getCategoryNames(USER).includes('snacks'));
+    await ask('/category delete snacks', 'Deleted snacks');
+    await ask('/category delete food', 'No custom category');
+    await ask('/category', 'Usage: /category add');
+});
+
+test('/digest schedules, lists and stops digests', async () => {
+    await ask('/digest', 'No digests scheduled');
+
+    const scheduled = await ask('/digest daily 8:00', 'daily digest scheduled every day at 08:00 (UTC)');
+    assert.match(scheduled.text, /Wrong timezone\?/);
+
+    await ask('/digest timezone Europe/Berlin', 'Timezone set to Europe/Berlin');
+    await ask('/digest timezone Mars/Olympus', 'Give a timezone name');
+    await ask('/digest weekly 18:30', 'weekly digest scheduled every Monday at 18:30 (Europe/Berlin)');
+
+    const list = await ask('/digest', 'Your digests (Europe/Berlin)');
+    assert.match(list.text, /daily: 08:00, every day\n• weekly: 18:30, Mondays/);
+
+    await ask('/digest weekly off', 'weekly digest turned off');
+    await ask('/digest daily 25:00', 'Usage: /digest daily 08:00');
+    await ask('/digest off', 'All digests turned off');
+    await ask('/digest off', 'No digests were scheduled');
+});
+
+test('/usage shows the user\'s own usage, and everyone\'s to admins', async () => {
+    const own = await ask('/usage', 'Your usage, last 24 hours');
+    assert.match(own.text, /Questions: 0 of 2/);
+
+    await ask('/usage all', 'Your usage, last 24 hours');
+    await ask('/usage all', 'All users', { userId: ADMIN_USER_ID });
+});
+
+test('a question is answered by the agent in one live message', async () => {
+    agent.script(
+        { tool: 'search_transactions', input: { merchant: 'netflix', limit: 2 } },
+        { tool: 'render_chart', input: { chart: 'spending_by_category', period: 'last_3_months' } },
+        { text: 'Netflix costs you **$15.49** a month.' }
+    );
+    const photosBefore = telegram.callsTo('sendPhoto').length;
+
+    const message = await ask('How much is Netflix?', 'Netflix costs you');
+
+    assert.equal(message.text, 'Netflix costs you <b>$15.49</b> a month.');
+    assert.equal(telegram.callsTo('sendPhoto').length, photosBefore + 1);
+    assert.ok(telegram.callsTo('sendChatAction').some(c => c.chat_id === USER && c.action === 'typing'));
+    assert.equal(agent.runs.at(-1).prompt, 'How much is Netflix?');
+
+    const [next] = buttons(message);
+    assert.match(next.callback_data, /^tx:more:/);
+
+    const before = telegram.chat(USER).length;
+    press(message, next.callback_data);
+    const page = await telegram.waitForText(USER, 'Netflix', { after: before });
+    assert.match(page.text, /3-4 of 4/);
+    await waitUntil(() => telegram.chat(USER).find(m => m.message_id === message.message_id).reply_markup.inline_keyboard.length === 0);
+});
+
+test('questions over the daily quota are turned away', async () => {
+    agent.script({ text: 'Answer one.' });
+    await ask('question one', 'Answer one.', { userId: '502' });
+
+    agent.script({ text: 'Answer two.' });
+    await ask('question two', 'Answer two.', { userId: '502' });
+
+    await ask('question three', 'reached your limit of 2 questions per 24 hours', { userId: '502' });
+    assert.equal(agent.pending, 0);
+});
+
+test('a second message waits for the first to be answered', async () => {
+    agent.script({ text: 'First answer.' });
+    agent.script({ text: 'Second answer.' });
+
+    const before = send('first', { userId: '503' });
+    send('second', { userId: '503' });
+
+    await telegram.waitForText('503', 'I\'ll answer this after your previous message', { after: before });
+    await telegram.waitForText('503', 'Second answer.', { after: before });
+    const texts = telegram.texts('503');
+    assert.ok(texts.indexOf('First answer.') < texts.indexOf('Second answer.'));
+});
+
+test('an agent failure is reported to the user', async () => {
+    agent.script({ tool: 'no_such_tool' });
+
+    await ask('break please', 'Sorry, I encountered an error', { userId: '504' });
+});
+
+test('statement files are imported', async () => {
+    telegram.addFile('statement-1', 'Date,Description,Amount\n2026-03-01,Corner Bakery,-12.40\n2026-03-02,Payroll ACME,2500.00\n');
+
+    const message = await ask(undefined, 'Imported CSV statement', {
+        userId: '505',
+        document: { file_id: 'statement-1', file_unique_id: 'statement-1', file_name: 'march.csv', file_size: 90 },
+    });
+
+    assert.match(message.text, /2 new transaction\(s\) added/);
+    assert.equal(storage.getTransactions('505').length, 2);
+});
+
+test('files that are not statements are refused', async () => {
+    await ask(undefined, 'I can\'t read that file', {
+        userId: '505',
+        document: { file_id: 'photo-1', file_unique_id: 'photo-1', file_name: 'receipt.jpg', file_size: 1000 },
+    });
+});
+
+test('/clear forgets the conversation', async () => {
+    storage.appendChatHistory(USER, 'user', 'remember this');
+
+    await ask('/clear', 'Conversation history cleared');
+    assert.deepEqual(storage.getChatHistory(USER), []);
+});
+
+test('a button press still works when Telegram refuses to answer it', async () => {
+    const picker = await ask('/disconnect', 'Which institution do you want to disconnect?');
+    telegram.failNext('answerCallbackQuery', 'Bad Request: query is too old and response timeout expired or query ID is invalid');
+
+    press(picker, 'dc:cancel');
+
+    await waitUntil(() => telegram.chat(USER).find(m => m.message_id === picker.message_id && m.text.startsWith('Cancelled')));
+});
+
+test('/disconnect asks which bank, confirms, then revokes it', async () => {
+    const picker = await ask('/disconnect', 'Which institution do you want to disconnect?');
+    const [chase, cancel] = buttons(picker);
+    assert.equal(chase.callback_data, `dc:pick:${item.itemId}`);
+    assert.equal(cancel.callback_data, 'dc:cancel');
+
+    press(picker, chase.callback_data);
+    const confirm = await waitUntil(() => telegram.chat(USER).find(m => m.message_id === picker.message_id && m.text.startsWith('Disconnect Chase?')));
+
+    press(confirm, buttons(confirm)[0].callback_data);
+    await waitUntil(() => telegram.chat(USER).find(m => m.message_id === picker.message_id && m.text.includes('Chase disconnected')));
+
+    assert.equal(env.plaid.calls('/item/remove').length, 1);
+    assert.deepEqual(storage.getUserItems(USER), []);
+    await ask('/disconnect', 'No bank account connected');
+});
+
+test('/deleteme can be cancelled or carried out', async () => {
+    await env.connectBank('506', 'public-sandbox-amex', INSTITUTIONS.ins_amex);
+
+    const first = await ask('/deleteme', 'permanently deletes', { userId: '506' });
+    press(first, 'del:cancel', '506');
+    await waitUntil(() => telegram.chat('506').find(m => m.message_id === first.message_id && m.text.startsWith('Cancelled')));
+    assert.equal(storage.getUserItems('506').length, 1);
+
+    const link = issueLinkToken('506');
+    const second = await ask('/deleteme', 'permanently deletes', { userId: '506' });
+    press(second, buttons(second)[0].callback_data, '506');
+    await waitUntil(() => telegram.chat('506').find(m => m.message_id === second.message_id && m.text.includes('Deleted all your data and revoked 1 bank connection(s)')));
+    assert.deepEqual(storage.getUserItems('506'), []);
+    assert.throws(() => verifyLinkToken(link), /already been used/);
+});
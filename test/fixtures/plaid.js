@@ -0,0 +1,125 @@
+/**
+ * Plaid fixtures served by the fake Plaid server
+ *
+ * Dates are relative to today so period tools ("last_3_months") always
+ * find something. Amounts follow Plaid's convention: positive is money
+ * out, negative is money in.
+ */
+
+export function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+// A 1x1 PNG, as Plaid's institution logos are base64 PNGs
+const LOGO = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+export const INSTITUTIONS = {
+    ins_chase: { institution_id: 'ins_chase', name: 'Chase', logo: LOGO, url: 'https://www.chase.com' },
+    ins_amex: { institution_id: 'ins_amex', name: 'American Express', logo: null, url: null },
+};
+
+export function account(id, name, mask, type, subtype, current, available = null) {
+    return {
+        account_id: id,
+        name,
+        official_name: `${name} (official)`,
+        mask,
+        type,
+        subtype,
+        balances: { current, available, iso_currency_code: 'USD' },
+    };
+}
+
+export function transaction(id, accountId, days, amount, name, primary, detailed = null) {
+    return {
+        transaction_id: id,
+        account_id: accountId,
+        date: daysAgo(days),
+        authorized_datetime: null,
+        datetime: null,
+        amount,
+        name,
+        merchant_name: name,
+        pending: false,
+        iso_currency_code: 'USD',
+        unofficial_currency_code: null,
+        category: null,
+        personal_finance_category: { primary, detailed: detailed || `${primary}_OTHER_${primary}`, confidence_level: 'VERY_HIGH' },
+        location: { country: 'US' },
+    };
+}
+
+/**
+ * Public tokens Link would hand the browser, by the item they exchange for
+ */
+export const PUBLIC_TOKENS = {
+    'public-sandbox-chase': 'item-chase',
+    'public-sandbox-amex': 'item-amex',
+};
+
+/**
+ * Fresh item state. Each item's history arrives over several
+ * /transactions/sync pages, like a real backfill.
+ */
+export function createItems() {
+    return {
+        'item-chase': {
+            itemId: 'item-chase',
+            accessToken: 'access-sandbox-chase',
+            institutionId: 'ins_chase',
+            accounts: [
+                account('acc-chase-checking', 'Total Checking', '1111', 'depository', 'checking', 2500, 2400),
+                account('acc-chase-card', 'Freedom Card', '2222', 'credit', 'credit card', 640.25),
+            ],
+            pages: [
+                {
+                    added: [
+                        transaction('txn-pay-1', 'acc-chase-checking', 2, -3000, 'ACME Payroll', 'INCOME', 'INCOME_WAGES'),
+                        transaction('txn-pay-2', 'acc-chase-checking', 32, -3000, 'ACME Payroll', 'INCOME', 'INCOME_WAGES'),
+                        transaction('txn-rent-1', 'acc-chase-checking', 10, 1800, 'Parkside Apartments', 'RENT_AND_UTILITIES', 'RENT_AND_UTILITIES_RENT'),
+                        transaction('txn-rent-2', 'acc-chase-checking', 40, 1800, 'Parkside Apartments', 'RENT_AND_UTILITIES', 'RENT_AND_UTILITIES_RENT'),
+                        transaction('txn-grocery-1', 'acc-chase-card', 3, 84.2, 'Whole Foods', 'FOOD_AND_DRINK', 'FOOD_AND_DRINK_GROCERIES'),
+                        transaction('txn-grocery-2', 'acc-chase-card', 20, 62.1, 'Whole Foods', 'FOOD_AND_DRINK', 'FOOD_AND_DRINK_GROCERIES'),
+                    ],
+                    modified: [],
+                    removed: [],
+                    hasMore: true,
+                },
+                {
+                    added: [
+                        transaction('txn-coffee-1', 'acc-chase-card', 1, 5.75, 'Starbucks', 'FOOD_AND_DRINK', 'FOOD_AND_DRINK_COFFEE'),
+                        transaction('txn-coffee-2', 'acc-chase-card', 8, 6.25, 'Starbucks', 'FOOD_AND_DRINK', 'FOOD_AND_DRINK_COFFEE'),
+                        transaction('txn-uber-1', 'acc-chase-card', 6, 23.4, 'Uber', 'TRANSPORTATION', 'TRANSPORTATION_TAXIS_AND_RIDE_SHARES'),
+                        transaction('txn-amazon-1', 'acc-chase-card', 12, 129.99, 'Amazon', 'GENERAL_MERCHANDISE', 'GENERAL_MERCHANDISE_ONLINE_MARKETPLACES'),
+                        transaction('txn-netflix-1', 'acc-chase-card', 5, 15.49, 'Netflix', 'ENTERTAINMENT', 'ENTERTAINMENT_TV_AND_MOVIES'),
+                        transaction('txn-netflix-2', 'acc-chase-card', 35, 15.49, 'Netflix', 'ENTERTAINMENT', 'ENTERTAINMENT_TV_AND_MOVIES'),
+                        transaction('txn-netflix-3', 'acc-chase-card', 65, 15.49, 'Netflix', 'ENTERTAINMENT', 'ENTERTAINMENT_TV_AND_MOVIES'),
+                        transaction('txn-netflix-4', 'acc-chase-card', 95, 15.49, 'Netflix', 'ENTERTAINMENT', 'ENTERTAINMENT_TV_AND_MOVIES'),
+                    ],
+                    modified: [],
+                    removed: [],
+                    status: 'HISTORICAL_UPDATE_COMPLETE',
+                },
+            ],
+        },
+        'item-amex': {
+            itemId: 'item-amex',
+            accessToken: 'access-sandbox-amex',
+            institutionId: 'ins_amex',
+            accounts: [
+                account('acc-amex-gold', 'Gold Card', '3005', 'credit', 'credit card', 310.5),
+            ],
+            pages: [
+                {
+                    added: [
+                        transaction('txn-amex-dinner', 'acc-amex-gold', 4, 96.3, 'Nobu', 'FOOD_AND_DRINK', 'FOOD_AND_DRINK_RESTAURANT'),
+                        transaction('txn-amex-flight', 'acc-amex-gold', 15, 214.2, 'Delta Air Lines', 'TRAVEL', 'TRAVEL_FLIGHTS'),
+                    ],
+                    modified: [],
+                    removed: [],
+                    status: 'HISTORICAL_UPDATE_COMPLETE',
+                },
+            ],
+        },
+    };
+}
@@ -0,0 +1,91 @@
+/**
+ * Offline environment for a test file
+ *
+ * Starts the fake Plaid and Telegram servers, points the app at them and
+ * at a fresh database, and swaps in the scripted agent. The app reads its
+ * configuration when its modules load, so test files call this first and
+ * import src/ modules afterwards, dynamically:
+ *
+ *     const env = await setUpEnvironment();
+ *     const { processMessage } = await import('../src/agent.js');
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startFakePlaid } from './fakePlaid.js';
+import { startFakeTelegram } from './fakeTelegram.js';
+import { createScriptedAgent } from './scriptedAgent.js';
+
+export { waitUntil } from './wait.js';
+
+export const ADMIN_USER_ID = '9001';
+
+export async function setUpEnvironment(overrides = {}) {
+    // The test runner reads its own reports from stdout, and the app's
+    // progress logs interleaved with them can corrupt them; warnings and
+    // errors go to stderr and stay visible
+    if (!process.env.TEST_LOGS) {
+        console.log = () => {};
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openspend-test-'));
+    const plaid = await startFakePlaid();
+    const telegram = await startFakeTelegram();
+
+    Object.assign(process.env, {
+        DATABASE_PATH: path.join(dir, 'openspend.db'),
+        PLAID_ENV: 'sandbox',
+        PLAID_BASE_URL: plaid.url,
+        PLAID_CLIENT_ID: 'test-client-id',
+        PLAID_SECRET: 'test-secret',
+        PLAID_WEBHOOK_URL: 'http://localhost:3000/webhooks/plaid',
+        TELEGRAM_BOT_TOKEN: '123456:test-token',
+        TELEGRAM_API_URL: telegram.url,
+        ANTHROPIC_API_KEY: 'test-anthropic-key',
+        TOKEN_ENCRYPTION_KEY: crypto.randomBytes(32).toString('hex'),
+        LINK_SIGNING_SECRET: 'test-link-secret',
+        SERVER_URL: 'http://localhost:3000',
+        ADMIN_SECRET: 'test-admin-secret',
+        ADMIN_TELEGRAM_IDS: ADMIN_USER_ID,
+        DEFAULT_TIMEZONE: 'UTC',
+        ...overrides,
+    });
+
+    const agent = createScriptedAgent();
+    const { setQuery } = await import('../../src/agentQuery.js');
+    setQuery(agent.query);
+
+    return {
+        plaid,
+        telegram,
+        agent,
+
+        /**
+         * Link an institution the way /api/exchange does, minus the
+         * notification, and return the stored item
+         */
+        async connectBank(userId, publicToken, institution) {
+            const { exchangePublicToken, getAccounts } = await import('../../src/plaid.js');
+            const { saveUserItem, getUserItem } = await import('../../src/storage.js');
+            const { accessToken, itemId } = await exchangePublicToken(publicToken);
+            saveUserItem(userId, {
+                accessToken,
+                itemId,
+                institutionId: institution?.institution_id || null,
+                institutionName: institution?.name || null,
+                accounts: await getAccounts(accessToken),
+                connectedAt: new Date().toISOString(),
+            });
+            return getUserItem(userId, itemId);
+        },
+
+        async close() {
+            setQuery();
+            await plaid.close();
+            await telegram.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        },
+    };
+}
@@ -0,0 +1,283 @@
+/**
+ * A local stand-in for Plaid's API
+ *
+ * Serves the items in fixtures/plaid.js over the same JSON endpoints the
+ * plaid client calls. Like real Plaid, every public token exchange links
+ * a new item: its item, account and transaction IDs get a suffix of their
+ * own ("item-chase-3"), so one fixture can be linked by many test users.
+ * /transactions/sync hands out each item's pages in order, with cursors,
+ * and tests can queue further deltas with pushSync(). Errors come back
+ * in Plaid's shape, either for every call on an item (setItemError) or
+ * once for an endpoint (failNext). Webhook verification keys are real, so
+ * signWebhook() makes JWTs verifyWebhook accepts.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { INSTITUTIONS, PUBLIC_TOKENS, createItems } from '../fixtures/plaid.js';
+import { listen } from './listen.js';
+
+const ERROR_TYPES = {
+    INVALID_PUBLIC_TOKEN: 'INVALID_INPUT',
+    INVALID_ACCESS_TOKEN: 'INVALID_INPUT',
+    INVALID_API_KEYS: 'INVALID_INPUT',
+    INVALID_INSTITUTION: 'INVALID_INPUT',
+    TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION: 'TRANSACTIONS_ERROR',
+};
+
+class PlaidError extends Error {
+    constructor(code, status = 400) {
+        super(code);
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function cursorFor(index) {
+    return index === 0 ? '' : `cursor-${index}`;
+}
+
+function indexOf(cursor) {
+    return cursor ? Number(cursor.replace('cursor-', '')) : 0;
+}
+
+function scopePage(page, scoped) {
+    const scopeTransaction = txn => ({ ...txn, transaction_id: scoped(txn.transaction_id), account_id: scoped(txn.account_id) });
+    return {
+        ...page,
+        added: page.added.map(scopeTransaction),
+        modified: page.modified.map(scopeTransaction),
+        removed: page.removed.map(removed => ({ transaction_id: scoped(removed.transaction_id) })),
+    };
+}
+
+// A fixture item linked for the `n`th time
+function instantiate(template, n) {
+    const scoped = id => `${id}-${n}`;
+    return {
+        ...template,
+        itemId: scoped(template.itemId),
+        accessToken: scoped(template.accessToken),
+        scoped,
+        accounts: template.accounts.map(a => ({ ...a, account_id: scoped(a.account_id) })),
+        pages: template.pages.map(page => scopePage(page, scoped)),
+        delivered: 0,
+    };
+}
+
+export async function startFakePlaid() {
+    const templates = createItems();
+    let items = {};
+    let failures = [];
+    let linkTokens = 0;
+    let links = 0;
+    const requests = [];
+
+    const keyId = 'fake-webhook-key';
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwk = publicKey.export({ format: 'jwk' });
+
+    function itemFor(accessToken) {
+        const item = Object.values(items).find(i => i.accessToken === accessToken && !i.removed);
+        if (!item) {
+            throw new PlaidError('INVALID_ACCESS_TOKEN');
+        }
+        if (item.error) {
+            throw new PlaidError(item.error);
+        }
+        return item;
+    }
+
+    // The transactions the item's consumed pages add up to
+    function currentTransactions(item) {
+        const byId = new Map();
+        for (const page of item.pages.slice(0, item.delivered)) {
+            for (const txn of [...page.added, ...page.modified]) {
+                byId.set(txn.transaction_id, txn);
+            }
+            for (const removed of page.removed) {
+                byId.delete(removed.transaction_id);
+            }
+        }
+        return [...byId.values()];
+    }
+
+    const routes = {
+        '/link/token/create': body => ({
+            link_token: `link-sandbox-${++linkTokens}`,
+            expiration: new Date(Date.now() + 4 * 60 * 60 * 1000).toISOString(),
+            ...(body.access_token ? { update_mode_item: itemFor(body.access_token).itemId } : {}),
+        }),
+
+        '/item/public_token/exchange': body => {
+            const template = templates[PUBLIC_TOKENS[body.public_token]];
+            if (!template) {
+                throw new PlaidError('INVALID_PUBLIC_TOKEN');
+            }
+            const item = instantiate(template, ++links);
+            items[item.itemId] = item;
+            return { access_token: item.accessToken, item_id: item.itemId };
+        },
+
+        '/accounts/get': body => {
+            const item = itemFor(body.access_token);
+            return { accounts: item.accounts, item: { item_id: item.itemId, institution_id: item.institutionId } };
+        },
+
+        '/item/get': body => {
+            const item = itemFor(body.access_token);
+            return { item: { item_id: item.itemId, institution_id: item.institutionId } };
+        },
+
+        '/item/remove': body => {
+            itemFor(body.access_token).removed = true;
+            return {};
+        },
+
+        '/institutions/get_by_id': body => {
+            const institution = INSTITUTIONS[body.institution_id];
+            if (!institution) {
+                throw new PlaidError('INVALID_INSTITUTION');
+            }
+            return { institution: { ...institution, country_codes: ['US'], products: ['transactions'] } };
+        },
+
+        '/transactions/get': body => {
+            const item = itemFor(body.access_token);
+            const transactions = currentTransactions(item)
+                .filter(txn => txn.date >= body.start_date && txn.date <= body.end_date)
+                .sort((a, b) => b.date.localeCompare(a.date));
+            return { accounts: item.accounts, transactions, total_transactions: transactions.length };
+        },
+
+        '/transactions/sync': body => {
+            const item = itemFor(body.access_token);
+            const index = indexOf(body.cursor);
+            const page = item.pages[index];
+            if (!page) {
+                return {
+                    accounts: item.accounts, added: [], modified: [], removed: [],
+                    next_cursor: cursorFor(index), has_more: false,
+                    transactions_update_status: 'HISTORICAL_UPDATE_COMPLETE',
+                };
+            }
+            item.delivered = Math.max(item.delivered, index + 1);
+            return {
+                accounts: item.accounts,
+                added: page.added,
+                modified: page.modified,
+                removed: page.removed,
+                next_cursor: cursorFor(index + 1),
+                has_more: Boolean(page.hasMore),
+                transactions_update_status: page.status || 'INITIAL_UPDATE_COMPLETE',
+            };
+        },
+
+        '/webhook_verification_key/get': body => {
+            if (body.key_id !== keyId) {
+                throw new PlaidError('INVALID_WEBHOOK_VERIFICATION_KEY_ID');
+            }
+            return { key: { ...jwk, alg: 'ES256', kid: keyId, use: 'sig', created_at: 1700000000, expired_at: null } };
+        },
+    };
+
+    const app = express();
+    app.use(express.json());
+
+    app.post('*', (req, res) => {
+        requests.push({ path: req.path, body: req.body });
+
+        try {
+            if (req.get('plaid-client-id') !== process.env.PLAID_CLIENT_ID || req.get('plaid-secret') !== process.env.PLAID_SECRET) {
+                throw new PlaidError('INVALID_API_KEYS');
+            }
+            const failure = failures.find(f => f.path === req.path);
+            if (failure) {
+                failures = failures.filter(f => f !== failure);
+                throw new PlaidError(failure.code, failure.status);
+            }
+            const route = routes[req.path];
+            if (!route) {
+                throw new PlaidError('NOT_FOUND', 404);
+            }
+            res.json({ ...route(req.body), request_id: `req-${requests.length}` });
+        } catch (error) {
+            if (!(error instanceof PlaidError)) {
+                throw error;
+            }
+            res.status(error.status).json({
+                error_type: ERROR_TYPES[error.code] || 'ITEM_ERROR',
+                error_code: error.code,
+                error_message: `fake Plaid error: ${error.code}`,
+                display_message: null,
+                request_id: `req-${requests.length}`,
+            });
+        }
+    });
+
+    const server = await listen(app);
+
+    return {
+        url: server.url,
+        requests,
+
+        /** Requests made to one endpoint, e.g. calls('/transactions/sync') */
+        calls(path) {
+            return requests.filter(r => r.path === path).map(r => r.body);
+        },
+
+        item(itemId) {
+            return items[itemId];
+        },
+
+        /** A fixture ID ("txn-uber-1") as linked in `itemId` */
+        id(itemId, fixtureId) {
+            return items[itemId].scoped(fixtureId);
+        },
+
+        /**
+         * Queue another /transactions/sync delta for `itemId`, as after
+         * SYNC_UPDATES_AVAILABLE. IDs are fixture IDs, scoped to the item here.
+         */
+        pushSync(itemId, { added = [], modified = [], removed = [] }) {
+            const item = items[itemId];
+            item.pages.push(scopePage({
+                added,
+                modified,
+                removed: removed.map(id => ({ transaction_id: id })),
+                status: 'HISTORICAL_UPDATE_COMPLETE',
+            }, item.scoped));
+        },
+
+        /** Fail every call on the item with `code` (null clears it) */
+        setItemError(itemId, code) {
+            items[itemId].error = code;
+        },
+
+        /** Fail the next call to `path` with `code` */
+        failNext(path, code, status = 400) {
+            failures.push({ path, code, status });
+        },
+
+        /** A Plaid-Verification header for `body` (the exact bytes sent) */
+        signWebhook(body, { issuedAt = Math.floor(Date.now() / 1000) } = {}) {
+            const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+            const header = encode({ alg: 'ES256', kid: keyId, typ: 'JWT' });
+            const payload = encode({
+                iat: issuedAt,
+                request_body_sha256: crypto.createHash('sha256').update(body).digest('hex'),
+            });
+            const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+            return `${header}.${payload}.${signature.toString('base64url')}`;
+        },
+
+        /** Forget linked items and recorded requests; IDs stay unique */
+        reset() {
+            items = {};
+            failures = [];
+            requests.length = 0;
+        },
+
+        close: server.close,
+    };
+}
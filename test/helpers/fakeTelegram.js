@@ -0,0 +1,170 @@
+/**
+ * A local stand-in for the Telegram Bot API
+ *
+ * The bot and notify.js reach it through TELEGRAM_API_URL. Every call is
+ * recorded, and sent messages are kept with their edits applied so tests
+ * can read a chat the way the user would see it. Files for getFile are
+ * registered with addFile(); failNext() makes one call fail the way
+ * Telegram would.
+ */
+
+import express from 'express';
+import { listen } from './listen.js';
+import { waitUntil } from './wait.js';
+
+// Attachments arrive as multipart; only their names and sizes are kept
+function parseAttachments(req) {
+    const boundary = (req.get('content-type') || '').match(/boundary=(.+)$/)?.[1];
+    if (!boundary) {
+        return {};
+    }
+    const attachments = {};
+    for (const part of req.body.toString('latin1').split(`--${boundary}`)) {
+        const [head, ...rest] = part.split('\r\n\r\n');
+        const name = head.match(/name="([^"]+)"/)?.[1];
+        const filename = head.match(/filename="([^"]+)"/)?.[1];
+        if (name && filename) {
+            attachments[name] = {
+                filename,
+                contentType: head.match(/Content-Type: (.+)/i)?.[1].trim(),
+                size: Buffer.byteLength(rest.join('\r\n\r\n').replace(/\r\n$/, ''), 'latin1'),
+            };
+        }
+    }
+    return attachments;
+}
+
+export async function startFakeTelegram() {
+    const calls = [];
+    const messages = new Map();
+    const files = new Map();
+    let failures = [];
+    let nextMessageId = 1;
+
+    function newMessage(params, fields) {
+        const message = {
+            message_id: nextMessageId++,
+            date: Math.floor(Date.now() / 1000),
+            chat: { id: Number(params.chat_id), type: 'private' },
+            ...fields,
+            reply_markup: params.reply_markup ? JSON.parse(params.reply_markup) : undefined,
+            parse_mode: params.parse_mode,
+        };
+        messages.set(message.message_id, message);
+        return message;
+    }
+
+    const methods = {
+        getMe: () => ({ id: 1, is_bot: true, first_name: 'OpenSpend', username: 'openspend_test_bot' }),
+        sendMessage: params => newMessage(params, { text: params.text }),
+        sendPhoto: (params, attachments) => newMessage(params, { caption: params.caption, photo: attachments.photo }),
+        sendDocument: (params, attachments) => newMessage(params, { caption: params.caption, document: attachments.document }),
+        editMessageText: params => {
+            const message = messages.get(Number(params.message_id));
+            if (message.text === params.text && message.parse_mode === params.parse_mode) {
+                throw Object.assign(new Error('Bad Request: message is not modified'), { code: 400 });
+            }
+            Object.assign(message, {
+                text: params.text,
+                parse_mode: params.parse_mode,
+                reply_markup: params.reply_markup ? JSON.parse(params.reply_markup) : undefined,
+                edited: true,
+            });
+            return message;
+        },
+        editMessageReplyMarkup: params => {
+            const message = messages.get(Number(params.message_id));
+            message.reply_markup = params.reply_markup ? JSON.parse(params.reply_markup) : undefined;
+            return message;
+        },
+        deleteMessage: params => {
+            messages.get(Number(params.message_id)).deleted = true;
+            return true;
+        },
+        getFile: params => {
+            if (!files.has(params.file_id)) {
+                throw Object.assign(new Error('Bad Request: invalid file_id'), { code: 400 });
+            }
+            return { file_id: params.file_id, file_unique_id: params.file_id, file_size: files.get(params.file_id).length, file_path: `documents/${params.file_id}` };
+        },
+        sendChatAction: () => true,
+        answerCallbackQuery: () => true,
+    };
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.raw({ type: 'multipart/form-data', limit: '20mb' }));
+
+    app.post('/bot:token/:method', (req, res) => {
+        const { method } = req.params;
+        const params = { ...req.query, ...(Buffer.isBuffer(req.body) ? {} : req.body) };
+        const attachments = Buffer.isBuffer(req.body) ? parseAttachments(req) : {};
+        calls.push({ method, params, attachments });
+
+        try {
+            const failure = failures.find(f => f.method === method);
+            if (failure) {
+                failures = failures.filter(f => f !== failure);
+                throw Object.assign(new Error(failure.description), { code: failure.code });
+            }
+            if (!methods[method]) {
+                throw Object.assign(new Error('Not Found: method not found'), { code: 404 });
+            }
+            res.json({ ok: true, result: methods[method](params, attachments) });
+        } catch (error) {
+            res.status(error.code || 500).json({ ok: false, error_code: error.code || 500, description: error.message });
+        }
+    });
+
+    app.get('/file/bot:token/documents/:fileId', (req, res) => {
+        const file = files.get(req.params.fileId);
+        return file ? res.send(file) : res.status(404).end();
+    });
+
+    const server = await listen(app);
+
+    const api = {
+        url: server.url,
+        calls,
+
+        /** Calls to one Bot API method, as their parameters */
+        callsTo(method) {
+            return calls.filter(c => c.method === method).map(c => ({ ...c.params, ...c.attachments }));
+        },
+
+        /** Messages in a chat as the user sees them now (edits applied, deletions gone) */
+        chat(chatId) {
+            return [...messages.values()].filter(m => m.chat.id === Number(chatId) && !m.deleted);
+        },
+
+        /** Texts of a chat's messages, oldest first */
+        texts(chatId) {
+            return api.chat(chatId).filter(m => m.text !== undefined).map(m => m.text);
+        },
+
+        /** The first message in the chat, after the first `after`, whose text contains `text` */
+        waitForText(chatId, text, { after = 0, timeout } = {}) {
+            return waitUntil(() => api.chat(chatId).slice(after).find(m => m.text?.includes(text)), { timeout });
+        },
+
+        /** Serve `content` for getFile / file downloads under `fileId` */
+        addFile(fileId, content) {
+            files.set(fileId, Buffer.from(content));
+        },
+
+        /** Fail the next call to `method` with Telegram's `description` */
+        failNext(method, description, code = 400) {
+            failures.push({ method, description, code });
+        },
+
+        reset() {
+            calls.length = 0;
+            messages.clear();
+            failures = [];
+        },
+
+        close: server.close,
+    };
+
+    return api;
+}
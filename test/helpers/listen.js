@@ -0,0 +1,30 @@
+/**
+ * Serve an express app (or request handler) on a free local port
+ */
+
+import http from 'http';
+
+export function listen(handler) {
+    const server = http.createServer(handler);
+    const sockets = new Set();
+    server.on('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                // Keep-alive connections would otherwise hold the test process open
+                close: () => new Promise(done => {
+                    for (const socket of sockets) {
+                        socket.destroy();
+                    }
+                    server.close(() => done());
+                }),
+            });
+        });
+    });
+}
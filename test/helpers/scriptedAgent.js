@@ -0,0 +1,138 @@
+/**
+ * A scripted stand-in for the Agent SDK's query()
+ *
+ * Tests queue runs with `agent.script(...steps)`; each query() call plays
+ * the next one. A step is one of:
+ * - { tool: 'search_transactions', input: { merchant: 'uber' } }: call the
+ *   finance tool through the run's MCP server, as the model would
+ * - { text: 'Here you go' }: stream a reply
+ * - { fail: 'message' }: throw before sending anything, like a session
+ *   the SDK can no longer resume
+ * The messages it yields have the SDK's shapes (stream events, assistant
+ * tool_use, user tool_result, and a result with usage), and every run is
+ * recorded with its prompt, options and tool results.
+ */
+
+export const USAGE = { input_tokens: 1200, output_tokens: 300, cache_read_input_tokens: 0, cache_creation_input_tokens: 0 };
+
+/**
+ * Call a finance tool on a createFinanceServer() instance the way the MCP
+ * server does: validate and default the arguments, then run the handler
+ */
+export async function callTool(server, name, input = {}) {
+    const registered = server.instance._registeredTools[name];
+    if (!registered) {
+        throw new Error(`No tool named ${name}`);
+    }
+    const parsed = registered.inputSchema ? registered.inputSchema.safeParse(input) : { success: true, data: input };
+    if (!parsed.success) {
+        return { content: [{ type: 'text', text: `Invalid arguments for ${name}: ${parsed.error.message}` }], isError: true };
+    }
+    return registered.handler(parsed.data, {});
+}
+
+async function readPrompt(prompt) {
+    if (typeof prompt === 'string') {
+        return prompt;
+    }
+    const parts = [];
+    for await (const message of prompt) {
+        parts.push(message.message.content);
+    }
+    return parts.join('\n');
+}
+
+export function createScriptedAgent() {
+    const queued = [];
+    const runs = [];
+    let sessions = 0;
+    let ids = 0;
+
+    async function* play(steps, { prompt, options = {} }) {
+        const run = { prompt: await readPrompt(prompt), options, toolResults: [], sessionId: null };
+        runs.push(run);
+
+        if (steps[0]?.fail) {
+            throw new Error(steps[0].fail);
+        }
+
+        const sessionId = options.resume || `session-${++sessions}`;
+        run.sessionId = sessionId;
+        yield { type: 'system', subtype: 'init', session_id: sessionId };
+
+        let text = '';
+        for (const step of steps) {
+            yield { type: 'stream_event', event: { type: 'message_start' }, session_id: sessionId };
+
+            if (step.tool) {
+                const name = `mcp__finance-tools__${step.tool}`;
+                if (options.allowedTools && !options.allowedTools.includes(name)) {
+                    throw new Error(`Tool ${name} is not allowed`);
+                }
+                const id = `toolu_${++ids}`;
+                yield {
+                    type: 'assistant',
+                    message: { role: 'assistant', content: [{ type: 'tool_use', id, name, input: step.input || {} }] },
+                    session_id: sessionId,
+                };
+                const result = await callTool(options.mcpServers['finance-tools'], step.tool, step.input);
+                run.toolResults.push({ tool: step.tool, result });
+                yield {
+                    type: 'user',
+                    message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content: result.content }] },
+                    session_id: sessionId,
+                };
+            } else if (step.text !== undefined) {
+                text = step.text;
+                yield {
+                    type: 'stream_event',
+                    event: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } },
+                    session_id: sessionId,
+                };
+                yield {
+                    type: 'assistant',
+                    message: { role: 'assistant', content: [{ type: 'text', text }] },
+                    session_id: sessionId,
+                };
+            }
+        }
+
+        yield {
+            type: 'result',
+            subtype: 'success',
+            result: text,
+            session_id: sessionId,
+            usage: USAGE,
+            total_cost_usd: 0.0125,
+            num_turns: steps.length,
+            duration_ms: 5,
+        };
+    }
+
+    return {
+        runs,
+
+        /** Queue the steps the next query() call plays */
+        script(...steps) {
+            queued.push(steps);
+        },
+
+        /** How many queued runs have not been played yet */
+        get pending() {
+            return queued.length;
+        },
+
+        query(args) {
+            const steps = queued.shift();
+            if (!steps) {
+                throw new Error(`Unscripted agent call: ${typeof args.prompt === 'string' ? args.prompt.slice(0, 80) : 'chat message'}`);
+            }
+            return play(steps, args);
+        },
+
+        reset() {
+            queued.length = 0;
+            runs.length = 0;
+        },
+    };
+}
@@ -0,0 +1,18 @@
+/**
+ * Poll until `check()` returns something truthy and resolve with it. The
+ * app does some work in the background (bot handlers, webhook handling)
+ * without reporting when it is done, so tests wait for its effects.
+ */
+export async function waitUntil(check, { timeout = 5000 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for: ${check}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * Period names resolved against a fixed "today"
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolvePeriod, PeriodError } from '../src/periods.js';
+
+const AS_OF = '2026-10-19';
+
+test('months, years and ranges resolve with the period before them', () => {
+    assert.deepEqual(resolvePeriod('2026-02', AS_OF), {
+        start: '2026-02-01',
+        end: '2026-02-28',
+        label: 'Feb 2026',
+        previous: { start: '2026-01-01', end: '2026-01-31', label: 'Jan 2026' },
+    });
+    assert.deepEqual(resolvePeriod('2024-02-29..2024-03-01', AS_OF).previous, {
+        start: '2024-02-27',
+        end: '2024-02-28',
+        label: '2024-02-27 to 2024-02-28',
+    });
+});
+
+test('dates that don\'t exist are a PeriodError', () => {
+    assert.throws(() => resolvePeriod('2026-13', AS_OF), PeriodError);
+    assert.throws(() => resolvePeriod('2026-00', AS_OF), PeriodError);
+    assert.throws(() => resolvePeriod('2026-02-30..2026-03-01', AS_OF), /date that doesn't exist \(2026-02-30\)/);
+    assert.throws(() => resolvePeriod('2026-01-01..2026-04-31', AS_OF), PeriodError);
+});
+
+test('a range that starts after it ends is a PeriodError', () => {
+    assert.throws(() => resolvePeriod('2026-03-05..2026-03-01', AS_OF), /starts after it ends/);
+});
@@ -0,0 +1,230 @@
+/**
+ * Plaid client, incremental sync and disconnecting, against the fake Plaid
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpEnvironment } from './helpers/environment.js';
+import { transaction, INSTITUTIONS } from './fixtures/plaid.js';
+
+const env = await setUpEnvironment();
+const plaidApi = await import('../src/plaid.js');
+const { syncItem, syncUserTransactions, formatSyncResult, refreshInstitution } = await import('../src/sync.js');
+const { disconnectItem, deleteEverything } = await import('../src/disconnect.js');
+const storage = await import('../src/storage.js');
+
+after(() => env.close());
+
+test('exchanging a public token returns an encrypted access token', async () => {
+    const { accessToken, itemId } = await plaidApi.exchangePublicToken('public-sandbox-chase');
+
+    assert.match(itemId, /^item-chase-\d+$/);
+    assert.match(accessToken, /^enc:v1:/);
+    assert.equal(env.plaid.calls('/item/public_token/exchange')[0].public_token, 'public-sandbox-chase');
+});
+
+test('an unknown public token fails with Plaid\'s error code', async () => {
+    await assert.rejects(
+        plaidApi.exchangePublicToken('public-sandbox-nope'),
+        error => error.response.data.error_code === 'INVALID_PUBLIC_TOKEN'
+    );
+});
+
+test('accounts are mapped with masks and balances', async () => {
+    const { accessToken, itemId } = await plaidApi.exchangePublicToken('public-sandbox-chase');
+    const accounts = await plaidApi.getAccounts(accessToken);
+
+    assert.deepEqual(accounts[0], {
+        id: env.plaid.id(itemId, 'acc-chase-checking'),
+        name: 'Total Checking',
+        officialName: 'Total Checking (official)',
+        mask: '1111',
+        type: 'depository',
+        subtype: 'checking',
+        balance: 2500,
+        availableBalance: 2400,
+    });
+});
+
+test('link tokens open update mode for an existing item', async () => {
+    const { accessToken, itemId } = await plaidApi.exchangePublicToken('public-sandbox-chase');
+    const linkToken = await plaidApi.createLinkToken('42', accessToken);
+
+    assert.match(linkToken, /^link-sandbox-/);
+    const request = env.plaid.calls('/link/token/create').at(-1);
+    assert.equal(request.access_token, env.plaid.item(itemId).accessToken);
+    assert.equal(request.user.client_user_id, '42');
+});
+
+test('institutions come with their logo', async () => {
+    const institution = await plaidApi.getInstitution('ins_chase');
+
+    assert.equal(institution.name, 'Chase');
+    assert.equal(institution.logo, INSTITUTIONS.ins_chase.logo);
+});
+
+test('syncTransactions pages through the backfill and maps transactions', async () => {
+    const { accessToken, itemId } = await plaidApi.exchangePublicToken('public-sandbox-chase');
+    const delta = await plaidApi.syncTransactions(accessToken);
+
+    assert.equal(delta.added.length, 14);
+    assert.equal(delta.cursor, 'cursor-2');
+    assert.equal(delta.historyComplete, true);
+
+    const coffee = delta.added.find(t => t.id === env.plaid.id(itemId, 'txn-coffee-1'));
+    assert.equal(coffee.amount, -5.75);
+    assert.equal(coffee.category, 'coffee');
+    assert.equal(coffee.parentCategory, 'food');
+    assert.equal(coffee.account, 'Freedom Card');
+    assert.equal(coffee.accountMask, '2222');
+
+    const pay = delta.added.find(t => t.id === env.plaid.id(itemId, 'txn-pay-1'));
+    assert.equal(pay.amount, 3000);
+    assert.equal(pay.category, 'wages');
+    assert.equal(pay.parentCategory, 'income');
+});
+
+test('a mutation during pagination restarts from the original cursor', async () => {
+    env.plaid.reset();
+    const { accessToken } = await plaidApi.exchangePublicToken('public-sandbox-chase');
+    env.plaid.failNext('/transactions/sync', 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION');
+
+    const delta = await plaidApi.syncTransactions(accessToken);
+
+    assert.equal(delta.added.length, 14);
+    assert.deepEqual(env.plaid.calls('/transactions/sync').map(c => c.cursor), [undefined, undefined, 'cursor-1']);
+});
+
+test('getTransactions returns the last 30 days', async () => {
+    env.plaid.reset();
+    const { accessToken, itemId } = await plaidApi.exchangePublicToken('public-sandbox-chase');
+    await plaidApi.syncTransactions(accessToken);
+
+    const transactions = await plaidApi.getTransactions(accessToken);
+
+    assert.ok(transactions.some(t => t.id === env.plaid.id(itemId, 'txn-coffee-1')));
+    assert.ok(!transactions.some(t => t.id === env.plaid.id(itemId, 'txn-rent-2')));
+});
+
+test('login errors are told apart from other failures', () => {
+    const plaidError = code => ({ response: { data: { error_code: code } } });
+
+    assert.equal(plaidApi.needsLoginRepair(plaidError('ITEM_LOGIN_REQUIRED')), true);
+    assert.equal(plaidApi.needsLoginRepair(plaidError('PENDING_EXPIRATION')), true);
+    assert.equal(plaidApi.needsLoginRepair(plaidError('INTERNAL_SERVER_ERROR')), false);
+    assert.equal(plaidApi.needsLoginRepair(new Error('socket hang up')), false);
+});
+
+test('webhook signatures are checked against the body and issue time', async () => {
+    const body = JSON.stringify({ webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE', item_id: 'item-chase-1' });
+    const header = env.plaid.signWebhook(body);
+
+    assert.equal(await plaidApi.verifyWebhook(header, body), true);
+    assert.equal(await plaidApi.verifyWebhook(header, body.replace('chase', 'amex')), false);
+    assert.equal(await plaidApi.verifyWebhook(env.plaid.signWebhook(body, { issuedAt: Math.floor(Date.now() / 1000) - 600 }), body), false);
+    assert.equal(await plaidApi.verifyWebhook('not-a-jwt', body), false);
+    assert.equal(await plaidApi.verifyWebhook(undefined, body), false);
+});
+
+test('syncItem stores the backfill and then applies deltas', async () => {
+    env.plaid.reset();
+    const item = await env.connectBank('100', 'public-sandbox-chase', INSTITUTIONS.ins_chase);
+
+    const first = await syncItem('100', item.itemId);
+    assert.equal(first.added, 14);
+    assert.equal(first.total, 14);
+    assert.equal(storage.getUserItem('100', item.itemId).cursor, 'cursor-2');
+
+    env.plaid.pushSync(item.itemId, {
+        added: [transaction('txn-new-1', 'acc-chase-card', 0, 42, 'Blue Bottle', 'FOOD_AND_DRINK', 'FOOD_AND_DRINK_COFFEE')],
+        modified: [{ ...transaction('txn-uber-1', 'acc-chase-card', 6, 31.9, 'Uber', 'TRANSPORTATION') }],
+        removed: ['txn-amazon-1'],
+    });
+
+    const second = await syncItem('100', item.itemId);
+    assert.deepEqual([second.added, second.modified, second.removed, second.total], [1, 1, 1, 14]);
+    assert.equal(env.plaid.calls('/transactions/sync').at(-1).cursor, 'cursor-2');
+
+    const transactions = storage.getTransactions('100');
+    const id = fixtureId => env.plaid.id(item.itemId, fixtureId);
+    assert.equal(transactions.find(t => t.id === id('txn-uber-1')).amount, -31.9);
+    assert.ok(!transactions.some(t => t.id === id('txn-amazon-1')));
+    assert.equal(transactions.find(t => t.id === id('txn-new-1')).accountMask, '2222');
+});
+
+test('items linked without a bank name get it from Plaid on sync', async () => {
+    const item = await env.connectBank('101', 'public-sandbox-amex');
+    assert.equal(item.institutionName, null);
+
+    const result = await syncItem('101', item.itemId);
+
+    assert.equal(result.institution, 'American Express');
+    assert.equal(storage.getUserItem('101', item.itemId).institutionName, 'American Express');
+    assert.equal(storage.getAccounts('101')[0].institution, 'American Express');
+});
+
+test('a failed institution lookup only logs', async () => {
+    const item = await env.connectBank('102', 'public-sandbox-amex');
+    env.plaid.failNext('/item/get', 'INTERNAL_SERVER_ERROR', 500);
+
+    assert.equal(await refreshInstitution(item), null);
+});
+
+test('an item that needs a new login is flagged and gets a repair link', async () => {
+    const chase = await env.connectBank('103', 'public-sandbox-chase', INSTITUTIONS.ins_chase);
+    const amex = await env.connectBank('103', 'public-sandbox-amex', INSTITUTIONS.ins_amex);
+    env.plaid.setItemError(amex.itemId, 'ITEM_LOGIN_REQUIRED');
+
+    const results = await syncUserTransactions('103');
+
+    assert.equal(results.length, 2);
+    assert.equal(results.find(r => r.itemId === chase.itemId).added, 14);
+    const failed = results.find(r => r.itemId === amex.itemId);
+    assert.equal(failed.needsLogin, true);
+    assert.match(failed.reconnectUrl, /^http:\/\/localhost:3000\/link\//);
+    assert.equal(storage.getUserItem('103', amex.itemId).status, 'login_required');
+    assert.match(formatSyncResult(results), /American Express needs you to log in again/);
+});
+
+test('other sync errors are reported per institution', async () => {
+    await env.connectBank('104', 'public-sandbox-chase', INSTITUTIONS.ins_chase);
+    env.plaid.failNext('/transactions/sync', 'INTERNAL_SERVER_ERROR', 500);
+
+    const results = await syncUserTransactions('104');
+
+    assert.match(results[0].error, /500/);
+    assert.match(formatSyncResult(results), /❌ Chase: sync failed/);
+});
+
+test('disconnecting revokes the item at Plaid and deletes its data', async () => {
+    env.plaid.reset();
+    const item = await env.connectBank('105', 'public-sandbox-chase', INSTITUTIONS.ins_chase);
+    await syncItem('105', item.itemId);
+
+    const { revoked } = await disconnectItem('105', item.itemId);
+
+    assert.equal(revoked, true);
+    assert.equal(env.plaid.calls('/item/remove').length, 1);
+    assert.equal(storage.getUserItem('105', item.itemId), undefined);
+    assert.equal(storage.hasPlaidConnection('105'), false);
+});
+
+test('an item Plaid already forgot still counts as revoked', async () => {
+    env.plaid.reset();
+    const item = await env.connectBank('106', 'public-sandbox-chase', INSTITUTIONS.ins_chase);
+    env.plaid.failNext('/item/remove', 'ITEM_NOT_FOUND');
+
+    assert.deepEqual(await disconnectItem('106', item.itemId), { revoked: true });
+});
+
+test('deleting everything reports revocations Plaid could not confirm', async () => {
+    env.plaid.reset();
+    await env.connectBank('107', 'public-sandbox-chase', INSTITUTIONS.ins_chase);
+    await env.connectBank('107', 'public-sandbox-amex', INSTITUTIONS.ins_amex);
+    env.plaid.failNext('/item/remove', 'INTERNAL_SERVER_ERROR', 500);
+
+    const result = await deleteEverything('107');
+
+    assert.deepEqual(result, { itemCount: 2, revoked: false });
+    assert.deepEqual(storage.getUserItems('107'), []);
+});
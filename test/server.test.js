@@ -0,0 +1,260 @@
+/**
+ * Every route of the Plaid Link server, served on a local port, with
+ * Plaid and Telegram faked
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpEnvironment, waitUntil } from './helpers/environment.js';
+import { listen } from './helpers/listen.js';
+import { transaction, INSTITUTIONS } from './fixtures/plaid.js';
+
+const env = await setUpEnvironment();
+const { app } = await import('../src/server.js');
+const { issueLinkToken } = await import('../src/linkTokens.js');
+const storage = await import('../src/storage.js');
+
+const USER = '400';
+let server;
+let item;
+
+function request(path, options = {}) {
+    return fetch(`${server.url}${path}`, options);
+}
+
+function post(path, body, headers = {}) {
+    return request(path, { method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body: JSON.stringify(body) });
+}
+
+function postWebhook(body, { signature } = {}) {
+    const raw = JSON.stringify(body);
+    return request('/webhooks/plaid', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'plaid-verification': signature ?? env.plaid.signWebhook(raw) },
+        body: raw,
+    });
+}
+
+before(async () => {
+    server = await listen(app);
+});
+
+after(async () => {
+    await server.close();
+    await env.close();
+});
+
+test('GET /health', async () => {
+    const response = await request('/health');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { status: 'ok' });
+});
+
+test('GET /link/:token serves Plaid Link for a valid token', async () => {
+    const token = issueLinkToken(USER);
+    const response = await request(`/link/${token}`);
+    const html = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(html, /Connect Bank Account/);
+    assert.ok(html.includes(`const connectToken = "${token}";`));
+    assert.match(html, /link-sandbox-\d+/);
+    assert.equal(env.plaid.calls('/link/token/create').at(-1).user.client_user_id, USER);
+});
+
+test('GET /link/:token refuses malformed and forged tokens', async () => {
+    const malformed = await request('/link/nonsense');
+    assert.equal(malformed.status, 403);
+    assert.match(await malformed.text(), /^Malformed link/);
+
+    const [payload] = issueLinkToken(USER).split('.');
+    const forged = await request(`/link/${payload}.AAAA`);
+    assert.equal(forged.status, 403);
+    assert.match(await forged.text(), /^Invalid link/);
+});
+
+test('GET /link/:token refuses tokens with extra segments or quotes', async () => {
+    const token = issueLinkToken(USER);
+
+    const extra = await request(`/link/${encodeURIComponent(`${token}.x';alert(1);'`)}`);
+    assert.equal(extra.status, 403);
+    assert.match(await extra.text(), /^Malformed link/);
+
+    const quoted = await request(`/link/${encodeURIComponent(`${token}'`)}`);
+    assert.equal(quoted.status, 403);
+    assert.doesNotMatch(await quoted.text(), /<script>/);
+});
+
+test('POST /api/exchange links the bank, syncs it and tells the user', async () => {
+    const response = await post('/api/exchange', {
+        publicToken: 'public-sandbox-chase',
+        token: issueLinkToken(USER),
+        institution: { institution_id: 'ins_chase', name: 'Chase' },
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { success: true, accountCount: 2 });
+
+    [item] = storage.getUserItems(USER);
+    assert.equal(item.institutionName, 'Chase');
+    assert.equal(item.institutionLogo, INSTITUTIONS.ins_chase.logo);
+    assert.equal(storage.getTransactions(USER).length, 14);
+
+    const message = await env.telegram.waitForText(USER, 'Bank connected successfully');
+    assert.match(message.text, /Total Checking, Freedom Card/);
+    assert.match(message.text, /14 new/);
+});
+
+test('POST /api/exchange refuses a link token twice', async () => {
+    const token = issueLinkToken(USER);
+    await post('/api/exchange', { publicToken: 'public-sandbox-amex', token });
+
+    const response = await post('/api/exchange', { publicToken: 'public-sandbox-amex', token });
+
+    assert.equal(response.status, 403);
+    assert.match((await response.json()).error, /already been used/);
+});
+
+test('POST /api/exchange reports Plaid failures', async () => {
+    const response = await post('/api/exchange', { publicToken: 'public-sandbox-unknown', token: issueLinkToken('401') });
+
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).success, false);
+});
+
+test('POST /api/exchange can be retried with the same link after a Plaid failure', async () => {
+    const token = issueLinkToken('405');
+    env.plaid.failNext('/item/public_token/exchange', 'INTERNAL_SERVER_ERROR', 500);
+
+    const failed = await post('/api/exchange', { publicToken: 'public-sandbox-amex', token });
+    assert.equal(failed.status, 500);
+
+    const retried = await post('/api/exchange', { publicToken: 'public-sandbox-amex', token });
+    assert.deepEqual(await retried.json(), { success: true, accountCount: 1 });
+    assert.equal(storage.getUserItems('405').length, 1);
+
+    const again = await post('/api/exchange', { publicToken: 'public-sandbox-amex', token });
+    assert.equal(again.status, 403);
+});
+
+test('GET /link/:token for an item opens update mode', async () => {
+    const response = await request(`/link/${issueLinkToken(USER, item.itemId)}`);
+    const html = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(html, /Reconnect Chase/);
+    assert.match(html, /Log In Again/);
+    assert.match(html, /<img class="logo" src="data:image\/png;base64,/);
+    assert.equal(env.plaid.calls('/link/token/create').at(-1).access_token, env.plaid.item(item.itemId).accessToken);
+});
+
+test('GET /link/:token for an item that is gone is refused', async () => {
+    const response = await request(`/link/${issueLinkToken(USER, 'item-gone')}`);
+
+    assert.equal(response.status, 403);
+    assert.match(await response.text(), /That bank is no longer connected/);
+});
+
+test('POST /api/exchange with an update-mode token repairs the item', async () => {
+    storage.setItemStatus(item.itemId, 'login_required');
+    const before = env.telegram.chat(USER).length;
+
+    const response = await post('/api/exchange', { publicToken: null, token: issueLinkToken(USER, item.itemId) });
+
+    assert.deepEqual(await response.json(), { success: true, repaired: true });
+    assert.equal(storage.getUserItem(USER, item.itemId).status, 'ok');
+    await env.telegram.waitForText(USER, 'Reconnected!', { after: before });
+});
+
+test('POST /api/exchange in update mode for a bank disconnected meanwhile is refused', async () => {
+    const token = issueLinkToken('403', 'item-gone');
+
+    const response = await post('/api/exchange', { publicToken: null, token });
+
+    assert.equal(response.status, 403);
+    assert.deepEqual(await response.json(), { success: false, error: 'That bank is no longer connected. Send /connect to the bot for a new link.' });
+});
+
+test('GET /api/transactions/:userId needs the admin secret', async () => {
+    assert.equal((await request(`/api/transactions/${USER}`)).status, 401);
+    assert.equal((await request(`/api/transactions/${USER}`, { headers: { authorization: 'Bearer wrong' } })).status, 401);
+
+    const admin = { headers: { authorization: 'Bearer test-admin-secret' } };
+    const response = await request(`/api/transactions/${USER}`, admin);
+    assert.equal(response.status, 200);
+    assert.ok((await response.json()).transactions.some(t => t.merchant === 'Starbucks'));
+
+    assert.equal((await request('/api/transactions/402', admin)).status, 404);
+});
+
+test('POST /webhooks/plaid rejects bad signatures', async () => {
+    const body = { webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE', item_id: item.itemId };
+
+    assert.equal((await postWebhook(body, { signature: 'forged' })).status, 401);
+    const signedOther = env.plaid.signWebhook(JSON.stringify({ ...body, item_id: 'other' }));
+    assert.equal((await postWebhook(body, { signature: signedOther })).status, 401);
+});
+
+test('SYNC_UPDATES_AVAILABLE pulls the new transactions', async () => {
+    env.plaid.pushSync(item.itemId, {
+        added: [transaction('txn-webhook', 'acc-chase-checking', 0, 60, 'City Utilities', 'RENT_AND_UTILITIES')],
+    });
+
+    const response = await postWebhook({ webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE', item_id: item.itemId });
+
+    assert.deepEqual(await response.json(), { received: true });
+    await waitUntil(() => storage.getTransactions(USER).some(t => t.merchant === 'City Utilities'));
+});
+
+test('SYNC_UPDATES_AVAILABLE for an item that needs a login tells the user', async () => {
+    env.plaid.setItemError(item.itemId, 'ITEM_LOGIN_REQUIRED');
+    const before = env.telegram.chat(USER).length;
+
+    await postWebhook({ webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE', item_id: item.itemId });
+
+    await env.telegram.waitForText(USER, 'Chase needs you to log in again', { after: before });
+    env.plaid.setItemError(item.itemId, null);
+});
+
+test('ITEM ERROR marks the item and sends a reconnect link', async () => {
+    storage.setItemStatus(item.itemId, 'ok');
+    const before = env.telegram.chat(USER).length;
+
+    await postWebhook({ webhook_type: 'ITEM', webhook_code: 'ERROR', item_id: item.itemId, error: { error_code: 'ITEM_LOGIN_REQUIRED' } });
+
+    const message = await env.telegram.waitForText(USER, 'needs you to log in again', { after: before });
+    assert.match(message.text, /http:\/\/localhost:3000\/link\//);
+    assert.equal(storage.getUserItem(USER, item.itemId).status, 'login_required');
+});
+
+test('LOGIN_REPAIRED clears the flag', async () => {
+    await postWebhook({ webhook_type: 'ITEM', webhook_code: 'LOGIN_REPAIRED', item_id: item.itemId });
+
+    await waitUntil(() => storage.getUserItem(USER, item.itemId).status === 'ok');
+});
+
+test('PENDING_EXPIRATION warns with the expiry date', async () => {
+    const before = env.telegram.chat(USER).length;
+
+    await postWebhook({ webhook_type: 'ITEM', webhook_code: 'PENDING_EXPIRATION', item_id: item.itemId, consent_expiration_time: '2030-05-01T00:00:00Z' });
+
+    await env.telegram.waitForText(USER, 'expires on 2030-05-01', { after: before });
+    assert.equal(storage.getUserItem(USER, item.itemId).status, 'pending_expiration');
+});
+
+test('webhooks for unknown items are acknowledged and ignored', async () => {
+    const response = await postWebhook({ webhook_type: 'ITEM', webhook_code: 'ERROR', item_id: 'item-unknown' });
+
+    assert.equal(response.status, 200);
+});
+
+test('USER_PERMISSION_REVOKED removes the item and its data', async () => {
+    const before = env.telegram.chat(USER).length;
+
+    await postWebhook({ webhook_type: 'ITEM', webhook_code: 'USER_PERMISSION_REVOKED', item_id: item.itemId });
+
+    await env.telegram.waitForText(USER, 'was revoked at your bank', { after: before });
+    assert.equal(storage.getUserItem(USER, item.itemId), undefined);
+    assert.ok(!storage.getTransactions(USER).some(t => t.merchant === 'Starbucks'));
+});
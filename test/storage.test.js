@@ -0,0 +1,39 @@
+/**
+ * The one-time import of the old data/connections.json store
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpEnvironment } from './helpers/environment.js';
+
+const env = await setUpEnvironment();
+const storage = await import('../src/storage.js');
+
+after(() => env.close());
+
+test('legacy cached transactions keep their account', () => {
+    storage.importLegacyJson({
+        connections: {
+            600: {
+                accessToken: 'access-sandbox-legacy',
+                itemId: 'item-legacy',
+                accounts: [{ id: 'acc-legacy-checking', name: 'Everyday Checking', type: 'depository', subtype: 'checking', balance: 900 }],
+                connectedAt: '2025-06-01T00:00:00.000Z',
+            },
+        },
+        transactionCache: {
+            600: {
+                transactions: [
+                    { id: 'txn-legacy-1', date: '2025-05-30', amount: -42.5, merchant: 'Corner Deli', category: 'food', account: 'acc-legacy-checking', pending: false },
+                ],
+                cachedAt: '2025-06-01T00:00:00.000Z',
+            },
+        },
+        chatHistory: {},
+    });
+
+    const [transaction] = storage.getTransactions('600');
+    assert.equal(transaction.accountId, 'acc-legacy-checking');
+    assert.equal(transaction.account, 'Everyday Checking');
+    assert.equal(storage.getTransactions('600', { account: 'everyday' }).length, 1);
+});
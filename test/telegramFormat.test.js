@@ -0,0 +1,34 @@
+/**
+ * Splitting rendered replies under Telegram's message limit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMessages, MESSAGE_LIMIT } from '../src/telegramFormat.js';
+
+function assertFits(messages) {
+    for (const message of messages) {
+        assert.ok(message.length <= MESSAGE_LIMIT, `message of ${message.length} characters`);
+    }
+}
+
+test('a code line over the limit is cut across messages', () => {
+    const messages = renderMessages(`\`\`\`\n${'x'.repeat(5000)}\n\`\`\``);
+
+    assertFits(messages);
+    assert.ok(messages.every(message => message.startsWith('<pre>') && message.endsWith('</pre>')));
+    assert.equal(messages.join('').replace(/<\/?pre>|\n/g, ''), 'x'.repeat(5000));
+});
+
+test('a table\'s last column is truncated', () => {
+    const [message, ...rest] = renderMessages(`| Merchant | Note |\n|---|---|\n| Netflix | ${'very long note '.repeat(400)}|`);
+
+    assert.deepEqual(rest, []);
+    assert.match(message, /\nNetflix +very long note [^\n]*…<\/pre>$/);
+    assertFits([message]);
+});
+
+test('lines that grow when escaped still fit', () => {
+    assertFits(renderMessages('&'.repeat(5000)));
+    assertFits(renderMessages(`\`\`\`\n${'<'.repeat(5000)}\n\`\`\``));
+});
@@ -0,0 +1,311 @@
+/**
+ * Every tool in createFinanceServer, called the way the agent calls them,
+ * for a user whose Chase fixture is synced from the fake Plaid
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpEnvironment } from './helpers/environment.js';
+import { callTool } from './helpers/scriptedAgent.js';
+import { transaction, INSTITUTIONS } from './fixtures/plaid.js';
+
+const env = await setUpEnvironment({ VENMO_USERNAME: 'test-venmo' });
+const { createFinanceServer, FINANCE_TOOL_NAMES } = await import('../src/tools.js');
+const { syncItem } = await import('../src/sync.js');
+const storage = await import('../src/storage.js');
+
+const USER = '200';
+const called = new Set();
+let item;
+
+/**
+ * Run a tool on a fresh server for `userId` and return its text, plus
+ * whatever it handed to the onChart/onDocument/onSearch callbacks
+ */
+async function run(name, input = {}, userId = USER) {
+    const sent = { charts: [], documents: [], searches: [] };
+    const server = createFinanceServer(userId, {
+        onChart: chart => sent.charts.push(chart),
+        onDocument: file => sent.documents.push(file),
+        onSearch: page => sent.searches.push(page)
+    });
+    const result = await callTool(server, name, input);
+    called.add(name);
+    return { text: result.content.map(block => block.text).join('\n'), isError: result.isError, ...sent };
+}
+
+before(async () => {
+    item = await env.connectBank(USER, 'public-sandbox-chase', INSTITUTIONS.ins_chase);
+    await syncItem(USER, item.itemId);
+});
+
+after(() => env.close());
+
+test('get_balance lists accounts with masks and totals', async () => {
+    const { text } = await run('get_balance');
+
+    assert.match(text, /Total Checking ••1111 \(Chase\): \$2500\.00/);
+    assert.match(text, /Freedom Card ••2222 \(Chase\): \$640\.25/);
+    assert.match(text, /Checking: \$2500\.00/);
+    assert.match(text, /Credit Owed: \$640\.25/);
+});
+
+test('get_accounts shows bank and type', async () => {
+    const { text } = await run('get_accounts');
+
+    assert.match(text, /Freedom Card ••2222\n {2}Bank: Chase\n {2}Type: credit card\n {2}Balance: \$640\.25/);
+});
+
+test('get_spending_summary nests subcategories under their parent', async () => {
+    const { text } = await run('get_spending_summary');
+
+    assert.match(text, /• housing: \$3600\.00 \(2 transactions\)/);
+    assert.match(text, /• food: \$12\.00 \(2 transactions\)\n {4}◦ coffee: \$12\.00/);
+    assert.doesNotMatch(text, /wages/);
+});
+
+test('get_spending_summary says so when a range is empty', async () => {
+    const { text } = await run('get_spending_summary', { start_date: '2001-01-01', end_date: '2001-01-31' });
+
+    assert.equal(text, 'No spending found for the specified period.');
+});
+
+test('get_income_summary totals the paychecks', async () => {
+    const { text } = await run('get_income_summary');
+
+    assert.match(text, /ACME Payroll/);
+    assert.match(text, /Total Income: \$6000\.00/);
+});
+
+test('get_income_summary leaves out transfers', async () => {
+    const amex = await env.connectBank('203', 'public-sandbox-amex', INSTITUTIONS.ins_amex);
+    await syncItem('203', amex.itemId);
+    env.plaid.pushSync(amex.itemId, {
+        added: [
+            transaction('txn-amex-refund', 'acc-amex-gold', 1, -40, 'Delta Air Lines', 'TRAVEL', 'TRAVEL_FLIGHTS'),
+            transaction('txn-amex-payment', 'acc-amex-gold', 1, -310.5, 'Payment Thank You', 'TRANSFER_IN', 'TRANSFER_IN_ACCOUNT_TRANSFER'),
+        ],
+    });
+    await syncItem('203', amex.itemId);
+
+    const { text } = await run('get_income_summary', {}, '203');
+
+    assert.match(text, /Total Income: \$40\.00/);
+    assert.doesNotMatch(text, /Payment Thank You/);
+});
+
+test('search_transactions filters by merchant and reports totals over all matches', async () => {
+    const { text, searches } = await run('search_transactions', { merchant: 'starbucks' });
+
+    assert.match(text, /Starbucks/);
+    assert.doesNotMatch(text, /Netflix/);
+    assert.equal(searches[0].stats.count, 2);
+    assert.equal(searches[0].filters.merchant, 'starbucks');
+});
+
+test('search_transactions matches accounts by name or last four digits', async () => {
+    const byName = await run('search_transactions', { account: 'total checking', limit: 50 });
+    const byMask = await run('search_transactions', { account: '1111', limit: 50 });
+
+    assert.equal(byName.searches[0].stats.count, 4);
+    assert.equal(byMask.searches[0].stats.count, 4);
+    assert.ok(byName.searches[0].transactions.every(t => t.accountMask === '1111'));
+});
+
+test('search_transactions pages and says how to get the next page', async () => {
+    const { text, searches } = await run('search_transactions', { category: 'entertainment', limit: 1 });
+
+    assert.equal(searches[0].stats.count, 4);
+    assert.match(text, /call again with offset 1/);
+});
+
+test('tool arguments are validated like the MCP server does', async () => {
+    const { isError, text } = await run('search_transactions', { category: 'not-a-category' });
+
+    assert.equal(isError, true);
+    assert.match(text, /Invalid arguments/);
+});
+
+test('get_recent_transactions shows the newest first', async () => {
+    const { text, searches } = await run('get_recent_transactions', { limit: 3 });
+
+    assert.match(text, /Recent transactions/);
+    assert.equal(searches[0].transactions[0].merchant, 'Starbucks');
+    assert.match(text, /call again with offset 3/);
+});
+
+test('export_transactions hands the file to the caller', async () => {
+    const { text, documents } = await run('export_transactions', { format: 'csv', merchant: 'netflix' });
+
+    assert.equal(documents.length, 1);
+    assert.match(documents[0].filename, /\.csv$/);
+    assert.equal(documents[0].count, 4);
+    assert.match(documents[0].buffer.toString(), /Netflix/);
+    assert.match(text, /4 transactions/);
+});
+
+test('export_transactions with no matches sends nothing', async () => {
+    const { text, documents } = await run('export_transactions', { format: 'pdf', merchant: 'nowhere' });
+
+    assert.equal(documents.length, 0);
+    assert.match(text, /nothing to export/);
+});
+
+test('get_category_spending includes subcategories', async () => {
+    const { text } = await run('get_category_spending', { category: 'food' });
+
+    assert.match(text, /FOOD Spending \(2 transactions\)/);
+    assert.match(text, /Starbucks \(coffee\)/);
+    assert.match(text, /Total: \$12\.00/);
+});
+
+test('compare_spending compares two periods', async () => {
+    const { text } = await run('compare_spending', { period: 'last_30_days', compare_to: '2001' });
+
+    assert.match(text, /^Spending .* vs /);
+    assert.match(text, /housing: \$1800\.00 vs \$0\.00/);
+});
+
+test('compare_spending explains a period it can\'t read', async () => {
+    const { text } = await run('compare_spending', { period: 'the other day' });
+
+    assert.match(text, /the other day/);
+    assert.match((await run('compare_spending', { period: '2026-13' })).text, /date that doesn't exist \(2026-13-01\)/);
+});
+
+test('spending_trend groups by merchant', async () => {
+    const { text } = await run('spending_trend', { period: 'last_6_months', group_by: 'merchant' });
+
+    assert.match(text, /Spending by month/);
+    assert.match(text, /• Netflix: avg \$[\d.]+\/month, total \$[\d.]+\n {2}.*\$15\.49/);
+});
+
+test('set_budget and get_budget_status', async () => {
+    assert.equal((await run('set_budget', { category: 'groceries', amount: 300 })).text, 'Monthly groceries budget set to $300.00.');
+    assert.equal(storage.getBudgets(USER).groceries, 300);
+
+    const { text } = await run('get_budget_status');
+    assert.match(text, /^Budgets for \d{4}-\d{2}:/);
+    assert.match(text, /groceries/);
+
+    assert.equal((await run('set_budget', { category: 'groceries', amount: 0 })).text, 'Removed the groceries budget.');
+    assert.equal((await run('get_budget_status')).text, 'No budgets set. The user can set one, e.g. "$400 a month for groceries".');
+});
+
+test('get_subscriptions finds the monthly Netflix charge', async () => {
+    const { text } = await run('get_subscriptions');
+
+    assert.match(text, /^Recurring Transactions:/);
+    assert.match(text, /Netflix/);
+});
+
+test('category rules recategorize existing transactions and can be removed', async () => {
+    const added = await run('add_category_rule', { merchant: 'Uber', category: 'travel' });
+    assert.match(added.text, /Recategorized 1 existing transaction\(s\)/);
+    assert.equal(storage.getTransactions(USER).find(t => t.merchant === 'Uber').category, 'travel');
+
+    const [rule] = storage.getCategoryRules(USER);
+    assert.match((await run('list_category_rules')).text, new RegExp(`#${rule.id}`));
+
+    const deleted = await run('delete_category_rule', { rule_id: rule.id });
+    assert.equal(deleted.text, `Deleted rule #${rule.id}. Recategorized 1 transaction(s).`);
+    assert.equal(storage.getTransactions(USER).find(t => t.merchant === 'Uber').category, 'taxis_and_ride_shares');
+
+    assert.equal((await run('delete_category_rule', { rule_id: 999 })).text, 'No rule #999 found.');
+    assert.equal((await run('list_category_rules')).text, 'No categorization rules yet.');
+});
+
+test('add_category_rule needs a condition', async () => {
+    const { text } = await run('add_category_rule', { category: 'travel' });
+
+    assert.equal(text, 'A rule needs at least one condition: merchant, amount range or account.');
+});
+
+test('recategorize_transaction moves one transaction', async () => {
+    const amazon = storage.getTransactions(USER).find(t => t.merchant === 'Amazon');
+
+    const { text } = await run('recategorize_transaction', { transaction_id: amazon.id, category: 'entertainment' });
+
+    assert.match(text, /Moved .* Amazon \(\$129\.99\) to entertainment\./);
+    assert.equal(storage.getTransactions(USER).find(t => t.id === amazon.id).category, 'entertainment');
+    assert.match((await run('recategorize_transaction', { transaction_id: 'txn-missing', category: 'food' })).text, /No synced transaction/);
+});
+
+test('custom categories can be listed, added and deleted', async () => {
+    assert.match((await run('list_categories')).text, /food: .*coffee/);
+
+    assert.equal((await run('add_category', { name: 'snacks', parent: 'food' })).text, 'Added category food > snacks.');
+    assert.match((await run('list_categories')).text, /snacks\*/);
+    assert.match((await run('add_category', { name: 'snacks' })).text, /already/);
+
+    assert.match((await run('delete_category', { name: 'snacks' })).text, /^Deleted snacks; its rules and fixes now use food\./);
+    assert.equal((await run('delete_category', { name: 'food' })).text, '"food" is not a custom category, so it can\'t be deleted.');
+});
+
+test('render_chart sends a PNG', async () => {
+    const { text, charts } = await run('render_chart', { chart: 'spending_by_category', period: 'last_3_months' });
+
+    assert.equal(charts.length, 1);
+    assert.equal(charts[0].png.subarray(1, 4).toString(), 'PNG');
+    assert.match(text, /will be sent to the user as an image/);
+});
+
+test('render_chart for a subcategory breaks down its parent', async () => {
+    const { text, charts } = await run('render_chart', { chart: 'spending_by_category', category: 'coffee', period: 'last_30_days' });
+
+    assert.equal(charts.length, 1);
+    assert.match(charts[0].caption, /^food spending, /);
+    assert.match(text, /coffee: \$12\.00/);
+});
+
+test('render_chart with nothing to draw says so', async () => {
+    const { text, charts } = await run('render_chart', { chart: 'spending_by_category', period: '2001-01' });
+
+    assert.equal(charts.length, 0);
+    assert.equal(text, 'Nothing to chart for that period.');
+});
+
+test('sync_transactions pulls new transactions from the bank', async () => {
+    env.plaid.pushSync(item.itemId, {
+        added: [transaction('txn-lunch', 'acc-chase-card', 0, 14.5, 'Sweetgreen', 'FOOD_AND_DRINK', 'FOOD_AND_DRINK_RESTAURANT')],
+    });
+
+    const { text } = await run('sync_transactions', { institution: 'chase' });
+
+    assert.match(text, /✅ Chase \(2 account\(s\)\): 1 new, 0 updated, 0 removed/);
+    assert.ok(storage.getTransactions(USER).some(t => t.merchant === 'Sweetgreen'));
+});
+
+test('sync_transactions explains what it can\'t sync', async () => {
+    assert.match((await run('sync_transactions', { institution: 'wells' })).text, /No connected institution matches "wells"/);
+    assert.match((await run('sync_transactions', {}, '201')).text, /No bank account connected/);
+});
+
+test('sync_transactions reports a bank that needs a new login', async () => {
+    env.plaid.setItemError(item.itemId, 'ITEM_LOGIN_REQUIRED');
+
+    const { text } = await run('sync_transactions');
+    env.plaid.setItemError(item.itemId, null);
+
+    assert.match(text, /Chase needs you to log in again/);
+});
+
+test('create_payment_link builds a Venmo request', async () => {
+    const { text } = await run('create_payment_link', { amount: 20.5, description: 'Dinner & drinks' });
+
+    assert.match(text, /https:\/\/venmo\.com\/\?txn=charge&recipients=test-venmo&amount=20\.50&note=Dinner%20%26%20drinks/);
+});
+
+test('demo users get the demo accounts', async () => {
+    const { text } = await run('get_balance', {}, '202');
+
+    assert.match(text, /Account Balances:\n• /);
+});
+
+test('every finance tool is covered', () => {
+    const missing = FINANCE_TOOL_NAMES
+        .map(name => name.replace(/^mcp__finance-tools__/, ''))
+        .filter(name => !called.has(name));
+
+    assert.deepEqual(missing, []);
+});